@@ -0,0 +1,527 @@
+import React, { useState, useEffect } from 'react';
+import { LineChart, Line, Area, Bar, ComposedChart, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, Scatter } from 'recharts';
+import { batesCallPrices, batesSmile, skewAttribution, skewVariants } from '../lib/bates.js';
+import { blackScholesPrice } from '../lib/blackScholes.js';
+import { varianceSchemes } from '../lib/heston.js';
+import { describeFanPaths, toPathRows } from '../lib/paths.js';
+import { useSimulationWorker } from '../lib/useSimulationWorker.js';
+import PathCountInput from './PathCountInput.jsx';
+import SeedInput from './SeedInput.jsx';
+import SimulationError from './SimulationError.jsx';
+import SimulationProgress from './SimulationProgress.jsx';
+
+// Parameter sliders, grouped into the cards at the top of the page
+const parameterGroups = [
+  {
+    title: 'Market & Option',
+    sliders: [
+      { key: 'S0', label: 'Initial Price (S₀)', min: 50, max: 200, step: 5, format: (v) => `$${v}` },
+      { key: 'K', label: 'Strike Price (K)', min: 50, max: 200, step: 5, format: (v) => `$${v}` },
+      { key: 'r', label: 'Risk-free Rate (r)', min: 0, max: 0.1, step: 0.001, format: (v) => `${(v * 100).toFixed(1)}%` },
+      { key: 'T', label: 'Maturity (T)', min: 0.1, max: 3, step: 0.1, format: (v) => `${v} years` }
+    ]
+  },
+  {
+    title: 'Variance (Heston)',
+    sliders: [
+      { key: 'V0', label: 'Initial Variance (V₀)', min: 0.01, max: 0.1, step: 0.001, format: (v) => `${v.toFixed(3)} (vol ${(Math.sqrt(v) * 100).toFixed(1)}%)` },
+      { key: 'kappa', label: 'Mean Reversion (κ)', min: 0.1, max: 10, step: 0.1, format: (v) => v.toFixed(1) },
+      { key: 'theta', label: 'Long-run Variance (θ)', min: 0.01, max: 0.1, step: 0.001, format: (v) => `${v.toFixed(3)} (vol ${(Math.sqrt(v) * 100).toFixed(1)}%)` },
+      { key: 'sigma', label: 'Vol of Variance (σ)', min: 0.1, max: 1, step: 0.01, format: (v) => v.toFixed(2) },
+      { key: 'rho', label: 'Correlation (ρ)', min: -0.99, max: 0.99, step: 0.01, format: (v) => v.toFixed(2) }
+    ]
+  },
+  {
+    title: 'Jumps (Merton)',
+    sliders: [
+      { key: 'lambda', label: 'Jump Intensity (λ)', min: 0, max: 2, step: 0.01, format: (v) => `${v.toFixed(2)} jumps/year` },
+      { key: 'muJ', label: 'Mean Jump Size (μⱼ)', min: -0.3, max: 0.3, step: 0.01, format: (v) => `${(v * 100).toFixed(1)}%` },
+      { key: 'sigmaJ', label: 'Jump Volatility (σⱼ)', min: 0.01, max: 0.5, step: 0.01, format: (v) => `${(v * 100).toFixed(1)}%` }
+    ]
+  }
+];
+
+// Strike grid (K / S0) for the smiles and maturities for the skew breakdown
+const smileMoneyness = Array.from({ length: 17 }, (_, i) => 0.6 + 0.05 * i);
+const attributionMaturities = [0.25, 0.5, 1, 2];
+const variantColors = { neither: 'rgb(170,170,180)', correlation: '#00ff41', jumps: '#5c99ff', both: '#f59e0b' };
+
+const tooltipStyle = { backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' };
+
+const BatesModel = () => {
+  const [parameters, setParameters] = useState({
+    S0: 100,      // Initial stock price
+    K: 100,       // Strike price
+    r: 0.05,      // Risk-free rate
+    T: 1,         // Time to maturity
+    V0: 0.04,     // Initial variance
+    kappa: 2.0,   // Speed of mean reversion
+    theta: 0.04,  // Long-run variance
+    sigma: 0.3,   // Volatility of variance
+    rho: -0.7,    // Correlation between price and variance
+    lambda: 0.5,  // Jump intensity (jumps per year)
+    muJ: -0.1,    // Mean log-jump size
+    sigmaJ: 0.15, // Log-jump volatility
+    steps: 252    // Time steps
+  });
+  const [numPaths, setNumPaths] = useState(1000);
+  const [seed, setSeed] = useState(42);
+  const [scheme, setScheme] = useState('fullTruncation');
+  const [varianceReduction, setVarianceReduction] = useState({ antithetic: false, controlVariate: false });
+  const [chartMode, setChartMode] = useState('paths');
+  const [results, setResults] = useState(null);
+  const [simulationError, setSimulationError] = useState(null);
+  const [skew, setSkew] = useState(null);
+  const [isAnalyzingSkew, setIsAnalyzingSkew] = useState(false);
+  const simulation = useSimulationWorker();
+
+  // Monte Carlo run in the simulation worker, with semi-analytic references for the same
+  // parameters: Fourier calls for Bates and Heston (λ = 0), puts from put-call parity
+  const runSimulation = () => {
+    setSimulationError(null);
+    simulation.run('batesSimulation', { parameters, numPaths, scheme, varianceReduction, seed }, {
+      onResult: (result) => {
+        const { S0, K, r, T, V0 } = parameters;
+        const discountedStrike = K * Math.exp(-r * T);
+        const [batesCall] = batesCallPrices(parameters, [K]);
+        const [hestonCall] = batesCallPrices({ ...parameters, lambda: 0 }, [K]);
+
+        setResults({
+          ...result,
+          K,
+          T,
+          references: {
+            bates: { call: batesCall, put: batesCall - S0 + discountedStrike },
+            heston: { call: hestonCall, put: hestonCall - S0 + discountedStrike },
+            blackScholes: {
+              call: blackScholesPrice(S0, K, r, Math.sqrt(V0), T, 'call'),
+              put: blackScholesPrice(S0, K, r, Math.sqrt(V0), T, 'put')
+            }
+          }
+        });
+      },
+      onError: setSimulationError
+    });
+  };
+
+  // Smiles at the current maturity with each source of skew switched off in turn, and the
+  // skew breakdown across maturities. A few hundred milliseconds, so it runs on demand.
+  const runSkewAnalysis = () => {
+    setIsAnalyzingSkew(true);
+
+    setTimeout(() => {
+      const smiles = Object.fromEntries(Object.entries(skewVariants).map(([key, { overrides }]) => (
+        [key, batesSmile({ ...parameters, ...overrides }, smileMoneyness, parameters.T)]
+      )));
+      setSkew({
+        T: parameters.T,
+        smile: smileMoneyness.map((moneyness, i) => ({
+          moneyness,
+          ...Object.fromEntries(Object.keys(skewVariants).map(key => (
+            [key, Number.isFinite(smiles[key][i]) ? smiles[key][i] * 100 : null]
+          )))
+        })),
+        attribution: skewAttribution(parameters, attributionMaturities).map(row => ({
+          maturity: `T=${row.T}`,
+          neither: row.neither * 100,
+          correlation: row.correlation * 100,
+          jumps: row.jumps * 100,
+          interaction: row.interaction * 100,
+          total: row.total * 100
+        }))
+      });
+      setIsAnalyzingSkew(false);
+    }, 100);
+  };
+
+  useEffect(() => {
+    runSimulation();
+    runSkewAnalysis();
+  }, []);
+
+  const paths = results ? results.paths : [];
+  const showVariance = chartMode === 'variance';
+  const pathRows = toPathRows(paths, (point) => point.price);
+  const jumpMarkers = paths.flatMap(path => path.filter(point => point.jump));
+  const fanRows = !results ? [] : (showVariance ? results.fan.variance : results.fan.price);
+
+  const renderEstimate = (label, estimate, reference, color, rgb) => (
+    <div className="border p-4 rounded-lg" style={{ backgroundColor: `rgba(${rgb},0.1)`, borderColor: `rgba(${rgb},0.3)` }}>
+      <h3 className="font-semibold" style={{ color }}>{label} (Monte Carlo)</h3>
+      <p className="text-2xl font-bold" style={{ color }}>${estimate.price.toFixed(4)}</p>
+      <p className="text-sm" style={{ color }}>±{estimate.standardError.toFixed(4)} SE</p>
+      <p className="text-xs" style={{ color }}>
+        95% CI [{estimate.ciLow.toFixed(3)}, {estimate.ciHigh.toFixed(3)}],
+        variance reduction ×{estimate.varianceReductionFactor.toFixed(1)}
+      </p>
+      <p className="text-xs mt-1" style={{ color }}>
+        vs Fourier ${reference.toFixed(4)}: error ${(estimate.price - reference).toFixed(4)}
+        {estimate.standardError > 0 && ` (${((estimate.price - reference) / estimate.standardError).toFixed(1)} SE)`}
+      </p>
+    </div>
+  );
+
+  return (
+    <div className="max-w-7xl mx-auto p-6 bg-[rgb(8,8,12)] min-h-screen">
+      <div className="mb-8">
+        <h1 className="text-4xl font-bold text-[rgb(240,255,255)] mb-2">Bates Model</h1>
+        <p className="text-[rgb(170,170,180)]">Heston stochastic variance with Merton jumps in the price</p>
+      </div>
+
+      {/* Parameters */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+        {parameterGroups.map(({ title, sliders }) => (
+          <div key={title} className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-semibold mb-4 text-[rgb(240,255,255)]">{title}</h2>
+            <div className="space-y-4">
+              {sliders.map(({ key, label, min, max, step, format }) => (
+                <div key={key}>
+                  <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                    {label}: {format(parameters[key])}
+                  </label>
+                  <input
+                    type="range"
+                    min={min}
+                    max={max}
+                    step={step}
+                    value={parameters[key]}
+                    onChange={(e) => setParameters({ ...parameters, [key]: parseFloat(e.target.value) })}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+              ))}
+            </div>
+            {title === 'Variance (Heston)' && (
+              <p className={`text-xs mt-3 ${2 * parameters.kappa * parameters.theta > parameters.sigma * parameters.sigma ? 'text-[#00ff41]' : 'text-[#ef4444]'}`}>
+                Feller condition 2κθ {2 * parameters.kappa * parameters.theta > parameters.sigma * parameters.sigma ? '>' : '≤'} σ²
+              </p>
+            )}
+          </div>
+        ))}
+
+        <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+          <h2 className="text-xl font-semibold mb-4 text-[rgb(240,255,255)]">Simulation Control</h2>
+          <div className="space-y-4">
+            <PathCountInput numPaths={numPaths} onChange={setNumPaths} min={100} />
+
+            <SeedInput seed={seed} onChange={setSeed} color="#f59e0b" />
+
+            <div>
+              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">Variance Scheme</label>
+              <select
+                value={scheme}
+                onChange={(e) => setScheme(e.target.value)}
+                className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
+              >
+                {Object.entries(varianceSchemes).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="batesAntithetic"
+                checked={varianceReduction.antithetic}
+                onChange={(e) => setVarianceReduction({ ...varianceReduction, antithetic: e.target.checked })}
+                className="mr-2"
+              />
+              <label htmlFor="batesAntithetic" className="text-sm text-[rgb(170,170,180)]">Antithetic Variates</label>
+            </div>
+
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="batesControlVariate"
+                checked={varianceReduction.controlVariate}
+                onChange={(e) => setVarianceReduction({ ...varianceReduction, controlVariate: e.target.checked })}
+                className="mr-2"
+              />
+              <label htmlFor="batesControlVariate" className="text-sm text-[rgb(170,170,180)]">Black-Scholes Control Variate</label>
+            </div>
+
+            <button
+              onClick={runSimulation}
+              disabled={simulation.isRunning}
+              className={`w-full py-2 px-4 rounded-md font-medium border ${
+                simulation.isRunning
+                  ? 'bg-[rgba(170,170,180,0.1)] border-[rgba(170,170,180,0.3)] cursor-not-allowed text-[rgb(170,170,180)]'
+                  : 'bg-[rgba(245,158,11,0.1)] border-[rgba(245,158,11,0.3)] hover:bg-[rgba(245,158,11,0.2)] text-[#f59e0b]'
+              }`}
+            >
+              {simulation.isRunning ? 'Simulating...' : 'Run Simulation'}
+            </button>
+
+            {simulation.isRunning && (
+              <SimulationProgress
+                progress={simulation.progress}
+                onCancel={simulation.cancel}
+                detail={simulation.partial &&
+                  `${simulation.partial.pathsDone} paths, call $${simulation.partial.price.toFixed(2)} ± ${simulation.partial.standardError.toFixed(2)}`}
+                color="#f59e0b"
+              />
+            )}
+            {simulationError && <SimulationError message={simulationError} />}
+          </div>
+        </div>
+      </div>
+
+      {/* Paths */}
+      <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6 mb-8">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-[rgb(240,255,255)]">
+            {chartMode === 'paths' ? 'Sample Price Paths' :
+             chartMode === 'fan' ? `Price Percentiles (${describeFanPaths(numPaths)})` : `Variance Percentiles (${describeFanPaths(numPaths)})`}
+          </h2>
+          <select
+            value={chartMode}
+            onChange={(e) => setChartMode(e.target.value)}
+            className="p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
+          >
+            <option value="paths">Price Paths</option>
+            <option value="fan">Price Percentile Fan</option>
+            <option value="variance">Variance Percentile Fan</option>
+          </select>
+        </div>
+
+        <div className="h-80">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={chartMode === 'paths' ? pathRows : fanRows}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+              <XAxis dataKey="time" type="number" domain={['dataMin', 'dataMax']} label={{ value: 'Time (years)', position: 'insideBottom', offset: -5, style: { fill: 'rgb(170,170,180)' } }} tick={{ fill: 'rgb(170,170,180)' }} tickCount={5} tickFormatter={(value) => value.toFixed(1)} />
+              <YAxis domain={['auto', 'auto']} tickFormatter={(value) => (showVariance ? value.toFixed(3) : value.toFixed(0))} label={{ value: showVariance ? 'Variance' : 'Stock Price ($)', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' } }} tick={{ fill: 'rgb(170,170,180)' }} />
+              <Tooltip
+                formatter={(value, name) => [
+                  Array.isArray(value) ? value.map(v => v.toFixed(showVariance ? 4 : 2)).join(' – ') : value.toFixed(showVariance ? 4 : 2),
+                  name
+                ]}
+                labelFormatter={(value) => `t = ${value.toFixed(3)}`}
+                contentStyle={tooltipStyle}
+              />
+              {chartMode === 'paths' ? paths.map((_, i) => (
+                <Line key={i} type="monotone" dataKey={`path${i}`} name={`Path ${i + 1}`} stroke="#f59e0b" strokeWidth={1} strokeOpacity={0.8} dot={false} />
+              )) : [
+                <Area key="outer" type="monotone" dataKey="outerBand" name="5th–95th" stroke="none" fill={showVariance ? '#ff10f0' : '#f59e0b'} fillOpacity={0.15} />,
+                <Area key="inner" type="monotone" dataKey="innerBand" name="25th–75th" stroke="none" fill={showVariance ? '#ff10f0' : '#f59e0b'} fillOpacity={0.3} />,
+                <Line key="median" type="monotone" dataKey="p50" name="Median" stroke={showVariance ? '#ff10f0' : '#f59e0b'} strokeWidth={2} dot={false} />
+              ]}
+              {chartMode === 'paths' && (
+                <Scatter data={jumpMarkers} dataKey="price" name="Jump" fill="#ef4444" />
+              )}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+        {results && (
+          <p className="text-sm text-[rgb(170,170,180)] mt-2">
+            {results.totalJumps} jumps across all paths ({results.jumpFrequency.toFixed(2)} per year against λ = {parameters.lambda.toFixed(2)}).
+            Red dots mark jumps on the sample paths.
+          </p>
+        )}
+      </div>
+
+      {/* Option Pricing */}
+      <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6 mb-8">
+        <h2 className="text-xl font-semibold mb-4 text-[rgb(240,255,255)]">
+          Option Pricing{results && ` (K = $${results.K}, T = ${results.T})`}
+        </h2>
+        {results && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              {renderEstimate('Call', results.callEstimate, results.references.bates.call, '#f59e0b', '245,158,11')}
+              {renderEstimate('Put', results.putEstimate, results.references.bates.put, '#ff10f0', '255,16,240')}
+            </div>
+
+            <table className="w-full text-sm text-[rgb(170,170,180)]">
+              <thead>
+                <tr className="border-b border-[rgba(170,170,180,0.2)]">
+                  <th className="text-left py-2">Model (semi-analytic)</th>
+                  <th className="text-right py-2">Call</th>
+                  <th className="text-right py-2">Put</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[
+                  ['Bates', results.references.bates],
+                  ['Heston (λ = 0)', results.references.heston],
+                  ['Black-Scholes (σ = √V₀)', results.references.blackScholes]
+                ].map(([label, { call, put }]) => (
+                  <tr key={label} className="border-b border-[rgba(170,170,180,0.1)]">
+                    <td className="py-2">{label}</td>
+                    <td className="text-right py-2 font-mono">${call.toFixed(4)}</td>
+                    <td className="text-right py-2 font-mono">${put.toFixed(4)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-[rgb(170,170,180)] mt-2">
+              Jump premium over Heston: call ${(results.references.bates.call - results.references.heston.call).toFixed(4)},
+              put ${(results.references.bates.put - results.references.heston.put).toFixed(4)}.
+            </p>
+          </>
+        )}
+      </div>
+
+      {/* Skew Attribution */}
+      <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6 mb-8">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-xl font-semibold text-[rgb(240,255,255)]">Where Does the Skew Come From?</h2>
+          <button
+            onClick={runSkewAnalysis}
+            disabled={isAnalyzingSkew}
+            className={`py-2 px-4 rounded-md font-medium border ${
+              isAnalyzingSkew
+                ? 'bg-[rgba(170,170,180,0.1)] border-[rgba(170,170,180,0.3)] cursor-not-allowed text-[rgb(170,170,180)]'
+                : 'bg-[rgba(245,158,11,0.1)] border-[rgba(245,158,11,0.3)] hover:bg-[rgba(245,158,11,0.2)] text-[#f59e0b]'
+            }`}
+          >
+            {isAnalyzingSkew ? 'Computing...' : 'Analyze Skew'}
+          </button>
+        </div>
+        <p className="text-sm text-[rgb(170,170,180)] mb-4">
+          Implied vols from the Fourier prices with correlation and jumps switched off in turn. The breakdown
+          splits the 90–110% skew (IV at 90% of S₀ minus IV at 110%) into what is left with neither, the extra
+          from correlation alone, the extra from jumps alone, and their interaction; the four parts add up to the Bates skew.
+          Jump share compares the two standalone effects.
+        </p>
+
+        {skew && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h3 className="font-semibold text-[rgb(240,255,255)] mb-2">Smiles at T = {skew.T}</h3>
+              <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={skew.smile} margin={{ top: 10, right: 20, left: 10, bottom: 30 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                    <XAxis
+                      dataKey="moneyness"
+                      type="number"
+                      domain={['dataMin', 'dataMax']}
+                      tickFormatter={(value) => `${(value * 100).toFixed(0)}%`}
+                      label={{ value: 'Strike / S₀', position: 'insideBottom', offset: -15, style: { fill: 'rgb(170,170,180)' } }}
+                      tick={{ fill: 'rgb(170,170,180)' }}
+                    />
+                    <YAxis
+                      domain={['auto', 'auto']}
+                      tickFormatter={(value) => value.toFixed(1)}
+                      label={{ value: 'Implied Vol (%)', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' } }}
+                      tick={{ fill: 'rgb(170,170,180)' }}
+                    />
+                    <Tooltip
+                      formatter={(value, name) => [`${value.toFixed(2)}%`, name]}
+                      labelFormatter={(value) => `Strike: ${(value * 100).toFixed(0)}% of S₀`}
+                      contentStyle={tooltipStyle}
+                    />
+                    <Legend verticalAlign="top" wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+                    {Object.entries(skewVariants).map(([key, { label }]) => (
+                      <Line
+                        key={key}
+                        type="monotone"
+                        dataKey={key}
+                        name={label}
+                        stroke={variantColors[key]}
+                        strokeWidth={key === 'both' ? 3 : 1.5}
+                        dot={false}
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            <div>
+              <h3 className="font-semibold text-[rgb(240,255,255)] mb-2">90–110% Skew Breakdown by Maturity</h3>
+              <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={skew.attribution} stackOffset="sign" margin={{ top: 10, right: 20, left: 10, bottom: 30 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                    <XAxis dataKey="maturity" tick={{ fill: 'rgb(170,170,180)' }} />
+                    <YAxis
+                      tickFormatter={(value) => value.toFixed(1)}
+                      label={{ value: 'Skew (vol pts)', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' } }}
+                      tick={{ fill: 'rgb(170,170,180)' }}
+                    />
+                    <Tooltip formatter={(value, name) => [`${value.toFixed(2)} vol pts`, name]} contentStyle={tooltipStyle} />
+                    <Legend verticalAlign="top" wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+                    <ReferenceLine y={0} stroke="rgb(170,170,180)" />
+                    <Bar dataKey="neither" name="Neither" stackId="skew" fill={variantColors.neither} />
+                    <Bar dataKey="correlation" name="Correlation" stackId="skew" fill={variantColors.correlation} />
+                    <Bar dataKey="jumps" name="Jumps" stackId="skew" fill={variantColors.jumps} />
+                    <Bar dataKey="interaction" name="Interaction" stackId="skew" fill="#8b5cf6" />
+                    <Line type="monotone" dataKey="total" name="Bates total" stroke={variantColors.both} strokeWidth={2} />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {skew && (
+          <table className="w-full text-sm text-[rgb(170,170,180)] mt-4">
+            <thead>
+              <tr className="border-b border-[rgba(170,170,180,0.2)]">
+                <th className="text-left py-2">Maturity</th>
+                <th className="text-right py-2">Neither</th>
+                <th className="text-right py-2">Correlation</th>
+                <th className="text-right py-2">Jumps</th>
+                <th className="text-right py-2">Interaction</th>
+                <th className="text-right py-2">Total</th>
+                <th className="text-right py-2">Jump Share</th>
+              </tr>
+            </thead>
+            <tbody>
+              {skew.attribution.map(row => (
+                <tr key={row.maturity} className="border-b border-[rgba(170,170,180,0.1)] font-mono">
+                  <td className="py-2">{row.maturity}</td>
+                  <td className="text-right py-2">{row.neither.toFixed(2)}</td>
+                  <td className="text-right py-2">{row.correlation.toFixed(2)}</td>
+                  <td className="text-right py-2">{row.jumps.toFixed(2)}</td>
+                  <td className="text-right py-2">{row.interaction.toFixed(2)}</td>
+                  <td className="text-right py-2">{row.total.toFixed(2)}</td>
+                  <td className="text-right py-2">
+                    {Math.abs(row.correlation) + Math.abs(row.jumps) > 0
+                      ? `${(100 * Math.abs(row.jumps) / (Math.abs(row.correlation) + Math.abs(row.jumps))).toFixed(0)}%`
+                      : '–'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Model Explanation */}
+      <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+        <h2 className="text-xl font-semibold mb-4 text-[rgb(240,255,255)]">Bates Model</h2>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <h3 className="font-semibold text-[rgb(240,255,255)] mb-2">Model Equations</h3>
+            <div className="bg-[rgba(18,18,24,0.8)] border border-[rgba(170,170,180,0.2)] p-4 rounded-lg font-mono text-sm text-[rgb(170,170,180)]">
+              <div>dS = (r - λk)S dt + √V S dW₁ + S (J - 1) dN</div>
+              <div>dV = κ(θ - V) dt + σ√V dW₂</div>
+              <div>dW₁ dW₂ = ρ dt</div>
+              <div className="mt-2 text-xs text-gray-600">
+                where:<br/>
+                • ln J ~ N(μⱼ, σⱼ²), k = E[J] - 1<br/>
+                • N(t) = Poisson process with intensity λ<br/>
+                • jumps independent of W₁, W₂
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <h3 className="font-semibold text-[rgb(240,255,255)] mb-2">Two Sources of Skew</h3>
+            <ul className="text-sm text-[rgb(170,170,180)] space-y-1">
+              <li>• Negative ρ: falling prices raise variance, a skew that builds with maturity</li>
+              <li>• Negative μⱼ: crashes fatten the left tail, a skew that is steepest at short maturities</li>
+              <li>• λ = 0 recovers Heston; σ → 0 with V₀ = θ recovers Merton</li>
+              <li>• Jumps are independent of both Brownian motions, so the characteristic function factorizes</li>
+            </ul>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BatesModel;
@@ -0,0 +1,321 @@
+import React, { useState } from 'react';
+import { Bar, ComposedChart, Line, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { rebalanceIntervals } from '../lib/hedging.js';
+import { horizonVolatility, riskModels } from '../lib/risk.js';
+import { useSimulationWorker } from '../lib/useSimulationWorker.js';
+import PathCountInput from './PathCountInput.jsx';
+import SimulationError from './SimulationError.jsx';
+import SimulationProgress from './SimulationProgress.jsx';
+
+const percent = (value, digits = 1) => `${(value * 100).toFixed(digits)}%`;
+const money = (value) => (value < 0 ? `−$${(-value).toFixed(2)}` : `$${value.toFixed(2)}`);
+
+const tooltipStyle = (color) => ({
+  backgroundColor: 'rgba(18,18,24,0.95)',
+  border: `1px solid ${color}`,
+  color: 'rgb(240,255,255)'
+});
+
+const summaryRows = [
+  { key: 'mean', label: 'Mean P&L' },
+  { key: 'std', label: 'Standard deviation', format: (value) => `$${value.toFixed(2)}` },
+  { key: 'median', label: 'Median' },
+  { key: 'p5', label: '5th percentile' },
+  { key: 'p1', label: '1st percentile' },
+  { key: 'shortfall', label: 'Expected shortfall (worst 5%)', format: (value) => money(-value) },
+  { key: 'worst', label: 'Worst path' },
+  { key: 'meanCost', label: 'Mean transaction costs', format: (value) => `$${value.toFixed(2)}` }
+];
+
+// Delta-hedging panel for the Merton and Heston pages: sells the strike-K call at its
+// Black-Scholes price, hedges it with the Black-Scholes delta along paths of the page's model
+// and along GBM paths for reference, and shows where the hedge breaks down.
+const HedgingPanel = ({ model, parameters, seed, color }) => {
+  const hedging = useSimulationWorker();
+  const modelVolatility = horizonVolatility(model, parameters, parameters.T);
+  const [hedgeVolatility, setHedgeVolatility] = useState(() => Math.round(modelVolatility * 100) / 100);
+  const [rebalanceDays, setRebalanceDays] = useState(1);
+  const [costBasisPoints, setCostBasisPoints] = useState(5);
+  const [numPaths, setNumPaths] = useState(5000);
+  const [results, setResults] = useState(null);
+  const [simulationError, setSimulationError] = useState(null);
+
+  const runHedge = () => {
+    setSimulationError(null);
+    hedging.run('deltaHedging', {
+      model,
+      parameters,
+      hedgeVolatility,
+      rebalanceDays,
+      costRate: costBasisPoints / 10000,
+      numPaths,
+      seed
+    }, { onResult: setResults, onError: setSimulationError });
+  };
+
+  const label = riskModels[model].label;
+  const hasJumps = results && results.summary[model].jumpSplit;
+
+  return (
+    <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6 mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 className="text-xl font-semibold text-[rgb(240,255,255)]">Delta Hedging</h2>
+        <button
+          onClick={runHedge}
+          disabled={hedging.isRunning}
+          className={`py-2 px-4 rounded-md text-sm font-medium border ${
+            hedging.isRunning
+              ? 'bg-[rgba(170,170,180,0.1)] border-[rgba(170,170,180,0.3)] cursor-not-allowed text-[rgb(170,170,180)]'
+              : 'border-[rgba(170,170,180,0.3)] hover:bg-[rgba(170,170,180,0.1)]'
+          }`}
+          style={hedging.isRunning ? undefined : { color }}
+        >
+          {hedging.isRunning ? 'Hedging...' : 'Run Hedge'}
+        </button>
+      </div>
+
+      <p className="text-sm text-[rgb(170,170,180)] mb-4">
+        Sell the {parameters.T}-year call struck at {parameters.K} for its Black-Scholes price at the hedge
+        volatility, then hold the Black-Scholes delta in the stock, rebalancing on a daily grid and paying
+        the transaction cost on every trade. The P&L at expiry is the hedging error. Along GBM paths with the
+        hedge volatility it shrinks toward zero as rebalancing gets more frequent; along {label} paths it does not.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+            Hedge Volatility: {percent(hedgeVolatility, 0)}
+          </label>
+          <input
+            type="range"
+            min="0.05"
+            max="0.8"
+            step="0.01"
+            value={hedgeVolatility}
+            onChange={(e) => setHedgeVolatility(parseFloat(e.target.value))}
+            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+          />
+          <button
+            onClick={() => setHedgeVolatility(Math.round(modelVolatility * 100) / 100)}
+            className="mt-1 text-xs underline"
+            style={{ color }}
+          >
+            Use the {label} volatility ({percent(modelVolatility)})
+          </button>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">Rebalancing</label>
+          <select
+            value={rebalanceDays}
+            onChange={(e) => setRebalanceDays(parseInt(e.target.value))}
+            className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
+          >
+            {rebalanceIntervals.map(({ days, label: intervalLabel }) => (
+              <option key={days} value={days}>{intervalLabel}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+            Transaction Cost: {costBasisPoints} bp of traded value
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="50"
+            step="1"
+            value={costBasisPoints}
+            onChange={(e) => setCostBasisPoints(parseInt(e.target.value))}
+            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+          />
+        </div>
+
+        <PathCountInput numPaths={numPaths} onChange={setNumPaths} min={100} max={100000} />
+      </div>
+
+      {hedging.isRunning && (
+        <div className="mb-4">
+          <SimulationProgress
+            progress={hedging.progress}
+            onCancel={hedging.cancel}
+            detail={hedging.partial && `hedging ${riskModels[hedging.partial.model].label} paths`}
+            color={color}
+          />
+        </div>
+      )}
+
+      {simulationError && (
+        <div className="mb-4">
+          <SimulationError message={simulationError} />
+        </div>
+      )}
+
+      {results && (
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <p className="text-sm text-[rgb(170,170,180)] mb-2">
+                Premium received: <span className="text-[rgb(240,255,255)]">{money(results.premium)}</span>
+              </p>
+              <table className="w-full text-sm text-[rgb(170,170,180)]">
+                <thead>
+                  <tr className="text-left text-[rgb(240,255,255)]">
+                    <th className="py-1">Final hedge P&L</th>
+                    <th className="py-1" style={{ color }}>{label}</th>
+                    <th className="py-1" style={{ color: riskModels.gbm.color }}>GBM</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summaryRows.map(({ key, label: rowLabel, format = money }) => (
+                    <tr key={key} className="border-t border-[rgba(170,170,180,0.2)]">
+                      <td className="py-1 text-[rgb(240,255,255)]">{rowLabel}</td>
+                      <td className="py-1">{format(results.summary[model][key])}</td>
+                      <td className="py-1">{format(results.summary.gbm[key])}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {hasJumps && (
+                <p className="text-sm text-[rgb(170,170,180)] mt-3">
+                  {percent(hasJumps.withJumps.fraction)} of the paths jumped at least once, with a mean P&L
+                  of {hasJumps.withJumps.mean === null ? '–' : money(hasJumps.withJumps.mean)}; the paths without
+                  a jump averaged {hasJumps.noJumps.mean === null ? '–' : money(hasJumps.noJumps.mean)}. The
+                  short call collects the jump risk premium on quiet paths and pays it back in the jumps.
+                </p>
+              )}
+            </div>
+
+            <div>
+              <h3 className="font-semibold text-[rgb(240,255,255)] mb-2">Distribution of Final P&L</h3>
+              <ResponsiveContainer width="100%" height={300}>
+                <ComposedChart data={results.distribution} margin={{ top: 10, right: 20, left: 10, bottom: 30 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                  <XAxis
+                    dataKey="pnl"
+                    type="number"
+                    domain={['dataMin', 'dataMax']}
+                    tickFormatter={(value) => value.toFixed(0)}
+                    label={{ value: 'Hedge P&L at expiry ($)', position: 'insideBottom', offset: -15, style: { fill: 'rgb(170,170,180)' } }}
+                    tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+                  />
+                  <YAxis
+                    tickFormatter={(value) => percent(value, 0)}
+                    tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+                    width={50}
+                  />
+                  <Tooltip
+                    formatter={(value, name) => [percent(value, 2), name]}
+                    labelFormatter={(value) => `P&L ≈ ${money(value)}`}
+                    contentStyle={tooltipStyle(color)}
+                  />
+                  <Legend verticalAlign="top" wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+                  {hasJumps ? [
+                    <Bar key="noJumps" dataKey="noJumps" name={`${label}, no jump`} stackId="model" fill={color} />,
+                    <Bar key="withJumps" dataKey="withJumps" name={`${label}, with jumps`} stackId="model" fill="#ef4444" />
+                  ] : (
+                    <Bar dataKey={model} name={label} fill={color} />
+                  )}
+                  <Line type="monotone" dataKey="gbm" name="GBM" stroke={riskModels.gbm.color} strokeWidth={2} dot={false} />
+                  <ReferenceLine x={0} stroke="rgba(170,170,180,0.6)" strokeDasharray="3 3" />
+                </ComposedChart>
+              </ResponsiveContainer>
+              <p className="text-xs text-[rgb(170,170,180)] mt-2">
+                Probability per bin; the end bins also hold the most extreme 0.5% on each side.
+              </p>
+            </div>
+          </div>
+
+          <div className={`grid grid-cols-1 ${hasJumps ? 'lg:grid-cols-2' : ''} gap-6`}>
+            <div>
+              <h3 className="font-semibold text-[rgb(240,255,255)] mb-2">
+                Hedge P&L Along Sample {label} Paths{hasJumps ? ', with Jump Times' : ''}
+              </h3>
+              <ResponsiveContainer width="100%" height={300}>
+                <ComposedChart data={results.pnlPaths} margin={{ top: 10, right: 20, left: 10, bottom: 30 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                  <XAxis
+                    dataKey="time"
+                    type="number"
+                    domain={['dataMin', 'dataMax']}
+                    tickFormatter={(value) => value.toFixed(2)}
+                    label={{ value: 'Time (years)', position: 'insideBottom', offset: -15, style: { fill: 'rgb(170,170,180)' } }}
+                    tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+                  />
+                  <YAxis
+                    tickFormatter={(value) => value.toFixed(1)}
+                    tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+                    width={50}
+                  />
+                  <Tooltip
+                    formatter={(value, name) => [money(value), name]}
+                    labelFormatter={(value) => `t = ${value.toFixed(3)}`}
+                    contentStyle={tooltipStyle(color)}
+                  />
+                  <ReferenceLine y={0} stroke="rgba(170,170,180,0.6)" strokeDasharray="3 3" />
+                  {Object.keys(results.pnlPaths[0]).filter(key => key !== 'time').map((key, i) => (
+                    <Line
+                      key={key}
+                      type="monotone"
+                      dataKey={key}
+                      name={`Path ${i + 1}`}
+                      stroke={color}
+                      strokeWidth={1}
+                      strokeOpacity={0.8}
+                      dot={false}
+                    />
+                  ))}
+                  {hasJumps && (
+                    <Scatter data={results.jumpData} dataKey="pnl" name="Jump" fill="#ef4444" />
+                  )}
+                </ComposedChart>
+              </ResponsiveContainer>
+              <p className="text-xs text-[rgb(170,170,180)] mt-2">
+                Mark-to-market P&L: cash plus stock minus the Black-Scholes value of the short call.
+              </p>
+            </div>
+
+            {hasJumps && (
+              <div>
+                <h3 className="font-semibold text-[rgb(240,255,255)] mb-2">Hedge P&L over Each Jump Step</h3>
+                <ResponsiveContainer width="100%" height={300}>
+                  <ComposedChart data={results.jumpImpact} margin={{ top: 10, right: 20, left: 10, bottom: 30 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                    <XAxis
+                      dataKey="jumpSize"
+                      type="number"
+                      domain={['auto', 'auto']}
+                      tickFormatter={(value) => percent(value, 0)}
+                      label={{ value: 'Log-jump size', position: 'insideBottom', offset: -15, style: { fill: 'rgb(170,170,180)' } }}
+                      tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+                    />
+                    <YAxis
+                      dataKey="stepPnl"
+                      tickFormatter={(value) => value.toFixed(1)}
+                      tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+                      width={50}
+                    />
+                    <Tooltip
+                      formatter={(value, name) => [name === 'Log-jump size' ? percent(value, 2) : money(value), name]}
+                      contentStyle={tooltipStyle(color)}
+                    />
+                    <ReferenceLine y={0} stroke="rgba(170,170,180,0.6)" strokeDasharray="3 3" />
+                    <Scatter dataKey="stepPnl" name="Hedge P&L" fill="#ef4444" fillOpacity={0.6} />
+                  </ComposedChart>
+                </ResponsiveContainer>
+                <p className="text-xs text-[rgb(170,170,180)] mt-2">
+                  The hedge is short gamma, so jumps in either direction lose money, roughly in proportion to the
+                  squared jump: the delta is stale by the time the price has moved. Only small jumps are covered by
+                  the day's time decay. {results.jumpImpact.length.toLocaleString()} jump steps shown.
+                </p>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HedgingPanel;
@@ -1,6 +1,55 @@
 import React, { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ScatterChart, Scatter } from 'recharts';
-import * as math from 'mathjs';
+import { LineChart, Line, Area, ComposedChart, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, ScatterChart, Scatter } from 'recharts';
+import { blackScholesGreeks, blackScholesPrice, impliedVolatility } from '../lib/blackScholes.js';
+import { fourierCallPrices } from '../lib/fourier.js';
+import { hestonCharacteristicFunction, varianceSchemes } from '../lib/heston.js';
+import { parseQuotes } from '../lib/hestonCalibration.js';
+import { describeFanPaths, toPathRows } from '../lib/paths.js';
+import { payoffTypes } from '../lib/payoffs.js';
+import { useSimulationWorker } from '../lib/useSimulationWorker.js';
+import HedgingPanel from './HedgingPanel.jsx';
+import PathCountInput from './PathCountInput.jsx';
+import RiskPanel from './RiskPanel.jsx';
+import SeedInput from './SeedInput.jsx';
+import SimulationError from './SimulationError.jsx';
+import SimulationProgress from './SimulationProgress.jsx';
+
+const calibrationLabels = { kappa: 'κ', theta: 'θ', sigma: 'σ', rho: 'ρ', V0: 'V₀' };
+
+// Rows of the Greeks table. Black-Scholes has a single flat variance, so both Heston vegas
+// are set against its sensitivity to σ².
+const greekRows = [
+  { key: 'delta', label: 'Delta', description: '∂C/∂S' },
+  { key: 'gamma', label: 'Gamma', description: '∂²C/∂S²' },
+  { key: 'vegaV0', label: 'Vega (V₀)', description: '∂C/∂V₀' },
+  { key: 'vegaTheta', label: 'Vega (θ)', description: '∂C/∂θ' },
+  { key: 'rho', label: 'Rho', description: '∂C/∂r' },
+  { key: 'theta', label: 'Theta', description: '−∂C/∂T, per year' }
+];
+
+// Greeks plotted against spot, with their Heston and Black-Scholes series in the sweep data
+const sweepGreeks = {
+  delta: { label: 'Delta', heston: 'hestonDelta', bs: 'bsDelta' },
+  gamma: { label: 'Gamma', heston: 'hestonGamma', bs: 'bsGamma' },
+  vega: { label: 'Vega (∂C/∂V₀)', heston: 'hestonVega', bs: 'bsVega' }
+};
+
+const sampleQuotes = `strike,maturity,iv
+80,0.25,0.300
+90,0.25,0.245
+100,0.25,0.200
+110,0.25,0.170
+120,0.25,0.165
+80,0.5,0.275
+90,0.5,0.235
+100,0.5,0.200
+110,0.5,0.175
+120,0.5,0.165
+80,1,0.255
+90,1,0.225
+100,1,0.200
+110,1,0.180
+120,1,0.170`;
 
 const HestonModel = () => {
   const [parameters, setParameters] = useState({
@@ -12,143 +61,300 @@ const HestonModel = () => {
     sigma: 0.3, // Volatility of volatility
     rho: -0.7,  // Correlation between price and volatility
     T: 1.0,     // Time to maturity
+    K: 100,     // Strike price
     steps: 252  // Number of time steps
   });
 
   const [paths, setPaths] = useState([]);
-  const [volatilityPaths, setVolatilityPaths] = useState([]);
+  const [fan, setFan] = useState(null);
   const [statistics, setStatistics] = useState({});
-  const [isSimulating, setIsSimulating] = useState(false);
   const [numPaths, setNumPaths] = useState(100);
+  const [seed, setSeed] = useState(42);
+  const [payoff, setPayoff] = useState({
+    type: 'vanilla',
+    optionType: 'call',
+    upBarrier: 120,
+    downBarrier: 80,
+    lookbackStyle: 'floating'
+  });
   const [showVolatility, setShowVolatility] = useState(false);
+  const [chartMode, setChartMode] = useState('paths');
+  const [smileSettings, setSmileSettings] = useState({
+    minMoneyness: 0.7,  // Lowest strike as a fraction of S0
+    maxMoneyness: 1.3,  // Highest strike as a fraction of S0
+    numStrikes: 13,
+    maturities: [0.25, 0.5, 1, 2]
+  });
+  const [volSurface, setVolSurface] = useState({ smile: [], grid: [] });
+  const [isComputingSurface, setIsComputingSurface] = useState(false);
+  const [scheme, setScheme] = useState('fullTruncation');
+  const [schemeComparison, setSchemeComparison] = useState([]);
+  const [quoteText, setQuoteText] = useState(sampleQuotes);
+  const [quoteType, setQuoteType] = useState('iv');
+  const [calibration, setCalibration] = useState(null);
+  const [varianceReduction, setVarianceReduction] = useState({ antithetic: false, controlVariate: false });
+  const [simulationError, setSimulationError] = useState(null);
+  const [schemeError, setSchemeError] = useState(null);
+  const [greekError, setGreekError] = useState(null);
+  const simulation = useSimulationWorker();
+  const schemeRun = useSimulationWorker();
+  const [greeks, setGreeks] = useState(null);
+  const [greekSweep, setGreekSweep] = useState([]);
+  const [sweepGreek, setSweepGreek] = useState('delta');
+  const greekRun = useSimulationWorker();
+  const calibrationRun = useSimulationWorker();
+
+  const hestonFourierCallPrices = (params, strikes) => fourierCallPrices(hestonCharacteristicFunction, params, strikes);
+
+  // Single-strike Heston price; puts follow from put-call parity
+  const hestonFourierPrice = (params, K, type = 'call') => {
+    const [call] = hestonFourierCallPrices(params, [K]);
+    return type === 'call' ? call : call - params.S0 + K * Math.exp(-params.r * params.T);
+  };
+
+  // Central-difference Greeks of the Fourier call price, the reference for the Monte Carlo estimates
+  const hestonFourierGreeks = (params) => {
+    const price = (overrides) => hestonFourierPrice({ ...params, ...overrides }, params.K);
+    const central = (key, h) => (price({ [key]: params[key] + h }) - price({ [key]: params[key] - h })) / (2 * h);
+    const hS = 0.01 * params.S0;
+
+    return {
+      delta: central('S0', hS),
+      gamma: (price({ S0: params.S0 + hS }) - 2 * price({}) + price({ S0: params.S0 - hS })) / (hS * hS),
+      vegaV0: central('V0', 1e-4),
+      vegaTheta: central('theta', 1e-4),
+      rho: central('r', 1e-4),
+      theta: -central('T', 1e-4)
+    };
+  };
 
-  // Generate correlated random numbers using Cholesky decomposition
-  const generateCorrelatedRandoms = (rho) => {
-    const z1 = math.random();
-    const z2 = math.random();
-    
-    // Box-Muller transformation
-    const u1 = Math.sqrt(-2 * Math.log(z1)) * Math.cos(2 * Math.PI * z2);
-    const u2 = Math.sqrt(-2 * Math.log(z1)) * Math.sin(2 * Math.PI * z2);
-    
-    // Apply correlation
-    const w1 = u1;
-    const w2 = rho * u1 + Math.sqrt(1 - rho * rho) * u2;
-    
-    return [w1, w2];
+  // Delta, gamma and V0-vega against spot, Heston vs Black-Scholes at vol √V0. The Heston price is
+  // homogeneous of degree one in (S, K), so C(s, K) = (s / S0) C(S0, K S0 / s) and each bumped
+  // parameter set needs only one multi-strike Fourier pass across the whole sweep.
+  const computeGreekSweep = (params) => {
+    const { S0, K, r, T, V0 } = params;
+    const eps = 1e-3;
+    const hV = 1e-4;
+    const vol = Math.sqrt(V0);
+    const spots = Array.from({ length: 41 }, (_, i) => S0 * (0.5 + 0.025 * i));
+    const pricesAt = (p, spotList) => hestonFourierCallPrices(p, spotList.map(s => K * S0 / s))
+      .map((price, i) => price * spotList[i] / S0);
+
+    const base = pricesAt(params, spots.flatMap(s => [s * (1 - eps), s, s * (1 + eps)]));
+    const v0Up = pricesAt({ ...params, V0: V0 + hV }, spots);
+    const v0Down = pricesAt({ ...params, V0: V0 - hV }, spots);
+
+    return spots.map((spot, i) => {
+      const [down, mid, up] = base.slice(3 * i, 3 * i + 3);
+      const h = spot * eps;
+      const bs = blackScholesGreeks(spot, K, r, vol, T, 'call');
+      return {
+        spot,
+        hestonDelta: (up - down) / (2 * h),
+        bsDelta: bs.delta,
+        hestonGamma: (up - 2 * mid + down) / (h * h),
+        bsGamma: bs.gamma,
+        hestonVega: (v0Up[i] - v0Down[i]) / (2 * hV),
+        bsVega: bs.vega / (2 * vol)
+      };
+    });
   };
 
-  // Simulate single path using Euler scheme
-  const simulateHestonPath = (params) => {
-    const { S0, V0, r, kappa, theta, sigma, rho, T, steps } = params;
-    const dt = T / steps;
-    
-    const pricePath = [S0];
-    const volPath = [V0];
-    
-    let S = S0;
-    let V = V0;
-    
-    for (let i = 0; i < steps; i++) {
-      const [dW1, dW2] = generateCorrelatedRandoms(rho);
-      const sqrtDt = Math.sqrt(dt);
-      
-      // Ensure volatility stays positive (Feller condition)
-      const sqrtV = Math.max(Math.sqrt(Math.abs(V)), 0.001);
-      
-      // Heston model dynamics
-      const dS = r * S * dt + sqrtV * S * dW1 * sqrtDt;
-      const dV = kappa * (theta - V) * dt + sigma * sqrtV * dW2 * sqrtDt;
-      
-      S += dS;
-      V = Math.max(V + dV, 0.001); // Ensure volatility stays positive
-      
-      pricePath.push(S);
-      volPath.push(V);
+  // Monte Carlo Greeks run in the worker on common random numbers; the Fourier reference,
+  // Black-Scholes Greeks and the spot sweep are cheap enough to compute here
+  const computeGreeks = () => {
+    const vol = Math.sqrt(parameters.V0);
+    const bs = blackScholesGreeks(parameters.S0, parameters.K, parameters.r, vol, parameters.T, 'call');
+    const bsVarianceVega = bs.vega / (2 * vol);
+
+    setGreeks({
+      monteCarlo: null,
+      fourier: hestonFourierGreeks(parameters),
+      blackScholes: { ...bs, vegaV0: bsVarianceVega, vegaTheta: bsVarianceVega }
+    });
+    setGreekSweep(computeGreekSweep(parameters));
+    setGreekError(null);
+    greekRun.run('hestonGreeks', { parameters, numPaths, scheme, seed }, {
+      onResult: (monteCarlo) => setGreeks(current => ({ ...current, monteCarlo })),
+      onError: setGreekError
+    });
+  };
+
+  // Fit κ, θ, σ, ρ and V0 to the pasted quotes in the simulation worker, then load the fit
+  const calibrate = () => {
+    const quotes = parseQuotes(quoteText, quoteType);
+    if (quotes.length < 5) {
+      setCalibration({ error: `Need at least 5 valid quotes, found ${quotes.length}.` });
+      return;
     }
-    
-    return { pricePath, volPath };
+
+    setCalibration(null);
+    calibrationRun.run('hestonCalibration', { parameters, quotes, quoteType }, {
+      onResult: (result) => {
+        setParameters(current => ({ ...current, ...result.fitted }));
+        setCalibration(result);
+      },
+      onError: (message) => setCalibration({ error: `Calibration failed: ${message}` })
+    });
   };
 
-  // Monte Carlo simulation
-  const runSimulation = () => {
-    setIsSimulating(true);
-    
-    setTimeout(() => {
-      const allPricePaths = [];
-      const allVolPaths = [];
-      const finalPrices = [];
-      
-      for (let i = 0; i < numPaths; i++) {
-        const { pricePath, volPath } = simulateHestonPath(parameters);
-        
-        // Store paths for visualization (only first 10 paths to avoid clutter)
-        if (i < 10) {
-          const pathData = pricePath.map((price, idx) => ({
-            time: idx / parameters.steps * parameters.T,
-            price: price,
-            volatility: volPath[idx],
-            pathId: i
-          }));
-          allPricePaths.push(pathData);
-          allVolPaths.push(pathData);
-        }
-        
-        finalPrices.push(pricePath[pricePath.length - 1]);
-      }
-      
-      // Calculate statistics
-      const avgFinalPrice = finalPrices.reduce((a, b) => a + b, 0) / numPaths;
-      const stdFinalPrice = Math.sqrt(
-        finalPrices.reduce((sum, price) => sum + Math.pow(price - avgFinalPrice, 2), 0) / numPaths
-      );
-      
-      // Calculate option prices (European call with strike = S0)
-      const callPayoffs = finalPrices.map(price => Math.max(price - parameters.S0, 0));
-      const callPrice = Math.exp(-parameters.r * parameters.T) * 
-                       callPayoffs.reduce((a, b) => a + b, 0) / numPaths;
-      
-      // Calculate Black-Scholes price for comparison
-      const d1 = (Math.log(parameters.S0 / parameters.S0) + 
-                 (parameters.r + 0.5 * parameters.V0) * parameters.T) / 
-                (Math.sqrt(parameters.V0 * parameters.T));
-      const d2 = d1 - Math.sqrt(parameters.V0 * parameters.T);
-      
-      const normalCDF = (x) => 0.5 * (1 + math.erf(x / Math.sqrt(2)));
-      const bsPrice = parameters.S0 * normalCDF(d1) - 
-                     parameters.S0 * Math.exp(-parameters.r * parameters.T) * normalCDF(d2);
-      
-      setPaths(allPricePaths);
-      setVolatilityPaths(allVolPaths);
-      setStatistics({
-        avgFinalPrice,
-        stdFinalPrice,
-        callPrice,
-        bsPrice,
-        volatilityOfVolatility: Math.sqrt(parameters.V0) * parameters.sigma,
-        fellerCondition: 2 * parameters.kappa * parameters.theta / (parameters.sigma * parameters.sigma)
+  const loadQuoteFile = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      file.text().then(setQuoteText);
+    }
+  };
+
+  // Price a strike x maturity grid with the Fourier pricer and back out implied volatilities.
+  // Out-of-the-money options are inverted because their prices carry the most time value.
+  const computeVolSurface = () => {
+    const { minMoneyness, maxMoneyness, numStrikes, maturities } = smileSettings;
+    const moneyness = Array.from({ length: numStrikes }, (_, i) =>
+      minMoneyness + (maxMoneyness - minMoneyness) * i / (numStrikes - 1)
+    );
+    const strikes = moneyness.map(m => m * parameters.S0);
+
+    const grid = maturities.map(T => {
+      const params = { ...parameters, T };
+      const forward = parameters.S0 * Math.exp(parameters.r * T);
+      const calls = hestonFourierCallPrices(params, strikes);
+
+      return {
+        T,
+        vols: strikes.map((K, k) => {
+          const type = K < forward ? 'put' : 'call';
+          const price = type === 'call'
+            ? calls[k]
+            : calls[k] - parameters.S0 + K * Math.exp(-parameters.r * T);
+          return impliedVolatility(price, parameters.S0, K, parameters.r, T, type);
+        })
+      };
+    });
+
+    // One row per strike with an implied-vol column per maturity, for the smile chart
+    const smile = moneyness.map((m, k) => {
+      const row = { moneyness: m, strike: strikes[k] };
+      grid.forEach(({ T, vols }) => {
+        row[`T=${T}`] = Number.isFinite(vols[k]) ? vols[k] * 100 : null;
       });
-      
-      setIsSimulating(false);
+      return row;
+    });
+
+    return { smile, grid, moneyness };
+  };
+
+  const runVolSurface = () => {
+    setIsComputingSurface(true);
+
+    setTimeout(() => {
+      setVolSurface(computeVolSurface());
+      setIsComputingSurface(false);
     }, 100);
   };
 
-  // Flatten paths for chart display
-  const chartData = paths.flat().map(point => ({
-    time: point.time,
-    price: point.price,
-    volatility: point.volatility * 100 // Convert to percentage
-  }));
+  // Monte Carlo simulation, run in the simulation worker
+  const runSimulation = () => {
+    setSimulationError(null);
+    simulation.run('hestonSimulation', { parameters, numPaths, scheme, varianceReduction, seed, payoff }, {
+      onResult: ({ paths: displayPaths, fan: percentileFan, avgFinalPrice, stdFinalPrice, estimate, payoffEstimate }) => {
+        // Calculate Black-Scholes price for comparison
+        const bsPrice = blackScholesPrice(
+          parameters.S0, parameters.K, parameters.r, Math.sqrt(parameters.V0), parameters.T, 'call'
+        );
+
+        // Semi-analytic Heston reference prices
+        const fourierCallPrice = hestonFourierPrice(parameters, parameters.K, 'call');
+        const fourierPutPrice = hestonFourierPrice(parameters, parameters.K, 'put');
+
+        setPaths(displayPaths);
+        setFan(percentileFan);
+        setStatistics({
+          avgFinalPrice,
+          stdFinalPrice,
+          callPrice: estimate.price,
+          callEstimate: estimate,
+          payoff,
+          payoffEstimate,
+          bsPrice,
+          fourierCallPrice,
+          fourierPutPrice,
+          mcError: estimate.price - fourierCallPrice,
+          impliedVol: impliedVolatility(
+            fourierCallPrice, parameters.S0, parameters.K, parameters.r, parameters.T, 'call'
+          ),
+          negativeVarianceFrequency: estimate.negativeVarianceFrequency,
+          scheme,
+          volatilityOfVolatility: Math.sqrt(parameters.V0) * parameters.sigma,
+          fellerCondition: 2 * parameters.kappa * parameters.theta / (parameters.sigma * parameters.sigma)
+        });
+      },
+      onError: setSimulationError
+    });
+  };
+
+  // Price the same call with every scheme to compare their discretization bias against the Fourier price
+  const compareSchemes = () => {
+    setSchemeError(null);
+    schemeRun.run('hestonSchemeComparison', { parameters, numPaths, varianceReduction, seed }, {
+      onResult: (results) => {
+        const reference = hestonFourierPrice(parameters, parameters.K, 'call');
+        setSchemeComparison(results.map(result => ({ ...result, error: result.price - reference })));
+      },
+      onError: setSchemeError
+    });
+  };
+
+  // Sample paths as one series each; the fan chart shows percentiles over every simulated path.
+  // Paths carry the variance V, shown as volatility √V. Percentiles commute with the square root,
+  // so the variance bands convert point by point.
+  const toVolatility = (variance) => Math.sqrt(variance) * 100;
+  const pathRows = toPathRows(paths, showVolatility ? (point) => toVolatility(point.volatility) : (point) => point.price);
+  const fanRows = !fan ? [] : showVolatility
+    ? fan.variance.map(({ time, p5, p25, p50, p75, p95 }) => ({
+      time,
+      p50: toVolatility(p50),
+      outerBand: [toVolatility(p5), toVolatility(p95)],
+      innerBand: [toVolatility(p25), toVolatility(p75)]
+    }))
+    : fan.price;
+  const chartColor = showVolatility ? '#ff10f0' : '#00ff41';
+  const formatChartValue = (value) => (showVolatility ? `${value.toFixed(2)}%` : `$${value.toFixed(2)}`);
 
-  const volatilityData = volatilityPaths.flat().map(point => ({
-    time: point.time,
-    volatility: point.volatility * 100
-  }));
+  const pricedPayoff = statistics.payoff;
+  const knockType = pricedPayoff && payoffTypes[pricedPayoff.type].knock;
+  const barrierLevel = knockType && (knockType === 'out' ? pricedPayoff.upBarrier : pricedPayoff.downBarrier);
+  const knockedDisplayed = paths.filter(path => path[0]?.knocked).length;
 
   useEffect(() => {
     runSimulation();
+    runVolSurface();
   }, []);
 
+  const smileColors = ['#00ff41', '#00ffff', '#ff10f0', '#ff6b35', '#5c99ff', '#ef4444'];
+  const availableMaturities = [0.1, 0.25, 0.5, 1, 2, 3];
+
+  const toggleMaturity = (T) => {
+    const maturities = smileSettings.maturities.includes(T)
+      ? smileSettings.maturities.filter(m => m !== T)
+      : [...smileSettings.maturities, T].sort((a, b) => a - b);
+    if (maturities.length > 0) {
+      setSmileSettings({ ...smileSettings, maturities });
+    }
+  };
+
+  // Map an implied vol onto the heatmap colour scale (green = lowest, magenta = highest)
+  const surfaceVols = volSurface.grid.flatMap(row => row.vols).filter(Number.isFinite);
+  const minSurfaceVol = surfaceVols.length ? Math.min(...surfaceVols) : 0;
+  const maxSurfaceVol = surfaceVols.length ? Math.max(...surfaceVols) : 1;
+  const heatmapColor = (vol) => {
+    if (!Number.isFinite(vol)) return 'rgba(170,170,180,0.1)';
+    const t = maxSurfaceVol > minSurfaceVol ? (vol - minSurfaceVol) / (maxSurfaceVol - minSurfaceVol) : 0.5;
+    const red = Math.round(255 * t);
+    const green = Math.round(255 * (1 - t) + 16 * t);
+    const blue = Math.round(65 * (1 - t) + 240 * t);
+    return `rgba(${red},${green},${blue},0.35)`;
+  };
+
   return (
     <div className="w-full mx-auto p-6 bg-[rgb(8,8,12)] min-h-screen">
       <div className="mb-8">
@@ -221,6 +427,21 @@ const HestonModel = () => {
                 className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
               />
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                Strike Price (K): ${parameters.K}
+              </label>
+              <input
+                type="range"
+                min="50"
+                max="200"
+                step="5"
+                value={parameters.K}
+                onChange={(e) => setParameters({...parameters, K: parseFloat(e.target.value)})}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+              />
+            </div>
           </div>
         </div>
 
@@ -294,20 +515,7 @@ const HestonModel = () => {
           <h2 className="text-xl font-semibold mb-4 text-[rgb(240,255,255)]">Simulation Control</h2>
           
           <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
-                Number of Paths: {numPaths}
-              </label>
-              <input
-                type="range"
-                min="10"
-                max="1000"
-                step="10"
-                value={numPaths}
-                onChange={(e) => setNumPaths(parseInt(e.target.value))}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-              />
-            </div>
+            <PathCountInput numPaths={numPaths} onChange={setNumPaths} />
 
             <div>
               <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
@@ -324,19 +532,138 @@ const HestonModel = () => {
               />
             </div>
 
+            <SeedInput seed={seed} onChange={setSeed} />
+
+            <div>
+              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">Discretization Scheme</label>
+              <select
+                value={scheme}
+                onChange={(e) => setScheme(e.target.value)}
+                className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
+              >
+                {Object.entries(varianceSchemes).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">Payoff</label>
+              <div className="grid grid-cols-2 gap-2">
+                <select
+                  value={payoff.type}
+                  onChange={(e) => setPayoff({...payoff, type: e.target.value})}
+                  className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
+                >
+                  {Object.entries(payoffTypes).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  value={payoff.optionType}
+                  onChange={(e) => setPayoff({...payoff, optionType: e.target.value})}
+                  className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
+                >
+                  <option value="call">Call</option>
+                  <option value="put">Put</option>
+                </select>
+              </div>
+            </div>
+
+            {payoffTypes[payoff.type].inputs.includes('upBarrier') && (
+              <div>
+                <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                  Upper Barrier: ${payoff.upBarrier}
+                </label>
+                <input
+                  type="range"
+                  min={Math.ceil(parameters.S0)}
+                  max={Math.round(parameters.S0 * 2)}
+                  step="1"
+                  value={payoff.upBarrier}
+                  onChange={(e) => setPayoff({...payoff, upBarrier: parseFloat(e.target.value)})}
+                  className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                />
+              </div>
+            )}
+
+            {payoffTypes[payoff.type].inputs.includes('downBarrier') && (
+              <div>
+                <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                  Lower Barrier: ${payoff.downBarrier}
+                </label>
+                <input
+                  type="range"
+                  min={Math.round(parameters.S0 * 0.5)}
+                  max={Math.floor(parameters.S0)}
+                  step="1"
+                  value={payoff.downBarrier}
+                  onChange={(e) => setPayoff({...payoff, downBarrier: parseFloat(e.target.value)})}
+                  className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                />
+              </div>
+            )}
+
+            {payoffTypes[payoff.type].inputs.includes('lookbackStyle') && (
+              <div>
+                <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">Lookback Strike</label>
+                <select
+                  value={payoff.lookbackStyle}
+                  onChange={(e) => setPayoff({...payoff, lookbackStyle: e.target.value})}
+                  className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
+                >
+                  <option value="floating">Floating (path minimum / maximum)</option>
+                  <option value="fixed">Fixed at K</option>
+                </select>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="hestonAntithetic"
+                  checked={varianceReduction.antithetic}
+                  onChange={(e) => setVarianceReduction({...varianceReduction, antithetic: e.target.checked})}
+                  className="mr-2"
+                />
+                <label htmlFor="hestonAntithetic" className="text-sm text-[rgb(170,170,180)]">Antithetic Variates</label>
+              </div>
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="hestonControlVariate"
+                  checked={varianceReduction.controlVariate}
+                  onChange={(e) => setVarianceReduction({...varianceReduction, controlVariate: e.target.checked})}
+                  className="mr-2"
+                />
+                <label htmlFor="hestonControlVariate" className="text-sm text-[rgb(170,170,180)]">Black-Scholes Control Variate</label>
+              </div>
+            </div>
+
             <div className="space-y-3">
               <button
                 onClick={runSimulation}
-                disabled={isSimulating}
+                disabled={simulation.isRunning}
                 className={`w-full py-3 px-4 rounded-md font-medium border ${
-                  isSimulating
+                  simulation.isRunning
                     ? 'bg-[rgba(170,170,180,0.1)] border-[rgba(170,170,180,0.3)] cursor-not-allowed text-[rgb(170,170,180)]'
                     : 'bg-[rgba(0,255,65,0.1)] border-[rgba(0,255,65,0.3)] hover:bg-[rgba(0,255,65,0.2)] text-[#00ff41]'
                 }`}
               >
-                {isSimulating ? 'Simulating...' : 'Run Simulation'}
+                {simulation.isRunning ? 'Simulating...' : 'Run Simulation'}
               </button>
 
+              {simulation.isRunning && (
+                <SimulationProgress
+                  progress={simulation.progress}
+                  onCancel={simulation.cancel}
+                  detail={simulation.partial &&
+                    `${simulation.partial.pathsDone} paths, call $${simulation.partial.price.toFixed(2)} ± ${simulation.partial.standardError.toFixed(2)}`}
+                />
+              )}
+              {simulationError && <SimulationError message={simulationError} />}
+
               <button
                 onClick={() => setShowVolatility(!showVolatility)}
                 className="w-full py-3 px-4 bg-[rgba(0,255,255,0.1)] border border-[rgba(0,255,255,0.3)] hover:bg-[rgba(0,255,255,0.2)] text-[#00ffff] rounded-md font-medium"
@@ -350,14 +677,27 @@ const HestonModel = () => {
 
       {/* Price/Volatility Chart */}
       <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(0,255,65,0.2)] rounded-lg shadow-lg p-6 mb-8">
-        <h2 className="text-xl font-semibold mb-6 text-[rgb(240,255,255)]">
-          {showVolatility ? 'Volatility Paths' : 'Price Paths'}
-        </h2>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <h2 className="text-xl font-semibold text-[rgb(240,255,255)]">
+            {showVolatility ? 'Volatility' : 'Price'} {chartMode === 'fan' ? `Percentiles (${describeFanPaths(numPaths)})` : 'Paths'}
+          </h2>
+          <select
+            value={chartMode}
+            onChange={(e) => setChartMode(e.target.value)}
+            className="p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)] text-sm"
+          >
+            <option value="paths">Sample Paths</option>
+            <option value="fan">Percentile Fan</option>
+          </select>
+        </div>
         <ResponsiveContainer width="100%" height={400}>
-          <LineChart data={showVolatility ? volatilityData : chartData} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
+          <ComposedChart data={chartMode === 'fan' ? fanRows : pathRows} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
             <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
             <XAxis
               dataKey="time"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(value) => value.toFixed(2)}
               label={{
                 value: 'Time (years)',
                 position: 'insideBottom',
@@ -379,26 +719,55 @@ const HestonModel = () => {
               width={80}
             />
             <Tooltip
-              formatter={(value) => [
-                showVolatility ? `${value.toFixed(2)}%` : `$${value.toFixed(2)}`,
-                showVolatility ? 'Volatility' : 'Price'
+              formatter={(value, name) => [
+                Array.isArray(value) ? value.map(formatChartValue).join(' – ') : formatChartValue(value),
+                name
               ]}
+              labelFormatter={(value) => `t = ${value.toFixed(3)}`}
               contentStyle={{
                 backgroundColor: 'rgba(18,18,24,0.95)',
                 border: '1px solid rgba(0,255,65,0.3)',
                 color: 'rgb(240,255,255)'
               }}
             />
-            <Line
-              type="monotone"
-              dataKey={showVolatility ? 'volatility' : 'price'}
-              stroke={showVolatility ? "#ff10f0" : "#00ff41"}
-              strokeWidth={1.5}
-              dot={false}
-              connectNulls={false}
-            />
-          </LineChart>
+            {chartMode === 'fan' ? [
+              <Area key="outer" type="monotone" dataKey="outerBand" name="5th–95th" stroke="none" fill={chartColor} fillOpacity={0.15} />,
+              <Area key="inner" type="monotone" dataKey="innerBand" name="25th–75th" stroke="none" fill={chartColor} fillOpacity={0.3} />,
+              <Line key="median" type="monotone" dataKey="p50" name="Median" stroke={chartColor} strokeWidth={2} dot={false} />
+            ] : paths.map((path, i) => (
+              <Line
+                key={i}
+                type="monotone"
+                dataKey={`path${i}`}
+                name={`Path ${i + 1}${path[0].knocked ? ` (knocked ${knockType})` : ''}`}
+                stroke={path[0].knocked ? '#ff6b35' : chartColor}
+                strokeWidth={1.5}
+                strokeOpacity={0.8}
+                dot={false}
+              />
+            ))}
+            {!showVolatility && knockType && (
+              <ReferenceLine
+                y={barrierLevel}
+                stroke="#ff6b35"
+                strokeDasharray="5 5"
+                label={{ value: `Barrier $${barrierLevel}`, position: 'insideTopRight', fill: '#ff6b35', fontSize: 12 }}
+              />
+            )}
+          </ComposedChart>
         </ResponsiveContainer>
+        {!showVolatility && knockType && chartMode === 'paths' && (
+          <p className="text-sm text-[rgb(170,170,180)] mt-2">
+            <span className="text-[#ff6b35]">Orange</span> paths touched the barrier and knocked {knockType}:
+            {' '}{knockedDisplayed} of the {paths.length} paths shown,
+            {' '}{(statistics.payoffEstimate.knockedFraction * 100).toFixed(1)}% of all {numPaths.toLocaleString()} simulated.
+          </p>
+        )}
+        {chartMode === 'fan' && (
+          <p className="text-sm text-[rgb(170,170,180)] mt-2">
+            Shaded bands cover the 5th–95th and 25th–75th percentiles at each time step; the line is the median.
+          </p>
+        )}
       </div>
 
       {/* Statistics */}
@@ -424,7 +793,10 @@ const HestonModel = () => {
                     ${statistics.callPrice.toFixed(2)}
                   </p>
                   <p className="text-sm text-[#00ffff]">
-                    Heston Monte Carlo
+                    ±${statistics.callEstimate.standardError.toFixed(3)} SE, 95% CI [${statistics.callEstimate.ciLow.toFixed(2)}, ${statistics.callEstimate.ciHigh.toFixed(2)}]
+                  </p>
+                  <p className="text-sm text-[#00ffff]">
+                    Heston Monte Carlo, K = ${parameters.K}, variance reduction ×{statistics.callEstimate.varianceReductionFactor.toFixed(1)}
                   </p>
                 </div>
 
@@ -438,13 +810,50 @@ const HestonModel = () => {
                   </p>
                 </div>
 
+                <div className="bg-[rgba(92,153,255,0.1)] border border-[rgba(92,153,255,0.3)] p-4 rounded-lg">
+                  <h3 className="font-semibold text-[#5c99ff]">Heston Fourier Price</h3>
+                  <p className="text-2xl font-bold text-[#5c99ff]">
+                    ${statistics.fourierCallPrice.toFixed(2)}
+                  </p>
+                  <p className="text-sm text-[#5c99ff]">
+                    Call (put: ${statistics.fourierPutPrice.toFixed(2)})
+                  </p>
+                </div>
+
                 <div className="bg-[rgba(255,107,53,0.1)] border border-[rgba(255,107,53,0.3)] p-4 rounded-lg">
                   <h3 className="font-semibold text-[#ff6b35]">Price Difference</h3>
                   <p className="text-2xl font-bold text-[#ff6b35]">
-                    ${(statistics.callPrice - statistics.bsPrice).toFixed(2)}
+                    ${(statistics.fourierCallPrice - statistics.bsPrice).toFixed(2)}
                   </p>
                   <p className="text-sm text-[#ff6b35]">
-                    Heston - Black-Scholes
+                    Heston (Fourier) - Black-Scholes
+                  </p>
+                </div>
+
+                <div className="bg-[rgba(239,68,68,0.1)] border border-[rgba(239,68,68,0.3)] p-4 rounded-lg">
+                  <h3 className="font-semibold text-[#ef4444]">Monte Carlo Error</h3>
+                  <p className="text-2xl font-bold text-[#ef4444]">
+                    ${statistics.mcError.toFixed(2)}
+                  </p>
+                  <p className="text-sm text-[#ef4444]">
+                    {statistics.callEstimate.standardError > 0 && `${(statistics.mcError / statistics.callEstimate.standardError).toFixed(1)} standard errors `}vs Fourier reference
+                  </p>
+                </div>
+
+                <div className="col-span-2 bg-[rgba(245,158,11,0.1)] border border-[rgba(245,158,11,0.3)] p-4 rounded-lg">
+                  <h3 className="font-semibold text-[#f59e0b]">
+                    {payoffTypes[statistics.payoff.type].label} {statistics.payoff.optionType === 'call' ? 'Call' : 'Put'}
+                  </h3>
+                  <p className="text-2xl font-bold text-[#f59e0b]">
+                    ${statistics.payoffEstimate.price.toFixed(2)}
+                  </p>
+                  <p className="text-sm text-[#f59e0b]">
+                    ±${statistics.payoffEstimate.standardError.toFixed(3)} SE, 95% CI [${statistics.payoffEstimate.ciLow.toFixed(2)}, ${statistics.payoffEstimate.ciHigh.toFixed(2)}]
+                  </p>
+                  <p className="text-sm text-[#f59e0b]">
+                    Priced from the same paths
+                    {payoffTypes[statistics.payoff.type].knock &&
+                      `, ${(statistics.payoffEstimate.knockedFraction * 100).toFixed(1)}% knocked ${payoffTypes[statistics.payoff.type].knock}`}
                   </p>
                 </div>
               </div>
@@ -462,12 +871,505 @@ const HestonModel = () => {
                     <span className="font-medium">Vol of Vol:</span> 
                     <span className="ml-2">{(statistics.volatilityOfVolatility * 100).toFixed(1)}%</span>
                   </div>
+                  <div>
+                    <span className="font-medium">Negative Variance Steps:</span> 
+                    <span className={`ml-2 ${statistics.negativeVarianceFrequency > 0 ? 'text-[#ff6b35]' : 'text-[#00ffff]'}`}>
+                      {(statistics.negativeVarianceFrequency * 100).toFixed(2)}%
+                    </span>
+                  </div>
+                  <div>
+                    <span className="font-medium">Scheme:</span> 
+                    <span className="ml-2">{varianceSchemes[statistics.scheme]}</span>
+                  </div>
+                  <div>
+                    <span className="font-medium">Heston Implied Vol:</span> 
+                    <span className="ml-2">
+                      {Number.isFinite(statistics.impliedVol) ? `${(statistics.impliedVol * 100).toFixed(2)}%` : 'n/a'}
+                    </span>
+                  </div>
+                </div>
+
+                <div className="mt-4">
+                  <button
+                    onClick={compareSchemes}
+                    disabled={schemeRun.isRunning}
+                    className={`py-2 px-4 rounded-md text-sm font-medium border ${
+                      schemeRun.isRunning
+                        ? 'bg-[rgba(170,170,180,0.1)] border-[rgba(170,170,180,0.3)] cursor-not-allowed text-[rgb(170,170,180)]'
+                        : 'bg-[rgba(0,255,255,0.1)] border-[rgba(0,255,255,0.3)] hover:bg-[rgba(0,255,255,0.2)] text-[#00ffff]'
+                    }`}
+                  >
+                    {schemeRun.isRunning ? 'Comparing...' : 'Compare All Schemes'}
+                  </button>
+
+                  {schemeRun.isRunning && (
+                    <div className="mt-3">
+                      <SimulationProgress progress={schemeRun.progress} onCancel={schemeRun.cancel} color="#00ffff" />
+                    </div>
+                  )}
+                  {schemeError && (
+                    <div className="mt-3">
+                      <SimulationError message={schemeError} />
+                    </div>
+                  )}
+
+                  {schemeComparison.length > 0 && (
+                    <table className="w-full mt-4 text-sm text-[rgb(170,170,180)]">
+                      <thead>
+                        <tr className="text-left text-[rgb(240,255,255)]">
+                          <th className="py-1">Scheme</th>
+                          <th className="py-1">Call Price</th>
+                          <th className="py-1">Std Error</th>
+                          <th className="py-1">Error vs Fourier</th>
+                          <th className="py-1">Negative Variance Steps</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {schemeComparison.map(result => (
+                          <tr key={result.key} className="border-t border-[rgba(170,170,180,0.2)]">
+                            <td className="py-1">{varianceSchemes[result.key]}</td>
+                            <td className="py-1">${result.price.toFixed(4)}</td>
+                            <td className="py-1">{result.standardError.toFixed(4)}</td>
+                            <td className="py-1">{result.error >= 0 ? '+' : ''}{result.error.toFixed(4)}</td>
+                            <td className="py-1">{(result.negativeVarianceFrequency * 100).toFixed(2)}%</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
                 </div>
               </div>
             </div>
           )}
       </div>
 
+      {/* Greeks */}
+      <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(0,255,65,0.2)] rounded-lg shadow-lg p-6 mb-8">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <h2 className="text-xl font-semibold text-[rgb(240,255,255)]">Greeks</h2>
+          <button
+            onClick={computeGreeks}
+            disabled={greekRun.isRunning}
+            className={`py-2 px-4 rounded-md text-sm font-medium border ${
+              greekRun.isRunning
+                ? 'bg-[rgba(170,170,180,0.1)] border-[rgba(170,170,180,0.3)] cursor-not-allowed text-[rgb(170,170,180)]'
+                : 'bg-[rgba(0,255,65,0.1)] border-[rgba(0,255,65,0.3)] hover:bg-[rgba(0,255,65,0.2)] text-[#00ff41]'
+            }`}
+          >
+            {greekRun.isRunning ? 'Computing...' : 'Compute Greeks'}
+          </button>
+        </div>
+
+        <p className="text-sm text-[rgb(170,170,180)] mb-4">
+          Monte Carlo Greeks bump one parameter at a time and revalue every path on the same random draws
+          (seed {seed}, {numPaths.toLocaleString()} paths, {varianceSchemes[scheme]}), so most of the simulation noise cancels
+          in the differences. The Fourier column differentiates the semi-analytic price and Black-Scholes
+          uses a flat volatility of √V₀.
+        </p>
+
+        {greekRun.isRunning && (
+          <div className="mb-4">
+            <SimulationProgress
+              progress={greekRun.progress}
+              onCancel={greekRun.cancel}
+              detail={greekRun.partial && `${greekRun.partial.pathsDone} paths`}
+            />
+          </div>
+        )}
+        {greekError && (
+          <div className="mb-4">
+            <SimulationError message={greekError} />
+          </div>
+        )}
+
+        {greeks && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <table className="w-full text-sm text-[rgb(170,170,180)]">
+              <thead>
+                <tr className="text-left text-[rgb(240,255,255)]">
+                  <th className="py-1">Greek</th>
+                  <th className="py-1">Heston MC</th>
+                  <th className="py-1">Heston Fourier</th>
+                  <th className="py-1">Black-Scholes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {greekRows.map(({ key, label, description }) => (
+                  <tr key={key} className="border-t border-[rgba(170,170,180,0.2)]">
+                    <td className="py-1">
+                      <span className="text-[rgb(240,255,255)]">{label}</span>
+                      <span className="block text-xs">{description}</span>
+                    </td>
+                    <td className="py-1">
+                      {greeks.monteCarlo
+                        ? `${greeks.monteCarlo[key].value.toFixed(4)} ± ${greeks.monteCarlo[key].standardError.toFixed(4)}`
+                        : '…'}
+                    </td>
+                    <td className="py-1 text-[#00ff41]">{greeks.fourier[key].toFixed(4)}</td>
+                    <td className="py-1 text-[#ff10f0]">{greeks.blackScholes[key].toFixed(4)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="font-semibold text-[rgb(240,255,255)]">Greeks vs Spot</h3>
+                <select
+                  value={sweepGreek}
+                  onChange={(e) => setSweepGreek(e.target.value)}
+                  className="p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)] text-sm"
+                >
+                  {Object.entries(sweepGreeks).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={greekSweep} margin={{ top: 10, right: 20, left: 10, bottom: 30 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                  <XAxis
+                    dataKey="spot"
+                    type="number"
+                    domain={['dataMin', 'dataMax']}
+                    tickFormatter={(value) => value.toFixed(0)}
+                    label={{ value: 'Spot', position: 'insideBottom', offset: -15, style: { fill: 'rgb(170,170,180)' } }}
+                    tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+                  />
+                  <YAxis
+                    tickFormatter={(value) => value.toFixed(sweepGreek === 'gamma' ? 3 : 2)}
+                    tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+                    width={60}
+                  />
+                  <Tooltip
+                    formatter={(value, name) => [value.toFixed(4), name]}
+                    labelFormatter={(value) => `Spot: ${value.toFixed(2)}`}
+                    contentStyle={{
+                      backgroundColor: 'rgba(18,18,24,0.95)',
+                      border: '1px solid rgba(0,255,65,0.3)',
+                      color: 'rgb(240,255,255)'
+                    }}
+                  />
+                  <Legend verticalAlign="top" wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+                  <Line
+                    type="monotone"
+                    dataKey={sweepGreeks[sweepGreek].heston}
+                    name="Heston"
+                    stroke="#00ff41"
+                    strokeWidth={2}
+                    dot={false}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey={sweepGreeks[sweepGreek].bs}
+                    name="Black-Scholes"
+                    stroke="#ff10f0"
+                    strokeWidth={2}
+                    strokeDasharray="5 5"
+                    dot={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Risk Metrics */}
+      <RiskPanel model="heston" parameters={parameters} seed={seed} color="#00ff41" />
+
+      {/* Delta Hedging */}
+      <HedgingPanel model="heston" parameters={parameters} seed={seed} color="#00ff41" />
+
+      {/* Calibration */}
+      <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(0,255,65,0.2)] rounded-lg shadow-lg p-6 mb-8">
+        <h2 className="text-xl font-semibold mb-4 text-[rgb(240,255,255)]">Calibrate to Option Quotes</h2>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-1 space-y-4">
+            <p className="text-sm text-[rgb(170,170,180)]">
+              Paste or load a CSV with one quote per row: strike, maturity (years) and either a price or an
+              implied vol, plus an optional call/put column. S₀ and r are taken from the sliders above.
+            </p>
+            <textarea
+              value={quoteText}
+              onChange={(e) => setQuoteText(e.target.value)}
+              rows={12}
+              spellCheck={false}
+              className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)] font-mono text-xs"
+            />
+            <input
+              type="file"
+              accept=".csv,.txt,.tsv"
+              onChange={loadQuoteFile}
+              className="w-full text-sm text-[rgb(170,170,180)]"
+            />
+            <select
+              value={quoteType}
+              onChange={(e) => setQuoteType(e.target.value)}
+              className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
+            >
+              <option value="iv">Quotes are implied vols</option>
+              <option value="price">Quotes are option prices</option>
+            </select>
+            <button
+              onClick={calibrate}
+              disabled={calibrationRun.isRunning}
+              className={`w-full py-3 px-4 rounded-md font-medium border ${
+                calibrationRun.isRunning
+                  ? 'bg-[rgba(170,170,180,0.1)] border-[rgba(170,170,180,0.3)] cursor-not-allowed text-[rgb(170,170,180)]'
+                  : 'bg-[rgba(0,255,65,0.1)] border-[rgba(0,255,65,0.3)] hover:bg-[rgba(0,255,65,0.2)] text-[#00ff41]'
+              }`}
+            >
+              {calibrationRun.isRunning ? 'Calibrating...' : 'Calibrate Parameters'}
+            </button>
+
+            {calibrationRun.isRunning && (
+              <SimulationProgress
+                progress={calibrationRun.progress}
+                onCancel={calibrationRun.cancel}
+                detail={calibrationRun.partial && `iteration ${calibrationRun.partial.iteration}, RMSE ${quoteType === 'iv'
+                  ? `${(calibrationRun.partial.rmse * 100).toFixed(3)} vol pts`
+                  : `$${calibrationRun.partial.rmse.toFixed(4)}`}`}
+              />
+            )}
+          </div>
+
+          <div className="lg:col-span-2">
+            {calibration?.error && (
+              <p className="text-sm text-red-600">{calibration.error}</p>
+            )}
+
+            {calibration?.rows && (
+              <div className="space-y-4">
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-sm">
+                  {Object.entries(calibration.fitted).map(([name, value]) => (
+                    <div key={name} className="bg-[rgba(0,255,65,0.1)] border border-[rgba(0,255,65,0.3)] p-3 rounded-lg">
+                      <p className="text-[#00ff41]">{calibrationLabels[name]}</p>
+                      <p className="text-lg font-semibold text-[#00ff41]">{value.toFixed(4)}</p>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="text-sm text-[rgb(170,170,180)]">
+                  <span className="font-medium">Fit RMSE:</span>
+                  <span className="ml-2 text-[rgb(240,255,255)]">
+                    {calibration.quoteType === 'iv'
+                      ? `${(calibration.rmse * 100).toFixed(3)} vol pts`
+                      : `$${calibration.rmse.toFixed(4)}`}
+                  </span>
+                  <span className="ml-2">
+                    (from {calibration.quoteType === 'iv'
+                      ? `${(calibration.initialRmse * 100).toFixed(3)} vol pts`
+                      : `$${calibration.initialRmse.toFixed(4)}`} after {calibration.iterations} iterations)
+                  </span>
+                </div>
+
+                <div className="overflow-x-auto max-h-80 overflow-y-auto">
+                  <table className="w-full text-sm text-[rgb(170,170,180)]">
+                    <thead>
+                      <tr className="text-left text-[rgb(240,255,255)]">
+                        <th className="py-1">Strike</th>
+                        <th className="py-1">Maturity</th>
+                        <th className="py-1">Type</th>
+                        <th className="py-1">Market</th>
+                        <th className="py-1">Model</th>
+                        <th className="py-1">Residual</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {calibration.rows.map((row, i) => {
+                        const format = (v) => (calibration.quoteType === 'iv' ? `${(v * 100).toFixed(2)}%` : `$${v.toFixed(4)}`);
+                        return (
+                          <tr key={i} className="border-t border-[rgba(170,170,180,0.2)]">
+                            <td className="py-1">{row.strike}</td>
+                            <td className="py-1">{row.maturity}</td>
+                            <td className="py-1">{row.optionType}</td>
+                            <td className="py-1">{format(row.value)}</td>
+                            <td className="py-1">{Number.isFinite(row.model) ? format(row.model) : 'n/a'}</td>
+                            <td className={`py-1 ${Math.abs(row.residual) > 2 * calibration.rmse ? 'text-[#ff6b35]' : ''}`}>
+                              {Number.isFinite(row.residual) ? format(row.residual) : 'n/a'}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Implied Volatility Smile & Surface */}
+      <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(0,255,65,0.2)] rounded-lg shadow-lg p-6 mb-8">
+        <h2 className="text-xl font-semibold mb-4 text-[rgb(240,255,255)]">Implied Volatility Smile</h2>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+              Lowest Strike: {(smileSettings.minMoneyness * 100).toFixed(0)}% of S₀
+            </label>
+            <input
+              type="range"
+              min="0.5"
+              max="0.95"
+              step="0.05"
+              value={smileSettings.minMoneyness}
+              onChange={(e) => setSmileSettings({...smileSettings, minMoneyness: parseFloat(e.target.value)})}
+              className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+              Highest Strike: {(smileSettings.maxMoneyness * 100).toFixed(0)}% of S₀
+            </label>
+            <input
+              type="range"
+              min="1.05"
+              max="1.5"
+              step="0.05"
+              value={smileSettings.maxMoneyness}
+              onChange={(e) => setSmileSettings({...smileSettings, maxMoneyness: parseFloat(e.target.value)})}
+              className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+              Number of Strikes: {smileSettings.numStrikes}
+            </label>
+            <input
+              type="range"
+              min="5"
+              max="25"
+              step="2"
+              value={smileSettings.numStrikes}
+              onChange={(e) => setSmileSettings({...smileSettings, numStrikes: parseInt(e.target.value)})}
+              className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+            />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          <span className="text-sm font-medium text-[rgb(170,170,180)] mr-2">Maturities (years):</span>
+          {availableMaturities.map(T => (
+            <button
+              key={T}
+              onClick={() => toggleMaturity(T)}
+              className={`py-1 px-3 rounded-md text-sm border ${
+                smileSettings.maturities.includes(T)
+                  ? 'bg-[rgba(0,255,65,0.1)] border-[rgba(0,255,65,0.3)] text-[#00ff41]'
+                  : 'bg-[rgba(170,170,180,0.1)] border-[rgba(170,170,180,0.3)] text-[rgb(170,170,180)]'
+              }`}
+            >
+              {T}
+            </button>
+          ))}
+          <button
+            onClick={runVolSurface}
+            disabled={isComputingSurface}
+            className={`ml-auto py-2 px-4 rounded-md font-medium border ${
+              isComputingSurface
+                ? 'bg-[rgba(170,170,180,0.1)] border-[rgba(170,170,180,0.3)] cursor-not-allowed text-[rgb(170,170,180)]'
+                : 'bg-[rgba(0,255,255,0.1)] border-[rgba(0,255,255,0.3)] hover:bg-[rgba(0,255,255,0.2)] text-[#00ffff]'
+            }`}
+          >
+            {isComputingSurface ? 'Computing...' : 'Compute Smile'}
+          </button>
+        </div>
+
+        <ResponsiveContainer width="100%" height={400}>
+          <LineChart data={volSurface.smile} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+            <XAxis
+              dataKey="moneyness"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(value) => `${(value * 100).toFixed(0)}%`}
+              label={{
+                value: 'Strike / S₀',
+                position: 'insideBottom',
+                offset: -15,
+                style: { fill: 'rgb(170,170,180)', fontSize: '14px' }
+              }}
+              tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+              height={60}
+            />
+            <YAxis
+              domain={['auto', 'auto']}
+              tickFormatter={(value) => value.toFixed(1)}
+              label={{
+                value: 'Implied Volatility (%)',
+                angle: -90,
+                position: 'insideLeft',
+                style: { fill: 'rgb(170,170,180)', fontSize: '14px' }
+              }}
+              tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+              width={80}
+            />
+            <Tooltip
+              formatter={(value, name) => [`${value.toFixed(2)}%`, name]}
+              labelFormatter={(value) => `Strike: ${(value * 100).toFixed(0)}% of S₀`}
+              contentStyle={{
+                backgroundColor: 'rgba(18,18,24,0.95)',
+                border: '1px solid rgba(0,255,65,0.3)',
+                color: 'rgb(240,255,255)'
+              }}
+            />
+            <Legend verticalAlign="top" wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+            {volSurface.grid.map(({ T }, i) => (
+              <Line
+                key={T}
+                type="monotone"
+                dataKey={`T=${T}`}
+                stroke={smileColors[i % smileColors.length]}
+                strokeWidth={2}
+                dot={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+
+        <h3 className="font-semibold text-[rgb(240,255,255)] mt-6 mb-3">Implied Volatility Surface</h3>
+        {volSurface.grid.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs font-mono text-[rgb(240,255,255)] border-collapse">
+              <thead>
+                <tr>
+                  <th className="p-2 text-left text-[rgb(170,170,180)]">T \ K/S₀</th>
+                  {volSurface.moneyness.map(m => (
+                    <th key={m} className="p-2 text-[rgb(170,170,180)]">{(m * 100).toFixed(0)}%</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {volSurface.grid.map(({ T, vols }) => (
+                  <tr key={T}>
+                    <td className="p-2 text-[rgb(170,170,180)]">{T}y</td>
+                    {vols.map((vol, k) => (
+                      <td
+                        key={k}
+                        className="p-2 text-center border border-[rgba(8,8,12,1)]"
+                        style={{ backgroundColor: heatmapColor(vol) }}
+                      >
+                        {Number.isFinite(vol) ? (vol * 100).toFixed(1) : '–'}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <p className="text-sm text-[rgb(170,170,180)] mt-3">
+          Implied volatilities are backed out of the semi-analytic Heston prices. With ρ &lt; 0 low strikes carry
+          higher implied vol (skew); raising σ deepens the curvature (smile), and κ flattens it at longer maturities.
+        </p>
+      </div>
+
       {/* Model Explanation */}
       <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(0,255,65,0.2)] rounded-lg shadow-lg p-6">
         <h2 className="text-xl font-semibold mb-4 text-[rgb(240,255,255)]">Heston Model Equations</h2>
@@ -0,0 +1,402 @@
+import React, { useState, useEffect } from 'react';
+import { ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { bayesianKellyFraction, betaPosterior, calculateKellyFraction, growthRate } from '../lib/kelly.js';
+import { useSimulationWorker } from '../lib/useSimulationWorker.js';
+import PathCountInput from './PathCountInput.jsx';
+import SeedInput from './SeedInput.jsx';
+import SimulationError from './SimulationError.jsx';
+import SimulationProgress from './SimulationProgress.jsx';
+
+const strategyColors = { plugIn: '#ef4444', bayes: '#5c99ff', halfPlugIn: '#16a34a', oracle: '#ff6b35' };
+
+const percent = (value, digits = 1) => `${(value * 100).toFixed(digits)}%`;
+
+// Growth per bet is a small number; a percentage with enough digits to tell strategies apart
+const formatGrowth = (value) => (Number.isFinite(value) ? percent(value, 3) : '−∞');
+
+// Plug-in Kelly at the observed win rate, its half, and Kelly at the posterior mean. Without any
+// observed bets there is no win rate to plug in, so only the Bayesian stake remains.
+const bayesianStrategies = (wins, losses, posterior, bet) => {
+  const observed = wins + losses > 0;
+  const plugIn = observed ? calculateKellyFraction(wins / (wins + losses), bet.winRatio, bet.lossRatio) : 0;
+  return [
+    ...(observed ? [{ key: 'plugIn', name: 'Plug-in Kelly', fraction: plugIn }] : []),
+    { key: 'bayes', name: 'Bayesian Kelly', fraction: bayesianKellyFraction(posterior, bet) },
+    ...(observed ? [{ key: 'halfPlugIn', name: 'Half plug-in Kelly', fraction: plugIn / 2 }] : [])
+  ];
+};
+
+const countInput = (label, value, onChange) => (
+  <div>
+    <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">{label}</label>
+    <input
+      type="number"
+      min="0"
+      step="1"
+      value={value}
+      onChange={(e) => onChange(Math.max(0, parseInt(e.target.value) || 0))}
+      className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
+    />
+  </div>
+);
+
+const priorInput = (label, value, onChange) => (
+  <div>
+    <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">{label}</label>
+    <input
+      type="number"
+      min="0.1"
+      step="0.5"
+      value={value}
+      onChange={(e) => onChange(Math.max(0.1, parseFloat(e.target.value) || 0.1))}
+      className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
+    />
+  </div>
+);
+
+// Uncertain-odds mode of the Kelly page: the win probability is only known through a record of
+// wins and losses and a Beta prior. Compares plug-in Kelly at the observed win rate with Kelly
+// sized on the posterior, across the true win probabilities the posterior allows, and simulates
+// both when the true probability is drawn from the posterior or fixed by the user.
+const KellyBayesian = () => {
+  const [wins, setWins] = useState(11);
+  const [losses, setLosses] = useState(9);
+  const [priorAlpha, setPriorAlpha] = useState(1);
+  const [priorBeta, setPriorBeta] = useState(1);
+  const [winRatio, setWinRatio] = useState(1.0);
+  const [lossRatio, setLossRatio] = useState(1.0);
+  const [fixTruth, setFixTruth] = useState(false);
+  const [trueWinProb, setTrueWinProb] = useState(0.5);
+  const [numBets, setNumBets] = useState(100);
+  const [numSimulations, setNumSimulations] = useState(5000);
+  const [seed, setSeed] = useState(42);
+  const [results, setResults] = useState(null);
+  const [simulationError, setSimulationError] = useState(null);
+  const simulation = useSimulationWorker();
+
+  useEffect(() => {
+    const bet = { winRatio, lossRatio };
+    const posterior = betaPosterior({ alpha: priorAlpha, beta: priorBeta }, wins, losses);
+    setSimulationError(null);
+    simulation.run('bayesianKellySimulation', {
+      alpha: posterior.alpha,
+      beta: posterior.beta,
+      trueWinProb: fixTruth ? trueWinProb : null,
+      strategies: bayesianStrategies(wins, losses, posterior, bet).map(({ name, fraction }) => ({ name, fraction })),
+      winRatio,
+      lossRatio,
+      numBets,
+      numSimulations,
+      seed
+    }, { onResult: setResults, onError: setSimulationError });
+  }, [wins, losses, priorAlpha, priorBeta, winRatio, lossRatio, fixTruth, trueWinProb, numBets, numSimulations, seed]);
+
+  const bet = { winRatio, lossRatio };
+  const posterior = betaPosterior({ alpha: priorAlpha, beta: priorBeta }, wins, losses);
+  const breakEven = lossRatio / (winRatio + lossRatio);
+  const truth = fixTruth ? trueWinProb : posterior.mean;
+  // G(f; p) is linear in p, so its average over the posterior is G at the posterior mean
+  const strategies = bayesianStrategies(wins, losses, posterior, bet).map(strategy => ({
+    ...strategy,
+    expectedGrowth: growthRate(strategy.fraction, { ...bet, winProb: truth })
+  }));
+  const summaries = results ? strategies.map(strategy => results.find(row => row.name === strategy.name)) : [];
+  const simulated = results !== null && summaries.every(Boolean);
+
+  // Growth of each fixed stake against the true win probability, over the central 99.8% of the
+  // posterior (widened to take in a fixed true probability), with the oracle that knows p
+  const chartLow = Math.max(0.001, Math.min(posterior.quantile(0.001), fixTruth ? trueWinProb : 1));
+  const chartHigh = Math.min(0.999, Math.max(posterior.quantile(0.999), fixTruth ? trueWinProb : 0));
+  const growthData = Array.from({ length: 201 }, (_, i) => {
+    const p = chartLow + (i / 200) * (chartHigh - chartLow);
+    const row = { winProb: p, density: posterior.pdf(p) };
+    [...strategies, { name: 'Oracle Kelly', fraction: calculateKellyFraction(p, winRatio, lossRatio) }].forEach(({ name, fraction }) => {
+      const growth = growthRate(fraction, { ...bet, winProb: p });
+      row[name] = Number.isFinite(growth) ? growth : null;
+    });
+    return row;
+  });
+  const ruinous = strategies.filter(strategy => strategy.fraction * lossRatio >= 1);
+
+  return (
+    <>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        {/* Controls */}
+        <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+          <h2 className="text-2xl font-semibold mb-4 text-[rgb(240,255,255)]">Evidence</h2>
+
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              {countInput('Observed Wins', wins, setWins)}
+              {countInput('Observed Losses', losses, setLosses)}
+              {priorInput('Prior α (pseudo-wins)', priorAlpha, setPriorAlpha)}
+              {priorInput('Prior β (pseudo-losses)', priorBeta, setPriorBeta)}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                Win Ratio (Payout): {winRatio.toFixed(2)}x
+              </label>
+              <input
+                type="range"
+                min="0.1"
+                max="5"
+                step="0.1"
+                value={winRatio}
+                onChange={(e) => setWinRatio(parseFloat(e.target.value))}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                Loss Ratio: {lossRatio.toFixed(2)}x
+              </label>
+              <input
+                type="range"
+                min="0.1"
+                max="2"
+                step="0.1"
+                value={lossRatio}
+                onChange={(e) => setLossRatio(parseFloat(e.target.value))}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+              />
+            </div>
+
+            <div>
+              <div className="flex items-center mb-1">
+                <input
+                  type="checkbox"
+                  id="kellyFixTruth"
+                  checked={fixTruth}
+                  onChange={(e) => setFixTruth(e.target.checked)}
+                  className="mr-2"
+                />
+                <label htmlFor="kellyFixTruth" className="text-sm text-[rgb(170,170,180)]">
+                  {fixTruth ? `Simulate a true win probability of ${percent(trueWinProb, 0)}` : 'Draw the true win probability from the posterior'}
+                </label>
+              </div>
+              <input
+                type="range"
+                min="0.01"
+                max="0.99"
+                step="0.01"
+                value={trueWinProb}
+                disabled={!fixTruth}
+                onChange={(e) => setTrueWinProb(parseFloat(e.target.value))}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                Number of Bets: {numBets}
+              </label>
+              <input
+                type="range"
+                min="10"
+                max="500"
+                step="10"
+                value={numBets}
+                onChange={(e) => setNumBets(parseInt(e.target.value))}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+              />
+            </div>
+
+            <PathCountInput numPaths={numSimulations} onChange={setNumSimulations} min={100} max={20000} label="Simulated Runs" />
+            <SeedInput seed={seed} onChange={setSeed} color="#5c99ff" />
+          </div>
+        </div>
+
+        {/* Posterior */}
+        <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+          <h2 className="text-2xl font-semibold mb-4 text-[rgb(240,255,255)]">Posterior Win Probability</h2>
+
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="bg-[rgba(170,170,180,0.1)] border border-[rgba(170,170,180,0.3)] p-3 rounded">
+                <p className="text-sm text-[rgb(170,170,180)]">Posterior Mean</p>
+                <p className="text-lg font-semibold text-[rgb(240,255,255)]">{percent(posterior.mean)}</p>
+                <p className="text-xs text-[rgb(170,170,180)]">
+                  Beta({+posterior.alpha.toFixed(2)}, {+posterior.beta.toFixed(2)})
+                  {wins + losses > 0 && `, observed win rate ${percent(wins / (wins + losses))}`}
+                </p>
+              </div>
+
+              <div className="bg-[rgba(170,170,180,0.1)] border border-[rgba(170,170,180,0.3)] p-3 rounded">
+                <p className="text-sm text-[rgb(170,170,180)]">90% Credible Interval</p>
+                <p className="text-lg font-semibold text-[rgb(240,255,255)]">
+                  {percent(posterior.quantile(0.05))} – {percent(posterior.quantile(0.95))}
+                </p>
+              </div>
+
+              <div className="bg-[rgba(170,170,180,0.1)] border border-[rgba(170,170,180,0.3)] p-3 rounded col-span-2">
+                <p className="text-sm text-[rgb(170,170,180)]">Probability of an Edge</p>
+                <p className="text-lg font-semibold text-[rgb(240,255,255)]">{percent(posterior.probabilityAbove(breakEven))}</p>
+                <p className="text-xs text-[rgb(170,170,180)]">
+                  Posterior probability that p exceeds the break-even {percent(breakEven)}, where pb = (1 − p)a
+                </p>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              {strategies.map(strategy => (
+                <div key={strategy.key} className="bg-[rgba(170,170,180,0.1)] border border-[rgba(170,170,180,0.3)] p-3 rounded">
+                  <p className="text-sm" style={{ color: strategyColors[strategy.key] }}>{strategy.name}</p>
+                  <p className="text-lg font-semibold text-[rgb(240,255,255)]">{percent(strategy.fraction, 2)}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="bg-[rgba(255,107,53,0.1)] border border-[rgba(255,107,53,0.3)] p-4 rounded-lg">
+              <h4 className="font-semibold text-[#ff6b35] mb-2">Kelly Under a Posterior</h4>
+              <p className="text-sm text-[#ff6b35]">
+                max over f of E[G(f; p)] = G(f; E[p]), &nbsp; E[p] = (α + wins) / (α + β + wins + losses)
+              </p>
+              <p className="text-xs text-[#ff6b35] mt-1">
+                Expected log-growth is linear in p, so averaging it over the posterior amounts to Kelly at the posterior mean. The
+                prior pulls that mean towards α / (α + β), and the pull weakens as the record grows.
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Growth Against the True Win Probability */}
+      <div className="mt-8 bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+        <h2 className="text-2xl font-semibold mb-4 text-[rgb(240,255,255)]">Growth If the True Win Probability Differs</h2>
+        <div className="h-96">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={growthData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+              <XAxis
+                dataKey="winProb"
+                type="number"
+                domain={['dataMin', 'dataMax']}
+                tickFormatter={(value) => percent(value, 0)}
+                label={{ value: 'True win probability p', position: 'insideBottom', offset: -5, style: { fill: 'rgb(170,170,180)' } }}
+                tick={{ fill: 'rgb(170,170,180)' }}
+              />
+              <YAxis
+                yAxisId="growth"
+                domain={['auto', 'auto']}
+                tickFormatter={(value) => percent(value, 1)}
+                label={{ value: 'Growth per bet G(f; p)', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' }, dy: 70 }}
+                tick={{ fill: 'rgb(170,170,180)' }}
+              />
+              <YAxis yAxisId="density" orientation="right" hide />
+              <Tooltip
+                formatter={(value, name) => [name === 'Posterior density' ? value.toFixed(2) : formatGrowth(value), name]}
+                labelFormatter={(value) => `p = ${percent(value)}`}
+                contentStyle={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}
+              />
+              <Legend wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+              <Area
+                yAxisId="density"
+                type="monotone"
+                dataKey="density"
+                name="Posterior density"
+                stroke="none"
+                fill="rgb(170,170,180)"
+                fillOpacity={0.15}
+                isAnimationActive={false}
+              />
+              <ReferenceLine yAxisId="growth" y={0} stroke="rgb(170,170,180)" />
+              <ReferenceLine
+                yAxisId="growth"
+                x={posterior.mean}
+                stroke="#5c99ff"
+                strokeDasharray="4 4"
+                label={{ value: 'Posterior mean', position: 'top', fill: '#5c99ff', fontSize: 12 }}
+              />
+              {fixTruth && (
+                <ReferenceLine
+                  yAxisId="growth"
+                  x={trueWinProb}
+                  stroke="#ff6b35"
+                  strokeDasharray="4 4"
+                  label={{ value: 'Simulated truth', position: 'insideTopRight', fill: '#ff6b35', fontSize: 12 }}
+                />
+              )}
+              {[...strategies, { key: 'oracle', name: 'Oracle Kelly' }].map(strategy => (
+                <Line
+                  key={strategy.key}
+                  yAxisId="growth"
+                  type="monotone"
+                  dataKey={strategy.name}
+                  stroke={strategyColors[strategy.key]}
+                  strokeWidth={2}
+                  strokeDasharray={strategy.key === 'oracle' ? '5 5' : undefined}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              ))}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+        <p className="text-sm text-[rgb(170,170,180)] mt-2">
+          Each line is the growth per bet of a fixed stake if the true win probability is p; the shaded area shows how plausible
+          each p is after the evidence. Oracle Kelly, which knows p, bounds every line from above and touches a line only where
+          p makes that stake the Kelly stake. Where p is lower than the estimate the larger stakes fall away fastest:
+          overbetting costs more growth than underbetting by the same amount.
+          {ruinous.length > 0 && ` A single loss wipes out ${ruinous.map(strategy => strategy.name).join(' and ')}, so growth is −∞ for every p below 100% and no line is drawn.`}
+        </p>
+      </div>
+
+      {/* Simulated Outcomes */}
+      <div className="mt-8 bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+        <h2 className="text-2xl font-semibold mb-4 text-[rgb(240,255,255)]">Simulated Outcomes</h2>
+        {simulation.isRunning && (
+          <div className="mb-4">
+            <SimulationProgress progress={simulation.progress} onCancel={simulation.cancel} color="#5c99ff" />
+          </div>
+        )}
+        {simulationError && (
+          <div className="mb-4">
+            <SimulationError message={simulationError} />
+          </div>
+        )}
+        {simulated && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-[rgb(170,170,180)]">
+              <thead>
+                <tr className="border-b border-[rgba(170,170,180,0.3)]">
+                  <th className="py-2 pr-3 text-left font-medium">Strategy</th>
+                  <th className="py-2 pr-3 text-right font-medium">Stake</th>
+                  <th className="py-2 pr-3 text-right font-medium">Expected growth per bet</th>
+                  <th className="py-2 pr-3 text-right font-medium">Simulated growth per bet</th>
+                  <th className="py-2 pr-3 text-right font-medium">Median final capital</th>
+                  <th className="py-2 pr-3 text-right font-medium">Ended below start</th>
+                  <th className="py-2 text-right font-medium">Lost everything</th>
+                </tr>
+              </thead>
+              <tbody>
+                {strategies.map((strategy, i) => (
+                  <tr key={strategy.key} className="border-b border-[rgba(170,170,180,0.1)]">
+                    <td className="py-1 pr-3" style={{ color: strategyColors[strategy.key] }}>{strategy.name}</td>
+                    <td className="py-1 pr-3 text-right">{percent(strategy.fraction, 2)}</td>
+                    <td className="py-1 pr-3 text-right">{formatGrowth(strategy.expectedGrowth)}</td>
+                    <td className="py-1 pr-3 text-right text-[rgb(240,255,255)]">{formatGrowth(summaries[i].meanGrowth)}</td>
+                    <td className="py-1 pr-3 text-right text-[rgb(240,255,255)]">{summaries[i].median.toFixed(2)}×</td>
+                    <td className="py-1 pr-3 text-right">{percent(summaries[i].belowStart)}</td>
+                    <td className="py-1 text-right">{percent(summaries[i].ruined)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <p className="text-sm text-[rgb(170,170,180)] mt-2">
+          {numSimulations.toLocaleString()} runs of {numBets} bets,{' '}
+          {fixTruth
+            ? `all with a true win probability of ${percent(trueWinProb, 0)}; `
+            : 'each with its own true win probability drawn from the posterior; '}
+          every strategy plays the same wins and losses within a run. Growth is the mean log-return per bet, and the expected
+          column is its exact value {fixTruth ? 'at the simulated win probability.' : 'averaged over the posterior.'}
+        </p>
+      </div>
+    </>
+  );
+};
+
+export default KellyBayesian;
@@ -1,133 +1,103 @@
 import React, { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { LineChart, Line, Area, ComposedChart, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceArea, ReferenceDot, ReferenceLine } from 'recharts';
+import { calculateKellyFraction, growthCurve, growthRate, kellyStrategies, thresholdHitProbability } from '../lib/kelly.js';
+import { useSimulationWorker } from '../lib/useSimulationWorker.js';
+import KellyBayesian from './KellyBayesian.jsx';
+import KellyPortfolio from './KellyPortfolio.jsx';
+import PathCountInput from './PathCountInput.jsx';
+import SeedInput from './SeedInput.jsx';
+import SimulationError from './SimulationError.jsx';
+import SimulationProgress from './SimulationProgress.jsx';
+
+// Paths behind the Monte Carlo risk-of-ruin estimates
+const ruinPaths = 10000;
+
+const strategyColors = { 'Full Kelly': '#5c99ff', 'Half Kelly': '#16a34a', 'Double Kelly': '#ef4444', 'Fixed 5%': '#ff6b35' };
+
+const percent = (value, digits = 1) => `${(value * 100).toFixed(digits)}%`;
+const formatCapital = (value) => `$${Math.round(value).toLocaleString()}`;
 
 const KellyCriterion = () => {
+  const [mode, setMode] = useState('single');
   const [winProb, setWinProb] = useState(0.55);
   const [winRatio, setWinRatio] = useState(1.0);
   const [lossRatio, setLossRatio] = useState(1.0);
   const [initialCapital, setInitialCapital] = useState(10000);
   const [numBets, setNumBets] = useState(100);
-  const [simulationData, setSimulationData] = useState([]);
+  const [seed, setSeed] = useState(42);
+  const [drawdown, setDrawdown] = useState(0.5);
+  const [curveRange, setCurveRange] = useState('ruin');
+  const [numSimulations, setNumSimulations] = useState(1000);
+  const [logScale, setLogScale] = useState(true);
+  const [comparison, setComparison] = useState(null);
   const [kellyFraction, setKellyFraction] = useState(0);
+  const [ruinResults, setRuinResults] = useState([]);
+  const [simulationError, setSimulationError] = useState(null);
+  const [ruinError, setRuinError] = useState(null);
+  const simulation = useSimulationWorker();
+  const ruinSimulation = useSimulationWorker();
 
-  // Calculate Kelly fraction
-  const calculateKellyFraction = () => {
-    const p = winProb;
-    const b = winRatio;
-    const q = 1 - p;
-    const a = lossRatio;
-    
-    const kelly = (p * b - q * a) / (a * b);
-    return Math.max(0, Math.min(1, kelly)); // Clamp between 0 and 1
-  };
-
-  // Simulate betting strategy
-  const simulateBetting = (fraction) => {
-    const results = [];
-    let capital = initialCapital;
-    
-    for (let i = 0; i <= numBets; i++) {
-      results.push({
-        bet: i,
-        capital: Math.round(capital),
-        kelly: capital,
-        halfKelly: capital,
-        doubleKelly: capital
-      });
-      
-      if (i < numBets) {
-        const betSize = capital * fraction;
-        const isWin = Math.random() < winProb;
-        
-        if (isWin) {
-          capital += betSize * winRatio;
-        } else {
-          capital -= betSize * lossRatio;
-        }
-        
-        capital = Math.max(0, capital);
-      }
+  // Strategy comparison runs in the simulation worker; a slider change cancels the run in flight.
+  // Both single-bet runs only go while the single-bet mode is shown.
+  useEffect(() => {
+    if (mode !== 'single') {
+      simulation.cancel();
+      return;
     }
-    
-    return results;
-  };
-
-  // Compare different Kelly fractions
-  const compareStrategies = () => {
-    const kelly = calculateKellyFraction();
-    const strategies = [
-      { name: 'Full Kelly', fraction: kelly, data: [] },
-      { name: 'Half Kelly', fraction: kelly / 2, data: [] },
-      { name: 'Double Kelly', fraction: kelly * 2, data: [] },
-      { name: 'Fixed 5%', fraction: 0.05, data: [] }
-    ];
-
-    // Run multiple simulations for each strategy
-    const numSimulations = 10;
-    
-    strategies.forEach(strategy => {
-      const allRuns = [];
-      
-      for (let sim = 0; sim < numSimulations; sim++) {
-        let capital = initialCapital;
-        const run = [];
-        
-        for (let i = 0; i <= numBets; i++) {
-          run.push(capital);
-          
-          if (i < numBets) {
-            const betSize = capital * strategy.fraction;
-            const isWin = Math.random() < winProb;
-            
-            if (isWin) {
-              capital += betSize * winRatio;
-            } else {
-              capital -= betSize * lossRatio;
-            }
-            
-            capital = Math.max(0, capital);
-          }
-        }
-        
-        allRuns.push(run);
-      }
-      
-      // Average the runs
-      strategy.data = allRuns[0].map((_, i) => {
-        const avg = allRuns.reduce((sum, run) => sum + run[i], 0) / numSimulations;
-        return Math.round(avg);
-      });
+    setKellyFraction(calculateKellyFraction(winProb, winRatio, lossRatio));
+    setSimulationError(null);
+    simulation.run('kellyComparison', { winProb, winRatio, lossRatio, initialCapital, numBets, numSimulations, seed }, {
+      onPartial: (partial) => partial && setComparison(partial),
+      onResult: setComparison,
+      onError: setSimulationError
     });
+  }, [mode, winProb, winRatio, lossRatio, initialCapital, numBets, numSimulations, seed]);
 
-    // Format for chart
-    const chartData = [];
-    for (let i = 0; i <= numBets; i++) {
-      chartData.push({
-        bet: i,
-        'Full Kelly': strategies[0].data[i],
-        'Half Kelly': strategies[1].data[i],
-        'Double Kelly': strategies[2].data[i],
-        'Fixed 5%': strategies[3].data[i]
-      });
+  // Monte Carlo risk of ruin for the same fractions, in a worker of its own
+  useEffect(() => {
+    if (mode !== 'single') {
+      ruinSimulation.cancel();
+      return;
     }
+    const fractions = kellyStrategies(calculateKellyFraction(winProb, winRatio, lossRatio)).map(strategy => strategy.fraction);
+    setRuinResults([]);
+    setRuinError(null);
+    ruinSimulation.run('kellyRiskOfRuin', { winProb, winRatio, lossRatio, fractions, drawdown, numBets, numPaths: ruinPaths, seed }, {
+      onResult: setRuinResults,
+      onError: setRuinError
+    });
+  }, [mode, winProb, winRatio, lossRatio, numBets, drawdown, seed]);
 
-    return chartData;
-  };
+  // Probability of losing `drawdown` of the initial capital for each compared fraction: the
+  // Brownian approximation where it exists, and the Monte Carlo estimate once the run for the
+  // current inputs has finished (the results are cleared whenever a new run starts)
+  const bet = { winProb, winRatio, lossRatio };
+  const ruinRows = kellyStrategies(kellyFraction).map(strategy => ({
+    ...strategy,
+    approximation: thresholdHitProbability(strategy.fraction, bet, drawdown, numBets),
+    monteCarlo: ruinResults.find(result => result.fraction === strategy.fraction) ?? null
+  }));
+  const kellyRuin = ruinRows[0].approximation?.withinBets ?? ruinRows[0].monteCarlo?.hitProbability;
 
-  useEffect(() => {
-    const kelly = calculateKellyFraction();
-    setKellyFraction(kelly);
-    setSimulationData(compareStrategies());
-  }, [winProb, winRatio, lossRatio, initialCapital, numBets]);
-
-  const expectedGrowthRate = (f) => {
-    const p = winProb;
-    const q = 1 - p;
-    const b = winRatio;
-    const a = lossRatio;
-    
-    return p * Math.log(1 + f * b) + q * Math.log(1 - f * a);
-  };
+  // A log axis cannot show capital of zero, so leave those points out of the chart
+  const strategyNames = Object.keys(strategyColors);
+  const capitalPaths = !logScale ? comparison?.paths ?? [] : (comparison?.paths ?? []).map(row => Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [key, key === 'bet' || (Array.isArray(value) ? value[0] > 0 : value > 0) ? value : null])
+  ));
+
+  // G(f) either out to the stake 1/a where one loss is ruin, or zoomed in on the compared stakes.
+  // The y axis stops a little below the lowest marker, so the dive towards −∞ leaves the chart
+  // instead of flattening the peak.
+  const ruinFraction = 1 / lossRatio;
+  const curveMax = curveRange === 'ruin' ? ruinFraction : Math.min(ruinFraction, Math.max(3 * kellyFraction, 0.15));
+  const { curve: growthData, zeroGrowth } = growthCurve(bet, curveMax);
+  const peakGrowth = growthRate(kellyFraction, bet);
+  const growthMarkers = kellyStrategies(kellyFraction).map(strategy => ({ ...strategy, growth: growthRate(strategy.fraction, bet) }));
+  const halfGrowth = growthMarkers.find(marker => marker.name === 'Half Kelly').growth;
+  const doubleGrowth = growthMarkers.find(marker => marker.name === 'Double Kelly').growth;
+  const visibleMarkers = growthMarkers.filter(marker => Number.isFinite(marker.growth) && marker.fraction <= curveMax);
+  const growthFloor = 1.2 * Math.min(-2 * peakGrowth, ...visibleMarkers.map(marker => marker.growth), -0.001);
+  const growthCeiling = 1.2 * Math.max(peakGrowth, 0.001);
 
   return (
     <div className="max-w-7xl mx-auto p-6 bg-[rgb(8,8,12)] min-h-screen">
@@ -136,165 +106,457 @@ const KellyCriterion = () => {
         <p className="text-[rgb(170,170,180)]">Optimal position sizing for maximizing long-term growth</p>
       </div>
 
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-        {/* Controls */}
-        <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
-          <h2 className="text-2xl font-semibold mb-4 text-[rgb(240,255,255)]">Parameters</h2>
-
-          <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
-                Win Probability: {(winProb * 100).toFixed(1)}%
-              </label>
-              <input
-                type="range"
-                min="0.01"
-                max="0.99"
-                step="0.01"
-                value={winProb}
-                onChange={(e) => setWinProb(parseFloat(e.target.value))}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-              />
-            </div>
+      {/* Mode */}
+      <div className="flex gap-2 mb-8">
+        {[
+          { key: 'single', label: 'Single Bet' },
+          { key: 'portfolio', label: 'Portfolio' },
+          { key: 'bayes', label: 'Uncertain Odds' }
+        ].map(({ key, label }) => (
+          <button
+            key={key}
+            onClick={() => setMode(key)}
+            className={`py-2 px-4 rounded-md text-sm font-medium border ${
+              mode === key
+                ? 'bg-[rgba(92,153,255,0.2)] border-[#5c99ff] text-[#5c99ff]'
+                : 'bg-[rgba(18,18,24,0.95)] border-[rgba(170,170,180,0.3)] text-[rgb(170,170,180)] hover:text-[rgb(240,255,255)]'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
 
-            <div>
-              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
-                Win Ratio (Payout): {winRatio.toFixed(2)}x
-              </label>
-              <input
-                type="range"
-                min="0.1"
-                max="5"
-                step="0.1"
-                value={winRatio}
-                onChange={(e) => setWinRatio(parseFloat(e.target.value))}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-              />
-            </div>
+      {mode === 'single' ? (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            {/* Controls */}
+            <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+              <h2 className="text-2xl font-semibold mb-4 text-[rgb(240,255,255)]">Parameters</h2>
 
-            <div>
-              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
-                Loss Ratio: {lossRatio.toFixed(2)}x
-              </label>
-              <input
-                type="range"
-                min="0.1"
-                max="2"
-                step="0.1"
-                value={lossRatio}
-                onChange={(e) => setLossRatio(parseFloat(e.target.value))}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-              />
-            </div>
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                    Win Probability: {(winProb * 100).toFixed(1)}%
+                  </label>
+                  <input
+                    type="range"
+                    min="0.01"
+                    max="0.99"
+                    step="0.01"
+                    value={winProb}
+                    onChange={(e) => setWinProb(parseFloat(e.target.value))}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                    Win Ratio (Payout): {winRatio.toFixed(2)}x
+                  </label>
+                  <input
+                    type="range"
+                    min="0.1"
+                    max="5"
+                    step="0.1"
+                    value={winRatio}
+                    onChange={(e) => setWinRatio(parseFloat(e.target.value))}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                    Loss Ratio: {lossRatio.toFixed(2)}x
+                  </label>
+                  <input
+                    type="range"
+                    min="0.1"
+                    max="2"
+                    step="0.1"
+                    value={lossRatio}
+                    onChange={(e) => setLossRatio(parseFloat(e.target.value))}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                    Initial Capital: ${initialCapital.toLocaleString()}
+                  </label>
+                  <input
+                    type="range"
+                    min="1000"
+                    max="100000"
+                    step="1000"
+                    value={initialCapital}
+                    onChange={(e) => setInitialCapital(parseInt(e.target.value))}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                    Number of Bets: {numBets}
+                  </label>
+                  <input
+                    type="range"
+                    min="10"
+                    max="500"
+                    step="10"
+                    value={numBets}
+                    onChange={(e) => setNumBets(parseInt(e.target.value))}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
 
-            <div>
-              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
-                Initial Capital: ${initialCapital.toLocaleString()}
-              </label>
-              <input
-                type="range"
-                min="1000"
-                max="100000"
-                step="1000"
-                value={initialCapital}
-                onChange={(e) => setInitialCapital(parseInt(e.target.value))}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-              />
+                <div>
+                  <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                    Ruin Threshold: losing {percent(drawdown, 0)} of initial capital
+                  </label>
+                  <input
+                    type="range"
+                    min="0.1"
+                    max="0.9"
+                    step="0.05"
+                    value={drawdown}
+                    onChange={(e) => setDrawdown(parseFloat(e.target.value))}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+
+                <PathCountInput numPaths={numSimulations} onChange={setNumSimulations} max={5000} label="Simulated Runs" />
+
+                <SeedInput seed={seed} onChange={setSeed} color="#5c99ff" />
+              </div>
             </div>
 
-            <div>
-              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
-                Number of Bets: {numBets}
-              </label>
-              <input
-                type="range"
-                min="10"
-                max="500"
-                step="10"
-                value={numBets}
-                onChange={(e) => setNumBets(parseInt(e.target.value))}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-              />
+            {/* Results */}
+            <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+              <h2 className="text-2xl font-semibold mb-4 text-[rgb(240,255,255)]">Kelly Analysis</h2>
+
+              <div className="space-y-4">
+                <div className="bg-[rgba(92,153,255,0.1)] border border-[rgba(92,153,255,0.3)] p-4 rounded-lg">
+                  <h3 className="font-semibold text-[#5c99ff]">Optimal Kelly Fraction</h3>
+                  <p className="text-3xl font-bold text-[#5c99ff]">
+                    {(kellyFraction * 100).toFixed(2)}%
+                  </p>
+                  <p className="text-sm text-[#5c99ff]">
+                    Bet this fraction of your capital each round
+                  </p>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="bg-[rgba(170,170,180,0.1)] border border-[rgba(170,170,180,0.3)] p-3 rounded">
+                    <p className="text-sm text-[rgb(170,170,180)]">Expected Growth Rate</p>
+                    <p className="text-lg font-semibold text-[rgb(240,255,255)]">
+                      {(peakGrowth * 100).toFixed(2)}%
+                    </p>
+                  </div>
+
+                  <div className="bg-[rgba(170,170,180,0.1)] border border-[rgba(170,170,180,0.3)] p-3 rounded">
+                    <p className="text-sm text-[rgb(170,170,180)]">Risk of Ruin</p>
+                    <p className="text-lg font-semibold text-[rgb(240,255,255)]">
+                      {kellyRuin === undefined ? '…' : percent(kellyRuin)}
+                    </p>
+                    <p className="text-xs text-[rgb(170,170,180)]">
+                      Chance Full Kelly loses {percent(drawdown, 0)} within {numBets} bets
+                    </p>
+                  </div>
+                </div>
+
+                <div className="bg-[rgba(255,107,53,0.1)] border border-[rgba(255,107,53,0.3)] p-4 rounded-lg">
+                  <h4 className="font-semibold text-[#ff6b35] mb-2">Kelly Formula</h4>
+                  <p className="text-sm text-[#ff6b35]">
+                    f* = (bp - q) / b
+                  </p>
+                  <p className="text-xs text-[#ff6b35] mt-1">
+                    Where: b = win ratio, p = win probability, q = loss probability
+                  </p>
+                </div>
+              </div>
             </div>
           </div>
-        </div>
 
-        {/* Results */}
-        <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
-          <h2 className="text-2xl font-semibold mb-4 text-[rgb(240,255,255)]">Kelly Analysis</h2>
-
-          <div className="space-y-4">
-            <div className="bg-[rgba(92,153,255,0.1)] border border-[rgba(92,153,255,0.3)] p-4 rounded-lg">
-              <h3 className="font-semibold text-[#5c99ff]">Optimal Kelly Fraction</h3>
-              <p className="text-3xl font-bold text-[#5c99ff]">
-                {(kellyFraction * 100).toFixed(2)}%
-              </p>
-              <p className="text-sm text-[#5c99ff]">
-                Bet this fraction of your capital each round
-              </p>
+          {/* Growth Rate Curve */}
+          <div className="mt-8 bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+              <h2 className="text-2xl font-semibold text-[rgb(240,255,255)]">Growth Rate G(f)</h2>
+              <select
+                value={curveRange}
+                onChange={(e) => setCurveRange(e.target.value)}
+                className="p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-sm text-[rgb(240,255,255)]"
+              >
+                <option value="ruin">Up to ruin (f = 1/a)</option>
+                <option value="kelly">Around the Kelly fraction</option>
+              </select>
+            </div>
+            <div className="h-80">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={growthData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                  <XAxis
+                    dataKey="fraction"
+                    type="number"
+                    domain={[0, curveMax]}
+                    tickFormatter={(value) => percent(value, 0)}
+                    label={{ value: 'Fraction of capital staked (f)', position: 'insideBottom', offset: -5, style: { fill: 'rgb(170,170,180)' } }}
+                    tick={{ fill: 'rgb(170,170,180)' }}
+                  />
+                  <YAxis
+                    domain={[growthFloor, growthCeiling]}
+                    allowDataOverflow
+                    tickFormatter={(value) => percent(value, 2)}
+                    label={{ value: 'Log-growth per bet', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' }, dy: 60 }}
+                    tick={{ fill: 'rgb(170,170,180)' }}
+                  />
+                  <Tooltip
+                    formatter={(value) => [Number.isFinite(value) ? percent(value, 3) : '−∞', 'G(f)']}
+                    labelFormatter={(value) => `f = ${percent(value, 1)}`}
+                    contentStyle={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}
+                  />
+                  {zeroGrowth < curveMax && (
+                    <ReferenceArea
+                      x1={zeroGrowth}
+                      x2={curveMax}
+                      fill="#ef4444"
+                      fillOpacity={0.1}
+                      label={{ value: 'Negative growth', position: 'insideTopRight', fill: '#ef4444', fontSize: 12 }}
+                    />
+                  )}
+                  <ReferenceLine y={0} stroke="rgba(170,170,180,0.6)" />
+                  <Line type="monotone" dataKey="growth" stroke="rgb(240,255,255)" strokeWidth={2} dot={false} isAnimationActive={false} />
+                  {visibleMarkers.map(marker => (
+                    <ReferenceDot
+                      key={marker.name}
+                      x={marker.fraction}
+                      y={marker.growth}
+                      r={5}
+                      fill={strategyColors[marker.name]}
+                      stroke="none"
+                      label={{ value: marker.name, position: 'top', fill: strategyColors[marker.name], fontSize: 12 }}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
             </div>
+            <p className="text-sm text-[rgb(170,170,180)] mt-2">
+              {kellyFraction > 0
+                ? `The growth rate peaks at the Kelly fraction and is lopsided around it: betting half of it keeps ${percent(halfGrowth / peakGrowth, 0)} of the growth, while betting twice it ${
+                  !Number.isFinite(doubleGrowth)
+                    ? 'risks everything on a single loss'
+                    : doubleGrowth >= 0
+                      ? `keeps ${percent(doubleGrowth / peakGrowth, 0)}`
+                      : `shrinks capital by ${percent(-doubleGrowth, 2)} per bet`
+                }. Past ${percent(zeroGrowth, 1)} capital shrinks in the long run despite the positive edge.`
+                : 'Without an edge every stake shrinks capital in the long run, and the best bet is none.'}
+              {` At a stake of ${percent(ruinFraction, 0)} a single loss ends the game.`}
+              {growthMarkers.some(marker => !Number.isFinite(marker.growth)) && ' Strategies staking that much or more have no point on the curve.'}
+            </p>
+          </div>
 
-            <div className="grid grid-cols-2 gap-4">
-              <div className="bg-[rgba(170,170,180,0.1)] border border-[rgba(170,170,180,0.3)] p-3 rounded">
-                <p className="text-sm text-[rgb(170,170,180)]">Expected Growth Rate</p>
-                <p className="text-lg font-semibold text-[rgb(240,255,255)]">
-                  {(expectedGrowthRate(kellyFraction) * 100).toFixed(2)}%
-                </p>
+          {/* Simulation Chart */}
+          <div className="mt-8 bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+              <h2 className="text-2xl font-semibold text-[rgb(240,255,255)]">Strategy Comparison</h2>
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="kellyLogScale"
+                  checked={logScale}
+                  onChange={(e) => setLogScale(e.target.checked)}
+                  className="mr-2"
+                />
+                <label htmlFor="kellyLogScale" className="text-sm text-[rgb(170,170,180)]">Log scale</label>
               </div>
-
-              <div className="bg-[rgba(170,170,180,0.1)] border border-[rgba(170,170,180,0.3)] p-3 rounded">
-                <p className="text-sm text-[rgb(170,170,180)]">Risk of Ruin</p>
-                <p className="text-lg font-semibold text-[rgb(240,255,255)]">
-                  {kellyFraction > 0 ? "Very Low" : "High"}
-                </p>
+            </div>
+            {simulation.isRunning && (
+              <div className="mb-4">
+                <SimulationProgress progress={simulation.progress} onCancel={simulation.cancel} color="#5c99ff" />
+              </div>
+            )}
+            {simulationError && (
+              <div className="mb-4">
+                <SimulationError message={simulationError} />
               </div>
+            )}
+            <div className="h-96">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={capitalPaths}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                  <XAxis
+                    dataKey="bet"
+                    label={{ value: 'Bet Number', position: 'insideBottom', offset: -5, style: { fill: 'rgb(170,170,180)' } }}
+                    tick={{ fill: 'rgb(170,170,180)' }}
+                  />
+                  <YAxis
+                    scale={logScale ? 'log' : 'auto'}
+                    domain={['auto', 'auto']}
+                    tickFormatter={(value) => `$${Math.round(value).toLocaleString()}`}
+                    label={{ value: 'Capital ($)', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' } }}
+                    tick={{ fill: 'rgb(170,170,180)' }}
+                  />
+                  <Tooltip
+                    formatter={(value, name) => [
+                      Array.isArray(value) ? value.map(formatCapital).join(' – ') : formatCapital(value),
+                      name
+                    ]}
+                    labelFormatter={(value) => `After bet ${value}`}
+                    contentStyle={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}
+                  />
+                  <Legend wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+                  {strategyNames.map(name => (
+                    <Area
+                      key={`${name} band`}
+                      type="monotone"
+                      dataKey={`${name} band`}
+                      name={`${name} 10th–90th`}
+                      stroke="none"
+                      fill={strategyColors[name]}
+                      fillOpacity={0.1}
+                      legendType="none"
+                      isAnimationActive={false}
+                    />
+                  ))}
+                  {strategyNames.map(name => (
+                    <Line key={name} type="monotone" dataKey={name} name={`${name} (median)`} stroke={strategyColors[name]} strokeWidth={2} dot={false} isAnimationActive={false} />
+                  ))}
+                </ComposedChart>
+              </ResponsiveContainer>
             </div>
+            <p className="text-sm text-[rgb(170,170,180)] mt-2">
+              Median capital with 10th–90th percentile bands over {numSimulations.toLocaleString()} runs, all strategies playing
+              the same sequences of wins and losses. Capital compounds, so the mean is carried by a few lucky runs and can rise
+              while most runs lose; the median is what a typical run looks like.
+              {logScale && comparison?.summary?.some(row => row.ruined > 0) && ' Runs that lost everything cannot be drawn on a log scale.'}
+            </p>
 
-            <div className="bg-[rgba(255,107,53,0.1)] border border-[rgba(255,107,53,0.3)] p-4 rounded-lg">
-              <h4 className="font-semibold text-[#ff6b35] mb-2">Kelly Formula</h4>
-              <p className="text-sm text-[#ff6b35]">
-                f* = (bp - q) / b
-              </p>
-              <p className="text-xs text-[#ff6b35] mt-1">
-                Where: b = win ratio, p = win probability, q = loss probability
-              </p>
-            </div>
+            {comparison?.summary && (
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mt-8">
+                <div>
+                  <h3 className="font-semibold text-[rgb(240,255,255)] mb-2">Final Capital After {numBets} Bets</h3>
+                  <div className="h-72">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <ComposedChart data={comparison.finalHistogram}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                        <XAxis
+                          dataKey="logCapital"
+                          type="number"
+                          domain={['dataMin', 'dataMax']}
+                          tickFormatter={(value) => `${+(10 ** value).toPrecision(2)}×`}
+                          label={{ value: 'Final / initial capital (log scale)', position: 'insideBottom', offset: -5, style: { fill: 'rgb(170,170,180)' } }}
+                          tick={{ fill: 'rgb(170,170,180)' }}
+                        />
+                        <YAxis
+                          tickFormatter={(value) => percent(value, 0)}
+                          label={{ value: 'Share of runs', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' }, dy: 40 }}
+                          tick={{ fill: 'rgb(170,170,180)' }}
+                        />
+                        <Tooltip
+                          formatter={(value, name) => [percent(value), name]}
+                          labelFormatter={(value) => `Around ${+(10 ** value).toPrecision(3)}× initial capital`}
+                          contentStyle={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}
+                        />
+                        <ReferenceLine x={0} stroke="rgba(170,170,180,0.6)" strokeDasharray="4 4" label={{ value: 'Start', position: 'top', fill: 'rgb(170,170,180)', fontSize: 12 }} />
+                        {strategyNames.map(name => (
+                          <Area key={name} type="monotone" dataKey={name} stroke={strategyColors[name]} fill={strategyColors[name]} fillOpacity={0.15} dot={false} isAnimationActive={false} />
+                        ))}
+                      </ComposedChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+
+                <div>
+                  <h3 className="font-semibold text-[rgb(240,255,255)] mb-2">Runs Ending Below the Start</h3>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-[rgb(170,170,180)]">
+                      <thead>
+                        <tr className="border-b border-[rgba(170,170,180,0.3)]">
+                          <th className="py-2 pr-3 text-left font-medium">Strategy</th>
+                          <th className="py-2 pr-3 text-right font-medium">Median final</th>
+                          <th className="py-2 pr-3 text-right font-medium">Mean final</th>
+                          <th className="py-2 pr-3 text-right font-medium">Below start</th>
+                          <th className="py-2 text-right font-medium">Lost everything</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {comparison.summary.map(row => (
+                          <tr key={row.name} className="border-b border-[rgba(170,170,180,0.1)]">
+                            <td className="py-1 pr-3" style={{ color: strategyColors[row.name] }}>{row.name}</td>
+                            <td className="py-1 pr-3 text-right text-[rgb(240,255,255)]">{formatCapital(row.median)}</td>
+                            <td className="py-1 pr-3 text-right">{formatCapital(row.mean)}</td>
+                            <td className="py-1 pr-3 text-right text-[rgb(240,255,255)]">{percent(row.belowStart)}</td>
+                            <td className="py-1 text-right">{percent(row.ruined)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p className="text-sm text-[rgb(170,170,180)] mt-2">
+                    Starting from ${initialCapital.toLocaleString()}. Where the mean sits far above the median, the average is
+                    being carried by a handful of runs.
+                  </p>
+                </div>
+              </div>
+            )}
           </div>
-        </div>
-      </div>
 
-      {/* Simulation Chart */}
-      <div className="mt-8 bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
-        <h2 className="text-2xl font-semibold mb-4 text-[rgb(240,255,255)]">Strategy Comparison</h2>
-        <div className="h-96">
-          <ResponsiveContainer width="100%" height="100%">
-            <LineChart data={simulationData}>
-              <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
-              <XAxis
-                dataKey="bet"
-                label={{ value: 'Bet Number', position: 'insideBottom', offset: -5, style: { fill: 'rgb(170,170,180)' } }}
-                tick={{ fill: 'rgb(170,170,180)' }}
-              />
-              <YAxis
-                label={{ value: 'Capital ($)', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' } }}
-                tick={{ fill: 'rgb(170,170,180)' }}
-              />
-              <Tooltip
-                formatter={(value) => [`$${value.toLocaleString()}`, '']}
-                contentStyle={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}
-              />
-              <Legend wrapperStyle={{ color: 'rgb(170,170,180)' }} />
-              <Line type="monotone" dataKey="Full Kelly" stroke="#5c99ff" strokeWidth={2} dot={false} />
-              <Line type="monotone" dataKey="Half Kelly" stroke="#16a34a" strokeWidth={2} dot={false} />
-              <Line type="monotone" dataKey="Double Kelly" stroke="#ef4444" strokeWidth={2} dot={false} />
-              <Line type="monotone" dataKey="Fixed 5%" stroke="#ff6b35" strokeWidth={2} dot={false} />
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
-        <p className="text-sm text-[rgb(170,170,180)] mt-2">
-          Simulation shows average performance over 10 runs. Full Kelly maximizes growth but can be volatile.
-        </p>
-      </div>
+          {/* Risk of Ruin */}
+          <div className="mt-8 bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+            <h2 className="text-2xl font-semibold mb-4 text-[rgb(240,255,255)]">Risk of Ruin</h2>
+            {ruinSimulation.isRunning && (
+              <div className="mb-4">
+                <SimulationProgress progress={ruinSimulation.progress} onCancel={ruinSimulation.cancel} color="#5c99ff" />
+              </div>
+            )}
+            {ruinError && (
+              <div className="mb-4">
+                <SimulationError message={ruinError} />
+              </div>
+            )}
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-[rgb(170,170,180)]">
+                <thead>
+                  <tr className="border-b border-[rgba(170,170,180,0.3)]">
+                    <th className="py-2 pr-3 text-left font-medium">Strategy</th>
+                    <th className="py-2 pr-3 text-right font-medium">Fraction</th>
+                    <th className="py-2 pr-3 text-right font-medium">P(lose {percent(drawdown, 0)} within {numBets} bets), approximation</th>
+                    <th className="py-2 pr-3 text-right font-medium">Monte Carlo</th>
+                    <th className="py-2 pr-3 text-right font-medium">P(ever lose {percent(drawdown, 0)})</th>
+                    <th className="py-2 text-right font-medium">P({percent(drawdown, 0)} drawdown from a peak)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ruinRows.map(row => (
+                    <tr key={row.name} className="border-b border-[rgba(170,170,180,0.1)]">
+                      <td className="py-1 pr-3" style={{ color: strategyColors[row.name] }}>{row.name}</td>
+                      <td className="py-1 pr-3 text-right">{percent(row.fraction, 2)}</td>
+                      <td className="py-1 pr-3 text-right text-[rgb(240,255,255)]">
+                        {row.approximation ? percent(row.approximation.withinBets) : 'none: one loss is ruin'}
+                      </td>
+                      <td className="py-1 pr-3 text-right text-[rgb(240,255,255)]">
+                        {row.monteCarlo ? `${percent(row.monteCarlo.hitProbability)} ± ${percent(row.monteCarlo.standardError)}` : '…'}
+                      </td>
+                      <td className="py-1 pr-3 text-right">{row.approximation ? percent(row.approximation.ever) : '100.0%'}</td>
+                      <td className="py-1 text-right">{row.monteCarlo ? percent(row.monteCarlo.drawdownProbability) : '…'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-sm text-[rgb(170,170,180)] mt-2">
+              The approximation treats log-capital as a Brownian motion with the bets' mean and variance, which has a closed-form
+              first-passage probability; it does not exist for stakes where a single loss wipes out the capital. The Monte Carlo
+              estimates play {ruinPaths.toLocaleString()} sequences of {numBets} bets. The last column counts any fall of{' '}
+              {percent(drawdown, 0)} from a running peak, not just from the initial capital.
+            </p>
+          </div>
+        </>
+      ) : mode === 'portfolio' ? (
+        <KellyPortfolio />
+      ) : (
+        <KellyBayesian />
+      )}
 
       {/* Educational Content */}
       <div className="mt-8 bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
@@ -0,0 +1,380 @@
+import React, { useState, useEffect } from 'react';
+import { ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { constrainedKellyWeights, grossLeverage, kellyWeights, parsePortfolio, portfolioGrowth } from '../lib/kellyPortfolio.js';
+import { useSimulationWorker } from '../lib/useSimulationWorker.js';
+import PathCountInput from './PathCountInput.jsx';
+import SeedInput from './SeedInput.jsx';
+import SimulationError from './SimulationError.jsx';
+import SimulationProgress from './SimulationProgress.jsx';
+
+// Example portfolio: annual excess returns, and the covariance from volatilities of 16%, 6% and
+// 15% with correlations of 0.1 (stocks–bonds), 0.05 (stocks–gold) and 0.3 (bonds–gold)
+const defaultAssets = 'Stocks, 5%\nBonds, 1.5%\nGold, 2%';
+const defaultCovariance = '0.0256 0.00096 0.0012\n0.00096 0.0036 0.0027\n0.0012 0.0027 0.0225';
+
+const strategyColors = { kelly: '#5c99ff', fractional: '#16a34a', equal: '#ff6b35', unconstrained: '#ef4444' };
+
+const percent = (value, digits = 1) => `${(value * 100).toFixed(digits)}%`;
+
+// Portfolio mode of the Kelly page: Kelly weights for correlated assets from their excess
+// returns and covariance, optionally long-only or with capped leverage, and simulated wealth
+// against fractional-Kelly and equal-weight portfolios.
+const KellyPortfolio = () => {
+  const [assetText, setAssetText] = useState(defaultAssets);
+  const [covarianceText, setCovarianceText] = useState(defaultCovariance);
+  const [riskFreeRate, setRiskFreeRate] = useState(0.04);
+  const [longOnly, setLongOnly] = useState(false);
+  const [capLeverage, setCapLeverage] = useState(false);
+  const [maxLeverage, setMaxLeverage] = useState(2);
+  const [kellyMultiple, setKellyMultiple] = useState(0.5);
+  const [years, setYears] = useState(20);
+  const [numPaths, setNumPaths] = useState(2000);
+  const [seed, setSeed] = useState(42);
+  const [portfolio, setPortfolio] = useState(null);
+  const [results, setResults] = useState(null);
+  const [simulationError, setSimulationError] = useState(null);
+  const simulation = useSimulationWorker();
+
+  // Solve for the weights and simulate them whenever an input changes. Constraints only apply
+  // when one is switched on; then the unconstrained Kelly portfolio is kept for comparison.
+  useEffect(() => {
+    const parsed = parsePortfolio(assetText, covarianceText);
+    if (parsed.error) {
+      setPortfolio(parsed);
+      return;
+    }
+
+    const { assets, covariance } = parsed;
+    const excessReturns = assets.map(asset => asset.excessReturn);
+    const constrained = longOnly || capLeverage;
+    const unconstrainedWeights = kellyWeights(excessReturns, covariance);
+    const kelly = constrained
+      ? constrainedKellyWeights(excessReturns, covariance, { longOnly, maxLeverage: capLeverage ? maxLeverage : Infinity })
+      : unconstrainedWeights;
+    const strategies = [
+      { key: 'kelly', name: constrained ? 'Constrained Kelly' : 'Full Kelly', weights: kelly },
+      { key: 'fractional', name: `${kellyMultiple.toFixed(2)}× Kelly`, weights: kelly.map(w => kellyMultiple * w) },
+      { key: 'equal', name: 'Equal weight', weights: assets.map(() => 1 / assets.length) },
+      ...(constrained ? [{ key: 'unconstrained', name: 'Unconstrained Kelly', weights: unconstrainedWeights }] : [])
+    ].map(strategy => ({
+      ...strategy,
+      leverage: grossLeverage(strategy.weights),
+      ...portfolioGrowth(strategy.weights, excessReturns, covariance, riskFreeRate)
+    }));
+    setPortfolio({ assets, strategies });
+
+    setSimulationError(null);
+    simulation.run('kellyPortfolioSimulation', {
+      strategies: strategies.map(({ name, weights }) => ({ name, weights })),
+      excessReturns,
+      covariance,
+      riskFreeRate,
+      years,
+      numPaths,
+      seed
+    }, { onResult: setResults, onError: setSimulationError });
+  }, [assetText, covarianceText, riskFreeRate, longOnly, capLeverage, maxLeverage, kellyMultiple, years, numPaths, seed]);
+
+  const strategies = portfolio?.strategies ?? [];
+  const summaries = results ? strategies.map(strategy => results.summary.find(row => row.name === strategy.name)) : [];
+  const simulated = results !== null && strategies.length > 0 && summaries.every(Boolean);
+
+  return (
+    <>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        {/* Controls */}
+        <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+          <h2 className="text-2xl font-semibold mb-4 text-[rgb(240,255,255)]">Portfolio</h2>
+
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                Expected Excess Returns (μ − r), one asset per line
+              </label>
+              <textarea
+                value={assetText}
+                onChange={(e) => setAssetText(e.target.value)}
+                rows={4}
+                spellCheck={false}
+                className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)] font-mono text-sm"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                Annual Covariance Matrix Σ, one row per line
+              </label>
+              <textarea
+                value={covarianceText}
+                onChange={(e) => setCovarianceText(e.target.value)}
+                rows={4}
+                spellCheck={false}
+                className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)] font-mono text-sm"
+              />
+              {portfolio?.error && <p className="text-sm text-[#ef4444] mt-1">{portfolio.error}</p>}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                Risk-Free Rate: {percent(riskFreeRate)}
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="0.1"
+                step="0.005"
+                value={riskFreeRate}
+                onChange={(e) => setRiskFreeRate(parseFloat(e.target.value))}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+              />
+            </div>
+
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="kellyLongOnly"
+                checked={longOnly}
+                onChange={(e) => setLongOnly(e.target.checked)}
+                className="mr-2"
+              />
+              <label htmlFor="kellyLongOnly" className="text-sm text-[rgb(170,170,180)]">Long only (no short positions)</label>
+            </div>
+
+            <div>
+              <div className="flex items-center mb-1">
+                <input
+                  type="checkbox"
+                  id="kellyCapLeverage"
+                  checked={capLeverage}
+                  onChange={(e) => setCapLeverage(e.target.checked)}
+                  className="mr-2"
+                />
+                <label htmlFor="kellyCapLeverage" className="text-sm text-[rgb(170,170,180)]">
+                  Cap gross leverage Σ|wᵢ| at {maxLeverage.toFixed(1)}×
+                </label>
+              </div>
+              <input
+                type="range"
+                min="0.5"
+                max="5"
+                step="0.1"
+                value={maxLeverage}
+                disabled={!capLeverage}
+                onChange={(e) => setMaxLeverage(parseFloat(e.target.value))}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                Fractional Kelly: {kellyMultiple.toFixed(2)}× the Kelly weights
+              </label>
+              <input
+                type="range"
+                min="0.1"
+                max="1"
+                step="0.05"
+                value={kellyMultiple}
+                onChange={(e) => setKellyMultiple(parseFloat(e.target.value))}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                Horizon: {years} years
+              </label>
+              <input
+                type="range"
+                min="1"
+                max="30"
+                step="1"
+                value={years}
+                onChange={(e) => setYears(parseInt(e.target.value))}
+                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+              />
+            </div>
+
+            <PathCountInput numPaths={numPaths} onChange={setNumPaths} min={100} max={5000} />
+            <SeedInput seed={seed} onChange={setSeed} color="#5c99ff" />
+          </div>
+        </div>
+
+        {/* Weights */}
+        <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+          <h2 className="text-2xl font-semibold mb-4 text-[rgb(240,255,255)]">Kelly Weights</h2>
+
+          {portfolio?.assets && (
+            <div className="space-y-4">
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm text-[rgb(170,170,180)]">
+                  <thead>
+                    <tr className="border-b border-[rgba(170,170,180,0.3)]">
+                      <th className="py-2 pr-3 text-left font-medium">Asset</th>
+                      {strategies.map(strategy => (
+                        <th key={strategy.key} className="py-2 pr-3 text-right font-medium" style={{ color: strategyColors[strategy.key] }}>
+                          {strategy.name}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {portfolio.assets.map((asset, i) => (
+                      <tr key={i} className="border-b border-[rgba(170,170,180,0.1)]">
+                        <td className="py-1 pr-3">{asset.name}</td>
+                        {strategies.map(strategy => (
+                          <td key={strategy.key} className="py-1 pr-3 text-right text-[rgb(240,255,255)]">{percent(strategy.weights[i])}</td>
+                        ))}
+                      </tr>
+                    ))}
+                    <tr className="border-b border-[rgba(170,170,180,0.1)]">
+                      <td className="py-1 pr-3">Cash</td>
+                      {strategies.map(strategy => (
+                        <td key={strategy.key} className="py-1 pr-3 text-right">{percent(1 - strategy.weights.reduce((sum, w) => sum + w, 0))}</td>
+                      ))}
+                    </tr>
+                    {[
+                      { label: 'Gross leverage', value: (s) => `${s.leverage.toFixed(2)}×` },
+                      { label: 'Expected return', value: (s) => percent(s.expectedReturn, 2) },
+                      { label: 'Volatility', value: (s) => percent(s.volatility, 2) },
+                      { label: 'Log-growth rate g(w)', value: (s) => percent(s.growth, 2) }
+                    ].map(row => (
+                      <tr key={row.label} className="border-b border-[rgba(170,170,180,0.1)]">
+                        <td className="py-1 pr-3">{row.label}</td>
+                        {strategies.map(strategy => (
+                          <td key={strategy.key} className="py-1 pr-3 text-right text-[rgb(240,255,255)]">{row.value(strategy)}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="bg-[rgba(255,107,53,0.1)] border border-[rgba(255,107,53,0.3)] p-4 rounded-lg">
+                <h4 className="font-semibold text-[#ff6b35] mb-2">Continuous Kelly</h4>
+                <p className="text-sm text-[#ff6b35]">
+                  f* = Σ⁻¹(μ − r), &nbsp; g(f*) = r + ½ (μ − r)ᵀ Σ⁻¹ (μ − r)
+                </p>
+                <p className="text-xs text-[#ff6b35] mt-1">
+                  The cash row is what is left over, negative when the portfolio borrows. A fraction c of the unconstrained Kelly
+                  weights keeps c(2 − c) of the excess growth at c times the volatility. With a constraint on, the weights are the best
+                  growth rate the constraint allows, found numerically.
+                </p>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Simulated Wealth */}
+      <div className="mt-8 bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
+        <h2 className="text-2xl font-semibold mb-4 text-[rgb(240,255,255)]">Simulated Wealth</h2>
+        {simulation.isRunning && (
+          <div className="mb-4">
+            <SimulationProgress progress={simulation.progress} onCancel={simulation.cancel} color="#5c99ff" />
+          </div>
+        )}
+        {simulationError && (
+          <div className="mb-4">
+            <SimulationError message={simulationError} />
+          </div>
+        )}
+        {simulated && (
+          <>
+            <div className="h-96">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={results.wealthPaths}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                  <XAxis
+                    dataKey="time"
+                    type="number"
+                    domain={['dataMin', 'dataMax']}
+                    label={{ value: 'Years', position: 'insideBottom', offset: -5, style: { fill: 'rgb(170,170,180)' } }}
+                    tick={{ fill: 'rgb(170,170,180)' }}
+                  />
+                  <YAxis
+                    scale="log"
+                    domain={['auto', 'auto']}
+                    allowDataOverflow
+                    tickFormatter={(value) => `${+value.toPrecision(2)}×`}
+                    label={{ value: 'Wealth (× initial, log scale)', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' }, dy: 90 }}
+                    tick={{ fill: 'rgb(170,170,180)' }}
+                  />
+                  <Tooltip
+                    formatter={(value, name) => [
+                      Array.isArray(value) ? value.map(v => `${v.toFixed(2)}×`).join(' – ') : `${value.toFixed(2)}×`,
+                      name
+                    ]}
+                    labelFormatter={(value) => `Year ${value.toFixed(1)}`}
+                    contentStyle={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}
+                  />
+                  <Legend wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+                  {strategies.map(strategy => (
+                    <Area
+                      key={`${strategy.key}-band`}
+                      type="monotone"
+                      dataKey={`${strategy.name} band`}
+                      name={`${strategy.name} 10th–90th`}
+                      stroke="none"
+                      fill={strategyColors[strategy.key]}
+                      fillOpacity={0.12}
+                      legendType="none"
+                    />
+                  ))}
+                  {strategies.map(strategy => (
+                    <Line
+                      key={strategy.key}
+                      type="monotone"
+                      dataKey={strategy.name}
+                      name={`${strategy.name} (median)`}
+                      stroke={strategyColors[strategy.key]}
+                      strokeWidth={2}
+                      strokeDasharray={strategy.key === 'unconstrained' ? '5 5' : undefined}
+                      dot={false}
+                    />
+                  ))}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="overflow-x-auto mt-6">
+              <table className="w-full text-sm text-[rgb(170,170,180)]">
+                <thead>
+                  <tr className="border-b border-[rgba(170,170,180,0.3)]">
+                    <th className="py-2 pr-3 text-left font-medium">After {years} years</th>
+                    <th className="py-2 pr-3 text-right font-medium">Predicted growth</th>
+                    <th className="py-2 pr-3 text-right font-medium">Simulated growth</th>
+                    <th className="py-2 pr-3 text-right font-medium">Median wealth</th>
+                    <th className="py-2 pr-3 text-right font-medium">Mean wealth</th>
+                    <th className="py-2 pr-3 text-right font-medium">10th percentile</th>
+                    <th className="py-2 text-right font-medium">P(below start)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {strategies.map((strategy, i) => (
+                    <tr key={strategy.key} className="border-b border-[rgba(170,170,180,0.1)]">
+                      <td className="py-1 pr-3" style={{ color: strategyColors[strategy.key] }}>{strategy.name}</td>
+                      <td className="py-1 pr-3 text-right">{percent(strategy.growth, 2)}</td>
+                      <td className="py-1 pr-3 text-right text-[rgb(240,255,255)]">{percent(summaries[i].realizedGrowth, 2)}</td>
+                      <td className="py-1 pr-3 text-right text-[rgb(240,255,255)]">{summaries[i].median.toFixed(2)}×</td>
+                      <td className="py-1 pr-3 text-right">{summaries[i].mean.toFixed(2)}×</td>
+                      <td className="py-1 pr-3 text-right">{summaries[i].p10.toFixed(2)}×</td>
+                      <td className="py-1 text-right">{percent(summaries[i].probabilityOfLoss)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+        <p className="text-sm text-[rgb(170,170,180)] mt-2">
+          Medians with 10th–90th percentile bands over {numPaths.toLocaleString()} paths, every portfolio rebalanced continuously
+          on the same simulated asset returns. Kelly has the highest median growth; fractional Kelly gives up a little of it for
+          a much narrower band.
+        </p>
+      </div>
+    </>
+  );
+};
+
+export default KellyPortfolio;
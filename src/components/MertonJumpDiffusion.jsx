@@ -1,6 +1,75 @@
 import React, { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar, Scatter } from 'recharts';
-import * as math from 'mathjs';
+import { LineChart, Line, Area, ComposedChart, ScatterChart, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, Bar, Scatter, Brush, LabelList } from 'recharts';
+import { jumpLaws, jumpSizeDistribution, parseEmpiricalJumps } from '../lib/jumpLaws.js';
+import { mertonSmile } from '../lib/merton.js';
+import { parsePriceHistory, simulatePriceHistory } from '../lib/mertonFit.js';
+import { describeFanPaths, toPathRows } from '../lib/paths.js';
+import { createRng } from '../lib/random.js';
+import { useSimulationWorker } from '../lib/useSimulationWorker.js';
+import HedgingPanel from './HedgingPanel.jsx';
+import PathCountInput from './PathCountInput.jsx';
+import RiskPanel from './RiskPanel.jsx';
+import SeedInput from './SeedInput.jsx';
+import SimulationError from './SimulationError.jsx';
+import SimulationProgress from './SimulationProgress.jsx';
+
+// Strike grid (K / S0) and maturities for the implied-volatility smile
+const smileMoneyness = Array.from({ length: 17 }, (_, i) => 0.6 + 0.05 * i);
+const smileMaturities = [0.25, 0.5, 1, 2];
+const smileColors = ['#5c99ff', '#ff10f0', '#ff6b35', '#8b5cf6', '#f59e0b', '#ef4444'];
+
+// Jump parameters that can be swept over the smile, with the values drawn alongside the current one
+const smileOverlays = {
+  lambda: { label: 'λ', values: [0, 0.25, 0.5, 1, 2] },
+  muJ: { label: 'μⱼ', values: [-0.3, -0.15, 0, 0.15] },
+  sigmaJ: { label: 'σⱼ', values: [0.05, 0.15, 0.3, 0.5] },
+  fixedJump: { label: 'Jump', values: [-0.2, -0.1, 0.05, 0.1] }
+};
+
+// Starting list for the empirical jump law: large one-day index moves, as simple returns
+const defaultEmpiricalReturns = '-20.5%, -12.0%, -9.0%, -7.6%, -6.8%, -5.9%, -4.4%, 4.2%, 5.4%, 6.3%, 9.4%, 11.6%';
+
+// True parameters of the example price history, so a fit can be checked against them
+const exampleHistoryParameters = { S0: 100, drift: 0.08, sigma: 0.15, lambda: 6, muJ: -0.03, sigmaJ: 0.04 };
+
+const formatLogReturn = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
+
+// Tooltip for the sample paths: the price at the hovered step and how the step's log-return splits
+// into its diffusion shock and its jump, for the highlighted path or, with none, for every path
+const PathTooltip = ({ active, label, paths, highlightedPath }) => {
+  const step = active && paths.length > 0 ? paths[0].findIndex(point => point.time === label) : -1;
+  if (step < 0) return null;
+  const shown = highlightedPath === null ? paths.map((_, i) => i) : [highlightedPath];
+
+  return (
+    <div className="p-2 text-xs" style={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}>
+      <div className="mb-1">t = {label.toFixed(3)}</div>
+      <table>
+        <thead>
+          <tr className="text-[rgb(170,170,180)]">
+            <th className="pr-3 text-left font-normal">Path</th>
+            <th className="pr-3 text-right font-normal">Price</th>
+            <th className="pr-3 text-right font-normal">Diffusion</th>
+            <th className="text-right font-normal">Jump</th>
+          </tr>
+        </thead>
+        <tbody>
+          {shown.map(i => {
+            const point = paths[i][step];
+            return (
+              <tr key={i}>
+                <td className="pr-3">{i + 1}</td>
+                <td className="pr-3 text-right">${point.price.toFixed(2)}</td>
+                <td className="pr-3 text-right">{step > 0 ? formatLogReturn(point.diffusion) : '—'}</td>
+                <td className="text-right" style={{ color: point.jump ? '#ef4444' : undefined }}>{point.jump ? formatLogReturn(point.jumpSize) : '—'}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
 
 const MertonJumpDiffusion = () => {
   const [parameters, setParameters] = useState({
@@ -14,237 +83,193 @@ const MertonJumpDiffusion = () => {
     numPaths: 100,    // Number of simulation paths
     numSteps: 252,    // Time steps per year
     K: 100,           // Strike price for option pricing
-    optionType: 'call'
+    optionType: 'call',
+    jumpLaw: 'lognormal', // Distribution of log-jump sizes (see jumpLaws)
+    kouP: 0.3,        // Kou: probability of an up-jump
+    eta1: 25,         // Kou: up-jump rate (mean up-jump 1/η₁)
+    eta2: 10,         // Kou: down-jump rate (mean down-jump 1/η₂)
+    fixedJump: -0.1,  // Fixed log-jump size
+    empiricalJumps: parseEmpiricalJumps(defaultEmpiricalReturns).jumps // Sorted log-jumps for the empirical law
   });
 
   const [simulationData, setSimulationData] = useState([]);
+  const [fanData, setFanData] = useState([]);
   const [jumpData, setJumpData] = useState([]);
   const [distributionData, setDistributionData] = useState([]);
+  const [returnMoments, setReturnMoments] = useState(null);
+  const [qqData, setQqData] = useState([]);
   const [optionResults, setOptionResults] = useState({});
-  const [isSimulating, setIsSimulating] = useState(false);
+  const [simulationError, setSimulationError] = useState(null);
   const [showJumps, setShowJumps] = useState(true);
   const [selectedView, setSelectedView] = useState('paths');
+  const [highlightedPath, setHighlightedPath] = useState(null);
+  const [pathWindow, setPathWindow] = useState(null);
+  const [varianceReduction, setVarianceReduction] = useState({ antithetic: false, controlVariate: false });
+  const [seed, setSeed] = useState(42);
+  const [smileOverlay, setSmileOverlay] = useState('lambda');
+  const [smileData, setSmileData] = useState(null);
+  const [empiricalText, setEmpiricalText] = useState(defaultEmpiricalReturns);
+  const [empiricalError, setEmpiricalError] = useState(null);
+  const [priceText, setPriceText] = useState('');
+  const [priceFit, setPriceFit] = useState(null);
+  const simulation = useSimulationWorker();
+  const fitRun = useSimulationWorker();
 
-  // Generate random normal using Box-Muller
-  const randomNormal = () => {
-    const u1 = Math.random();
-    const u2 = Math.random();
-    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  // Run Monte Carlo simulation in the simulation worker
+  const runSimulation = (params = parameters) => {
+    setSimulationError(null);
+    simulation.run('mertonSimulation', { parameters: params, varianceReduction, seed }, {
+      onResult: (result) => {
+        setSimulationData(result.simulationData);
+        setPathWindow(null);
+        setFanData(result.fanData);
+        setJumpData(result.jumpData);
+        setDistributionData(result.distributionData);
+        setReturnMoments(result.returnMoments);
+        setQqData(result.qqData);
+        setOptionResults(result.optionResults);
+      },
+      onError: setSimulationError
+    });
   };
 
-  // Generate Poisson random variable
-  const randomPoisson = (lambda) => {
-    const L = Math.exp(-lambda);
-    let k = 0;
-    let p = 1;
-    
-    do {
-      k++;
-      p *= Math.random();
-    } while (p > L);
-    
-    return k - 1;
+  // Only accept the empirical list once it parses, so the simulator always has a usable law
+  const updateEmpiricalJumps = (text) => {
+    setEmpiricalText(text);
+    const { jumps, error } = parseEmpiricalJumps(text);
+    setEmpiricalError(error ?? null);
+    if (jumps) setParameters({ ...parameters, empiricalJumps: jumps });
   };
 
-  // Simulate single path with jump diffusion
-  const simulateJumpDiffusionPath = () => {
-    const { S0, r, sigma, lambda, muJ, sigmaJ, T, numSteps } = parameters;
-    const dt = T / numSteps;
-    
-    const path = [];
-    const jumps = [];
-    let S = S0;
-    
-    path.push({ time: 0, price: S, jump: false, jumpSize: 0 });
-    
-    for (let i = 1; i <= numSteps; i++) {
-      const time = i * dt;
-      
-      // Diffusion component
-      const dW = randomNormal() * Math.sqrt(dt);
-      const diffusion = sigma * dW;
-      
-      // Jump component
-      const numJumps = randomPoisson(lambda * dt);
-      let totalJumpSize = 0;
-      
-      if (numJumps > 0) {
-        for (let j = 0; j < numJumps; j++) {
-          const jumpSize = muJ + sigmaJ * randomNormal();
-          totalJumpSize += jumpSize;
-        }
-      }
-      
-      // Update stock price using jump-diffusion formula
-      const drift = (r - lambda * (Math.exp(muJ + 0.5 * sigmaJ * sigmaJ) - 1) - 0.5 * sigma * sigma) * dt;
-      S = S * Math.exp(drift + diffusion + totalJumpSize);
-      
-      path.push({
-        time: time,
-        price: S,
-        jump: numJumps > 0,
-        jumpSize: totalJumpSize,
-        diffusion: diffusion
-      });
-      
-      if (numJumps > 0) {
-        jumps.push({
-          time: time,
-          price: S,
-          jumpSize: totalJumpSize,
-          numJumps: numJumps
-        });
-      }
+  const loadPriceFile = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      file.text().then(setPriceText);
     }
-    
-    return { path, jumps };
   };
 
-  // Run Monte Carlo simulation
-  const runSimulation = () => {
-    setIsSimulating(true);
-    
-    setTimeout(() => {
-      const allPaths = [];
-      const allJumps = [];
-      const finalPrices = [];
-      
-      for (let i = 0; i < parameters.numPaths; i++) {
-        const { path, jumps } = simulateJumpDiffusionPath();
-        
-        // Store first 10 paths for visualization
-        if (i < 10) {
-          const pathWithId = path.map(point => ({
-            ...point,
-            pathId: i
-          }));
-          allPaths.push(...pathWithId);
-        }
-        
-        // Collect all jumps
-        allJumps.push(...jumps);
-        
-        // Store final price for distribution analysis
-        finalPrices.push(path[path.length - 1].price);
-      }
-      
-      // Create price distribution
-      const minPrice = Math.min(...finalPrices);
-      const maxPrice = Math.max(...finalPrices);
-      const binSize = (maxPrice - minPrice) / 20;
-      const distribution = [];
-      
-      for (let i = 0; i < 20; i++) {
-        const binStart = minPrice + i * binSize;
-        const binEnd = binStart + binSize;
-        const count = finalPrices.filter(p => p >= binStart && p < binEnd).length;
-        distribution.push({
-          price: binStart,
-          frequency: count / parameters.numPaths,
-          count: count
-        });
-      }
-      
-      // Calculate option prices
-      const callPayoffs = finalPrices.map(S => Math.max(S - parameters.K, 0));
-      const putPayoffs = finalPrices.map(S => Math.max(parameters.K - S, 0));
-      
-      const callPrice = Math.exp(-parameters.r * parameters.T) *                        callPayoffs.reduce((a, b) => a + b, 0) / parameters.numPaths;
-      const putPrice = Math.exp(-parameters.r * parameters.T) *                       putPayoffs.reduce((a, b) => a + b, 0) / parameters.numPaths;
-      
-      // Black-Scholes comparison (without jumps)
-      const bsCallPrice = calculateBlackScholes('call');
-      const bsPutPrice = calculateBlackScholes('put');
-      
-      // Jump statistics
-      const jumpSizes = allJumps.map(j => j.jumpSize);
-      const avgJumpSize = jumpSizes.length > 0 ? jumpSizes.reduce((a, b) => a + b, 0) / jumpSizes.length : 0;
-      const jumpFrequency = allJumps.length / (parameters.numPaths * parameters.T);
-      
-      setSimulationData(allPaths);
-      setJumpData(allJumps);
-      setDistributionData(distribution);
-      setOptionResults({
-        callPrice,
-        putPrice,
-        bsCallPrice,
-        bsPutPrice,
-        finalPrices,
-        avgFinalPrice: finalPrices.reduce((a, b) => a + b, 0) / finalPrices.length,
-        stdFinalPrice: Math.sqrt(finalPrices.reduce((sum, p) => {
-          const mean = finalPrices.reduce((a, b) => a + b, 0) / finalPrices.length;
-          return sum + Math.pow(p - mean, 2);
-        }, 0) / finalPrices.length),
-        totalJumps: allJumps.length,
-        avgJumpSize,
-        jumpFrequency
-      });
-      
-      setIsSimulating(false);
-    }, 100);
+  // Four years of weekdays simulated from exampleHistoryParameters with the current seed
+  const loadExampleHistory = () => {
+    const prices = simulatePriceHistory(exampleHistoryParameters, 1000, seed);
+    setPriceText(['date,close', ...prices.map(({ date, close }) => `${date},${close.toFixed(2)}`)].join('\n'));
   };
 
-  // Black-Scholes formula for comparison
-  const calculateBlackScholes = (type) => {
-    const { S0, K, T, r, sigma } = parameters;
-    const d1 = (Math.log(S0 / K) + (r + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
-    const d2 = d1 - sigma * Math.sqrt(T);
-    
-    const normalCDF = (x) => 0.5 * (1 + math.erf(x / Math.sqrt(2)));
-    
-    if (type === 'call') {
-      return S0 * normalCDF(d1) - K * Math.exp(-r * T) * normalCDF(d2);
-    } else {
-      return K * Math.exp(-r * T) * normalCDF(-d2) - S0 * normalCDF(-d1);
+  // Maximum-likelihood fit in the simulation worker
+  const fitPriceHistory = () => {
+    const { prices, skipped, error } = parsePriceHistory(priceText);
+    if (error) {
+      setPriceFit({ error });
+      return;
     }
+
+    setPriceFit(null);
+    fitRun.run('fitMertonJumps', { prices }, {
+      onResult: (fit) => setPriceFit({ ...fit, skipped, firstPrice: prices[0] }),
+      onError: (message) => setPriceFit({ error: `Fit failed: ${message}` })
+    });
   };
 
-  // Generate theoretical jump distribution
-  const generateJumpDistribution = () => {
-    const jumpSizes = [];
-    for (let i = 0; i < 1000; i++) {
-      const jumpSize = parameters.muJ + parameters.sigmaJ * randomNormal();
-      jumpSizes.push(jumpSize);
-    }
-    
-    const minJump = Math.min(...jumpSizes);
-    const maxJump = Math.max(...jumpSizes);
-    const binSize = (maxJump - minJump) / 20;
-    const distribution = [];
-    
-    for (let i = 0; i < 20; i++) {
-      const binStart = minJump + i * binSize;
-      const binEnd = binStart + binSize;
-      const count = jumpSizes.filter(j => j >= binStart && j < binEnd).length;
-      distribution.push({
-        jumpSize: binStart,
-        frequency: count / 1000,
-        theoretical: true
-      });
-    }
-    
-    return distribution;
+  // Load the fitted σ, λ, μⱼ and σⱼ and rerun the simulation with them. The fitted drift is
+  // left out: the simulator prices under the risk-neutral measure, where the drift is r.
+  const loadFittedParameters = () => {
+    const { sigma, lambda, muJ, sigmaJ } = priceFit.params;
+    const fitted = { ...parameters, jumpLaw: 'lognormal', sigma, lambda, muJ, sigmaJ };
+    setParameters(fitted);
+    runSimulation(fitted);
   };
 
+  const law = jumpLaws[parameters.jumpLaw];
+  const jumpMoments = law.moments(parameters);
+
+  // Smile overlays apply to λ and the current law's own parameters
+  const smileOverlayKeys = Object.keys(smileOverlays).filter(key => key === 'lambda' || law.inputs.includes(key));
+  const activeSmileOverlay = smileOverlayKeys.includes(smileOverlay) ? smileOverlay : 'lambda';
+
   // Chart data based on selected view
   const getChartData = () => {
     switch (selectedView) {
       case 'paths':
-        return simulationData;
+        return pathRows;
+      case 'fan':
+        return fanData;
       case 'distribution':
         return distributionData;
       case 'jumps':
         return jumpData;
       default:
-        return simulationData;
+        return pathRows;
     }
   };
 
+  // One series per sample path, with jump markers taken from those same paths: only the jumps
+  // inside the brushed window, and only the highlighted path's when one is highlighted
+  const pathRows = toPathRows(simulationData, (point) => point.price);
+  const lastStep = Math.max(pathRows.length - 1, 0);
+  const windowStart = Math.min(pathWindow?.startIndex ?? 0, lastStep);
+  const windowEnd = Math.min(pathWindow?.endIndex ?? lastStep, lastStep);
+  const jumpMarkers = simulationData
+    .filter((_, i) => highlightedPath === null || i === highlightedPath)
+    .flatMap(path => path.slice(windowStart, windowEnd + 1).filter(point => point.jump));
+  // Draw the highlighted path last so the others do not cover it
+  const pathOrder = simulationData.map((_, i) => i).filter(i => i !== highlightedPath)
+    .concat(highlightedPath === null ? [] : [highlightedPath]);
+
+  // Open a jump from the Jump Events view in the path explorer: highlight its path and zoom in
+  // on the steps around it. Only the sample paths are kept, so other jumps cannot be opened.
+  const exploreJump = (event) => {
+    const path = simulationData[event.pathId];
+    if (!path) return;
+    const step = path.findIndex(point => point.time === event.time);
+    const halfWidth = Math.max(5, Math.round(lastStep / 10));
+    setHighlightedPath(event.pathId);
+    setPathWindow({ startIndex: Math.max(step - halfWidth, 0), endIndex: Math.min(step + halfWidth, lastStep) });
+    setShowJumps(true);
+    setSelectedView('paths');
+  };
+  const sampleJumps = jumpData.filter(event => event.pathId < simulationData.length);
+  const otherJumps = jumpData.filter(event => event.pathId >= simulationData.length);
+
+  // Days the fit thinks more likely than not to contain a jump, and the ten likeliest overall
+  const fittedDays = priceFit?.days ?? [];
+  const likelyJumpDays = fittedDays.filter(day => day.jumpProbability > 0.5);
+  const topJumpDays = [...fittedDays].sort((a, b) => b.jumpProbability - a.jumpProbability).slice(0, 10);
+  const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
   useEffect(() => {
     runSimulation();
   }, []);
 
-  const jumpDistribution = generateJumpDistribution();
+  // Implied-vol smiles from the analytic price: one per maturity, and one per value of the
+  // overlaid jump parameter at the current maturity. Only laws with a closed form have a smile.
+  useEffect(() => {
+    if (!law.normalJumps) {
+      setSmileData(null);
+      return;
+    }
+
+    const toRows = (series) => smileMoneyness.map((moneyness, i) => ({
+      moneyness,
+      ...Object.fromEntries(series.map(({ name, vols }) => [name, Number.isFinite(vols[i]) ? vols[i] * 100 : null]))
+    }));
+    const { label, values } = smileOverlays[activeSmileOverlay];
+    const current = parameters[activeSmileOverlay];
+    const overlayValues = [...new Set([...values, current])].sort((a, b) => a - b);
+    const currentSmile = mertonSmile(parameters, smileMoneyness, parameters.T);
+    const atIndex = (m) => smileMoneyness.findIndex(x => Math.abs(x - m) < 1e-9);
+
+    setSmileData({
+      maturities: toRows(smileMaturities.map(T => ({ name: `T=${T}`, vols: mertonSmile(parameters, smileMoneyness, T) }))),
+      overlay: toRows(overlayValues.map(value => ({
+        name: `${label} = ${value}${value === current ? ' (current)' : ''}`,
+        vols: mertonSmile({ ...parameters, [activeSmileOverlay]: value }, smileMoneyness, parameters.T)
+      }))),
+      overlayNames: overlayValues.map(value => `${label} = ${value}${value === current ? ' (current)' : ''}`),
+      atmVol: currentSmile[atIndex(1)],
+      skew: currentSmile[atIndex(0.9)] - currentSmile[atIndex(1.1)]
+    });
+  }, [parameters, activeSmileOverlay]);
+
+  const jumpDistribution = jumpSizeDistribution(parameters, createRng(seed, 3));
 
   return (
     <div className="max-w-7xl mx-auto p-6 bg-[rgb(8,8,12)] min-h-screen">
@@ -341,34 +366,135 @@ const MertonJumpDiffusion = () => {
             </div>
 
             <div>
-              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
-                Mean Jump Size (μⱼ): {(parameters.muJ * 100).toFixed(1)}%
-              </label>
-              <input
-                type="range"
-                min="-0.3"
-                max="0.3"
-                step="0.01"
-                value={parameters.muJ}
-                onChange={(e) => setParameters({...parameters, muJ: parseFloat(e.target.value)})}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-              />
+              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">Jump Size Law</label>
+              <select
+                value={parameters.jumpLaw}
+                onChange={(e) => setParameters({...parameters, jumpLaw: e.target.value})}
+                className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
+              >
+                {Object.entries(jumpLaws).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
             </div>
 
-            <div>
-              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
-                Jump Volatility (σⱼ): {(parameters.sigmaJ * 100).toFixed(1)}%
-              </label>
-              <input
-                type="range"
-                min="0.01"
-                max="0.5"
-                step="0.01"
-                value={parameters.sigmaJ}
-                onChange={(e) => setParameters({...parameters, sigmaJ: parseFloat(e.target.value)})}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-              />
-            </div>
+            {parameters.jumpLaw === 'lognormal' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                    Mean Jump Size (μⱼ): {(parameters.muJ * 100).toFixed(1)}%
+                  </label>
+                  <input
+                    type="range"
+                    min="-0.3"
+                    max="0.3"
+                    step="0.01"
+                    value={parameters.muJ}
+                    onChange={(e) => setParameters({...parameters, muJ: parseFloat(e.target.value)})}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                    Jump Volatility (σⱼ): {(parameters.sigmaJ * 100).toFixed(1)}%
+                  </label>
+                  <input
+                    type="range"
+                    min="0.01"
+                    max="0.5"
+                    step="0.01"
+                    value={parameters.sigmaJ}
+                    onChange={(e) => setParameters({...parameters, sigmaJ: parseFloat(e.target.value)})}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+              </>
+            )}
+
+            {parameters.jumpLaw === 'kou' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                    Up-Jump Probability (p): {(parameters.kouP * 100).toFixed(0)}%
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.01"
+                    value={parameters.kouP}
+                    onChange={(e) => setParameters({...parameters, kouP: parseFloat(e.target.value)})}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                    Up-Jump Rate (η₁): {parameters.eta1} (mean +{(100 / parameters.eta1).toFixed(1)}%)
+                  </label>
+                  <input
+                    type="range"
+                    min="2"
+                    max="100"
+                    step="1"
+                    value={parameters.eta1}
+                    onChange={(e) => setParameters({...parameters, eta1: parseFloat(e.target.value)})}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                    Down-Jump Rate (η₂): {parameters.eta2} (mean −{(100 / parameters.eta2).toFixed(1)}%)
+                  </label>
+                  <input
+                    type="range"
+                    min="1"
+                    max="100"
+                    step="1"
+                    value={parameters.eta2}
+                    onChange={(e) => setParameters({...parameters, eta2: parseFloat(e.target.value)})}
+                    className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+              </>
+            )}
+
+            {parameters.jumpLaw === 'fixed' && (
+              <div>
+                <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                  Log-Jump Size: {(parameters.fixedJump * 100).toFixed(1)}%
+                </label>
+                <input
+                  type="range"
+                  min="-0.3"
+                  max="0.3"
+                  step="0.01"
+                  value={parameters.fixedJump}
+                  onChange={(e) => setParameters({...parameters, fixedJump: parseFloat(e.target.value)})}
+                  className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                />
+              </div>
+            )}
+
+            {parameters.jumpLaw === 'empirical' && (
+              <div>
+                <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+                  Jump Returns ({parameters.empiricalJumps.length} loaded)
+                </label>
+                <textarea
+                  value={empiricalText}
+                  onChange={(e) => updateEmpiricalJumps(e.target.value)}
+                  rows={3}
+                  placeholder="-0.2, -12%, 0.05"
+                  className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)] text-sm font-mono"
+                />
+                <p className={`text-xs mt-1 ${empiricalError ? 'text-[#ef4444]' : 'text-[rgb(170,170,180)]'}`}>
+                  {empiricalError ?? 'Simple returns, as decimals or percentages; each jump resamples one of them'}
+                </p>
+              </div>
+            )}
 
             <div>
               <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
@@ -391,20 +517,12 @@ const MertonJumpDiffusion = () => {
           <h2 className="text-xl font-semibold mb-4 text-[rgb(240,255,255)]">Simulation Control</h2>
           
           <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
-                Number of Paths: {parameters.numPaths}
-              </label>
-              <input
-                type="range"
-                min="10"
-                max="1000"
-                step="10"
-                value={parameters.numPaths}
-                onChange={(e) => setParameters({...parameters, numPaths: parseInt(e.target.value)})}
-                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
-              />
-            </div>
+            <PathCountInput
+              numPaths={parameters.numPaths}
+              onChange={(numPaths) => setParameters({...parameters, numPaths})}
+            />
+
+            <SeedInput seed={seed} onChange={setSeed} color="#5c99ff" />
 
             <div>
               <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">Visualization</label>
@@ -414,6 +532,7 @@ const MertonJumpDiffusion = () => {
                 className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md mb-4 bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
               >
                 <option value="paths">Price Paths</option>
+                <option value="fan">Percentile Fan</option>
                 <option value="distribution">Final Price Distribution</option>
                 <option value="jumps">Jump Events</option>
               </select>
@@ -421,17 +540,50 @@ const MertonJumpDiffusion = () => {
 
             <div className="space-y-2">
               <button
-                onClick={runSimulation}
-                disabled={isSimulating}
+                onClick={() => runSimulation()}
+                disabled={simulation.isRunning}
                 className={`w-full py-2 px-4 rounded-md font-medium ${
-                  isSimulating 
-                    ? 'bg-gray-400 cursor-not-allowed' 
+                  simulation.isRunning
+                    ? 'bg-gray-400 cursor-not-allowed'
                     : 'bg-[rgba(170,170,180,0.1)] border border-[rgba(170,170,180,0.3)] hover:bg-gray-700 text-white'
                 }`}
               >
-                {isSimulating ? 'Simulating...' : 'Run Simulation'}
+                {simulation.isRunning ? 'Simulating...' : 'Run Simulation'}
               </button>
 
+              {simulation.isRunning && (
+                <SimulationProgress
+                  progress={simulation.progress}
+                  onCancel={simulation.cancel}
+                  detail={simulation.partial &&
+                    `${simulation.partial.pathsDone} paths, call $${simulation.partial.price.toFixed(2)} ± ${simulation.partial.standardError.toFixed(2)}`}
+                  color="#5c99ff"
+                />
+              )}
+              {simulationError && <SimulationError message={simulationError} />}
+
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="mertonAntithetic"
+                  checked={varianceReduction.antithetic}
+                  onChange={(e) => setVarianceReduction({...varianceReduction, antithetic: e.target.checked})}
+                  className="mr-2"
+                />
+                <label htmlFor="mertonAntithetic" className="text-sm text-[rgb(170,170,180)]">Antithetic Variates</label>
+              </div>
+
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="mertonControlVariate"
+                  checked={varianceReduction.controlVariate}
+                  onChange={(e) => setVarianceReduction({...varianceReduction, controlVariate: e.target.checked})}
+                  className="mr-2"
+                />
+                <label htmlFor="mertonControlVariate" className="text-sm text-[rgb(170,170,180)]">Black-Scholes Control Variate</label>
+              </div>
+
               <div className="flex items-center">
                 <input
                   type="checkbox"
@@ -450,60 +602,130 @@ const MertonJumpDiffusion = () => {
       {/* Main Chart */}
       <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6 mb-8">
         <h2 className="text-xl font-semibold mb-4 text-[rgb(240,255,255)]">
-          {selectedView === 'paths' ? 'Sample Price Paths' : 
-           selectedView === 'distribution' ? 'Final Price Distribution' : 'Jump Events'}
+          {selectedView === 'paths' ? 'Sample Price Paths' :
+           selectedView === 'fan' ? `Price Percentiles (${describeFanPaths(parameters.numPaths)})` :
+           selectedView === 'distribution' ? 'Final Price Distribution' :
+           optionResults.totalJumps > jumpData.length ? `Jump Events (first ${jumpData.length.toLocaleString()} of ${optionResults.totalJumps.toLocaleString()})` : 'Jump Events'}
         </h2>
-        
+
+        {selectedView === 'paths' && simulationData.length > 0 && (
+          <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-[rgb(170,170,180)]">
+            <label className="flex items-center gap-2">
+              Highlight
+              <select
+                value={highlightedPath ?? ''}
+                onChange={(e) => setHighlightedPath(e.target.value === '' ? null : parseInt(e.target.value))}
+                className="p-1 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
+              >
+                <option value="">All paths</option>
+                {simulationData.map((path, i) => (
+                  <option key={i} value={i}>
+                    Path {i + 1} ({path.filter(point => point.jump).length} steps with jumps)
+                  </option>
+                ))}
+              </select>
+            </label>
+            <span>Drag the handles below the chart to zoom in on a stretch of time.</span>
+            {(windowStart > 0 || windowEnd < lastStep) && (
+              <button
+                onClick={() => setPathWindow(null)}
+                className="py-1 px-3 rounded-md border border-[rgba(170,170,180,0.3)] text-[rgb(240,255,255)] hover:bg-[rgba(92,153,255,0.15)]"
+              >
+                Reset zoom
+              </button>
+            )}
+          </div>
+        )}
+        {selectedView === 'jumps' && sampleJumps.length > 0 && (
+          <p className="text-sm text-[rgb(170,170,180)] mb-4">
+            Blue jumps fell on the {simulationData.length} sample paths: click one to open its path in the explorer.
+          </p>
+        )}
+
         <div className="h-80">
           <ResponsiveContainer width="100%" height="100%">
-            {selectedView === 'paths' ? (
-              <LineChart data={simulationData}>
+            {selectedView === 'paths' || selectedView === 'fan' ? (
+              <ComposedChart data={getChartData()}>
                 <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
-                <XAxis dataKey="time" label={{ value: 'Time (years)', position: 'insideBottom', offset: -5, style: { fill: 'rgb(170,170,180)' } }} tick={{ fill: 'rgb(170,170,180)' }} tickCount={5} tickFormatter={(value) => value.toFixed(1)} />
-                <YAxis label={{ value: 'Stock Price ($)', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' }, dy: 70}} tick={{ fill: 'rgb(170,170,180)' }} />
-                <Tooltip 
+                <XAxis dataKey="time" type="number" domain={['dataMin', 'dataMax']} label={{ value: 'Time (years)', position: 'insideBottom', offset: -5, style: { fill: 'rgb(170,170,180)' } }} tick={{ fill: 'rgb(170,170,180)' }} tickCount={5} tickFormatter={(value) => value.toFixed(1)} />
+                <YAxis domain={['auto', 'auto']} label={{ value: 'Stock Price ($)', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' }, dy: 70}} tick={{ fill: 'rgb(170,170,180)' }} />
+                <Tooltip
+                  content={selectedView === 'paths' ? <PathTooltip paths={simulationData} highlightedPath={highlightedPath} /> : undefined}
                   formatter={(value, name) => [
-                    name === 'price' ? `${value.toFixed(2)}` : value,
-                    name === 'price' ? 'Price' : name
+                    Array.isArray(value) ? value.map(v => v.toFixed(2)).join(' – ') : value.toFixed(2),
+                    name
                   ]}
+                  labelFormatter={(value) => `t = ${value.toFixed(3)}`}
                   contentStyle={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}
                 />
-                <Line 
-                  type="monotone" 
-                  dataKey="price" 
-                  stroke="#5c99ff" // Changed from blue to a brighter blue
-                  strokeWidth={1} 
-                  dot={false} 
-                  connectNulls={false}
-                />
-                {showJumps && (
-                  <Scatter 
-                    data={jumpData} 
+                {selectedView === 'fan' ? [
+                  <Area key="outer" type="monotone" dataKey="outerBand" name="5th–95th" stroke="none" fill="#5c99ff" fillOpacity={0.15} />,
+                  <Area key="inner" type="monotone" dataKey="innerBand" name="25th–75th" stroke="none" fill="#5c99ff" fillOpacity={0.3} />,
+                  <Line key="median" type="monotone" dataKey="p50" name="Median" stroke="#5c99ff" strokeWidth={2} dot={false} />
+                ] : pathOrder.map(i => (
+                  <Line
+                    key={i}
+                    type="monotone"
+                    dataKey={`path${i}`}
+                    name={`Path ${i + 1}`}
+                    stroke="#5c99ff"
+                    strokeWidth={i === highlightedPath ? 2.5 : 1}
+                    strokeOpacity={highlightedPath === null || i === highlightedPath ? 0.8 : 0.15}
+                    dot={false}
+                    isAnimationActive={false}
+                  />
+                ))}
+                {selectedView === 'paths' && showJumps && (
+                  <Scatter
+                    data={jumpMarkers}
                     dataKey="price"
+                    name="Jump"
                     fill="#ef4444" // Red for jump points
+                  >
+                    {highlightedPath !== null && (
+                      <LabelList dataKey="jumpSize" position="top" formatter={formatLogReturn} fill="#ef4444" fontSize={11} />
+                    )}
+                  </Scatter>
+                )}
+                {selectedView === 'paths' && pathRows.length > 0 && (
+                  <Brush
+                    dataKey="time"
+                    height={24}
+                    startIndex={windowStart}
+                    endIndex={windowEnd}
+                    onChange={({ startIndex, endIndex }) => setPathWindow({ startIndex, endIndex })}
+                    tickFormatter={(value) => value.toFixed(2)}
+                    stroke="#5c99ff"
+                    fill="rgba(18,18,24,0.95)"
                   />
                 )}
-              </LineChart>
+              </ComposedChart>
             ) : selectedView === 'distribution' ? (
-              <BarChart data={distributionData}>
+              <ComposedChart data={distributionData}>
                 <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
-                <XAxis 
-                  dataKey="price" 
+                <XAxis
+                  dataKey="price"
                   label={{ value: 'Final Price ($)', position: 'insideBottom', offset: -5, style: { fill: 'rgb(170,170,180)' } }}
                   tickFormatter={(value) => `${value.toFixed(0)}`}
                   tick={{ fill: 'rgb(170,170,180)' }}
                 />
                 <YAxis label={{ value: 'Frequency', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' } }} tick={{ fill: 'rgb(170,170,180)' }} />
-                <Tooltip 
-                  formatter={(value) => [value.toFixed(4), 'Frequency']} 
+                <Tooltip
+                  formatter={(value, name) => [value.toFixed(4), name]}
+                  labelFormatter={(value) => `From $${value.toFixed(2)}`}
                   contentStyle={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}
                 />
-                <Bar dataKey="frequency" fill="#8b5cf6" />
-              </BarChart>
+                <Legend verticalAlign="top" wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+                <Bar dataKey="frequency" name="Simulated" fill="#8b5cf6" />
+                {optionResults.mertonCallPrice !== null && (
+                  <Line type="monotone" dataKey="merton" name="Merton (exact)" stroke="#f59e0b" strokeWidth={2} dot={false} />
+                )}
+                <Line type="monotone" dataKey="gbm" name="GBM (lognormal)" stroke="#ff6b35" strokeWidth={2} strokeDasharray="5 5" dot={false} />
+              </ComposedChart>
             ) : (
-              <ScatterChart data={jumpData}>
+              <ScatterChart>
                 <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
-                <XAxis dataKey="time" label={{ value: 'Time (years)', position: 'insideBottom', offset: -5, style: { fill: 'rgb(170,170,180)' } }} tick={{ fill: 'rgb(170,170,180)' }} />
+                <XAxis dataKey="time" type="number" label={{ value: 'Time (years)', position: 'insideBottom', offset: -5, style: { fill: 'rgb(170,170,180)' } }} tick={{ fill: 'rgb(170,170,180)' }} />
                 <YAxis dataKey="jumpSize" label={{ value: 'Jump Size', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' } }} tick={{ fill: 'rgb(170,170,180)' }} />
                 <Tooltip 
                   formatter={(value, name) => [
@@ -512,11 +734,86 @@ const MertonJumpDiffusion = () => {
                   ]}
                   contentStyle={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}
                 />
-                <Scatter dataKey="jumpSize" fill="#f59e0b" />
+                <Scatter data={otherJumps} dataKey="jumpSize" fill="#f59e0b" />
+                <Scatter data={sampleJumps} dataKey="jumpSize" fill="#5c99ff" cursor="pointer" onClick={(point) => exploreJump(point.payload)} />
               </ScatterChart>
             )}
           </ResponsiveContainer>
         </div>
+
+        {selectedView === 'distribution' && returnMoments && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-8">
+            <div>
+              <h3 className="font-semibold text-[rgb(240,255,255)] mb-2">Log-Return QQ Plot Against the Normal</h3>
+              <div className="h-72">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={qqData} margin={{ top: 10, right: 20, left: 10, bottom: 30 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                    <XAxis
+                      dataKey="normal"
+                      type="number"
+                      domain={['dataMin', 'dataMax']}
+                      tickFormatter={(value) => value.toFixed(1)}
+                      label={{ value: 'Normal quantile', position: 'insideBottom', offset: -15, style: { fill: 'rgb(170,170,180)' } }}
+                      tick={{ fill: 'rgb(170,170,180)' }}
+                    />
+                    <YAxis
+                      domain={['auto', 'auto']}
+                      tickFormatter={(value) => value.toFixed(1)}
+                      label={{ value: 'Standardized quantile', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' } }}
+                      tick={{ fill: 'rgb(170,170,180)' }}
+                    />
+                    <Tooltip
+                      formatter={(value, name) => [value.toFixed(3), name]}
+                      labelFormatter={(value) => `Normal quantile: ${value.toFixed(3)}`}
+                      contentStyle={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}
+                    />
+                    <Legend verticalAlign="top" wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+                    <Line type="linear" dataKey="normal" name="Normal" stroke="rgb(170,170,180)" strokeDasharray="5 5" dot={false} />
+                    {optionResults.mertonCallPrice !== null && (
+                      <Line type="monotone" dataKey="merton" name="Merton (exact)" stroke="#f59e0b" strokeWidth={2} dot={false} />
+                    )}
+                    <Scatter dataKey="sample" name="Simulated" fill="#8b5cf6" />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            <div>
+              <h3 className="font-semibold text-[rgb(240,255,255)] mb-2">Moments of ln(S_T / S₀)</h3>
+              <table className="w-full text-sm text-[rgb(170,170,180)]">
+                <thead>
+                  <tr className="text-left text-[rgb(240,255,255)]">
+                    <th className="py-1"></th>
+                    <th className="py-1">Simulated</th>
+                    <th className="py-1">Theoretical</th>
+                    <th className="py-1">GBM</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    ['Mean', 'mean'],
+                    ['Std dev', 'std'],
+                    ['Skewness', 'skewness'],
+                    ['Excess kurtosis', 'excessKurtosis']
+                  ].map(([label, key]) => (
+                    <tr key={key} className="border-t border-[rgba(170,170,180,0.2)]">
+                      <td className="py-1">{label}</td>
+                      <td className="py-1 text-[rgb(240,255,255)]">{returnMoments.simulated[key].toFixed(4)}</td>
+                      <td className="py-1 text-[#f59e0b]">{returnMoments.theoretical[key].toFixed(4)}</td>
+                      <td className="py-1">{returnMoments.gbm[key].toFixed(4)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-[rgb(170,170,180)] mt-3">
+                The theoretical moments come from the cumulants of the compound Poisson jumps, λT·E[Yⁿ], so they hold
+                for every jump law. Under GBM the log-return is normal, with no skew and no excess kurtosis. Sample skewness
+                and kurtosis are noisy with few paths; raise the path count to see them settle.
+              </p>
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Results */}
@@ -532,6 +829,13 @@ const MertonJumpDiffusion = () => {
                   <p className="text-2xl font-bold text-[#5c99ff]">
                     ${optionResults.callPrice.toFixed(4)}
                   </p>
+                  <p className="text-sm text-[#5c99ff]">
+                    ±{optionResults.callEstimate.standardError.toFixed(4)} SE
+                  </p>
+                  <p className="text-xs text-[#5c99ff]">
+                    95% CI [{optionResults.callEstimate.ciLow.toFixed(3)}, {optionResults.callEstimate.ciHigh.toFixed(3)}],
+                    variance reduction ×{optionResults.callEstimate.varianceReductionFactor.toFixed(1)}
+                  </p>
                 </div>
 
                 <div className="bg-[rgba(92,153,255,0.1)] border border-[rgba(92,153,255,0.3)] p-4 rounded-lg">
@@ -546,6 +850,13 @@ const MertonJumpDiffusion = () => {
                   <p className="text-2xl font-bold text-[#ff10f0]">
                     ${optionResults.putPrice.toFixed(4)}
                   </p>
+                  <p className="text-sm text-[#ff10f0]">
+                    ±{optionResults.putEstimate.standardError.toFixed(4)} SE
+                  </p>
+                  <p className="text-xs text-[#ff10f0]">
+                    95% CI [{optionResults.putEstimate.ciLow.toFixed(3)}, {optionResults.putEstimate.ciHigh.toFixed(3)}],
+                    variance reduction ×{optionResults.putEstimate.varianceReductionFactor.toFixed(1)}
+                  </p>
                 </div>
 
                 <div className="bg-[rgba(255,107,53,0.1)] border border-[rgba(255,107,53,0.3)] p-4 rounded-lg">
@@ -554,8 +865,40 @@ const MertonJumpDiffusion = () => {
                     ${optionResults.bsPutPrice.toFixed(4)}
                   </p>
                 </div>
+
+                {optionResults.mertonCallPrice !== null && (
+                  <>
+                    <div className="bg-[rgba(139,92,246,0.1)] border border-[rgba(139,92,246,0.3)] p-4 rounded-lg">
+                      <h3 className="font-semibold text-[#8b5cf6]">Call Option (Merton Analytic)</h3>
+                      <p className="text-2xl font-bold text-[#8b5cf6]">
+                        ${optionResults.mertonCallPrice.toFixed(4)}
+                      </p>
+                      <p className="text-xs text-[#8b5cf6]">
+                        MC error {(optionResults.callPrice - optionResults.mertonCallPrice).toFixed(4)}
+                        {optionResults.callEstimate.standardError > 0 && ` (${((optionResults.callPrice - optionResults.mertonCallPrice) / optionResults.callEstimate.standardError).toFixed(1)} SE)`}
+                      </p>
+                    </div>
+
+                    <div className="bg-[rgba(139,92,246,0.1)] border border-[rgba(139,92,246,0.3)] p-4 rounded-lg">
+                      <h3 className="font-semibold text-[#8b5cf6]">Put Option (Merton Analytic)</h3>
+                      <p className="text-2xl font-bold text-[#8b5cf6]">
+                        ${optionResults.mertonPutPrice.toFixed(4)}
+                      </p>
+                      <p className="text-xs text-[#8b5cf6]">
+                        MC error {(optionResults.putPrice - optionResults.mertonPutPrice).toFixed(4)}
+                        {optionResults.putEstimate.standardError > 0 && ` (${((optionResults.putPrice - optionResults.mertonPutPrice) / optionResults.putEstimate.standardError).toFixed(1)} SE)`}
+                      </p>
+                    </div>
+                  </>
+                )}
               </div>
 
+              {optionResults.mertonCallPrice === null && (
+                <p className="text-xs text-[rgb(170,170,180)]">
+                  The closed-form series and the implied-volatility smile need normal or fixed log-jumps; this jump law is priced by Monte Carlo only.
+                </p>
+              )}
+
               <div className="bg-[rgba(18,18,24,0.8)] border border-[rgba(170,170,180,0.2)] p-4 rounded-lg text-[rgb(170,170,180)]">
                 <h3 className="font-semibold text-[rgb(240,255,255)] mb-2">Jump Impact</h3>
                 <div className="grid grid-cols-2 gap-4 text-sm">
@@ -567,6 +910,18 @@ const MertonJumpDiffusion = () => {
                     <span className="font-medium">Put Premium:</span> 
                     <span className="ml-2">${(optionResults.putPrice - optionResults.bsPutPrice).toFixed(4)}</span>
                   </div>
+                  {smileData && (
+                    <div>
+                      <span className="font-medium">ATM Implied Vol:</span>
+                      <span className="ml-2">{(smileData.atmVol * 100).toFixed(2)}% vs σ = {(parameters.sigma * 100).toFixed(1)}%</span>
+                    </div>
+                  )}
+                  {smileData && (
+                    <div>
+                      <span className="font-medium">90–110% Skew:</span>
+                      <span className="ml-2">{(smileData.skew * 100).toFixed(2)} vol pts</span>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -582,7 +937,7 @@ const MertonJumpDiffusion = () => {
                 <div className="bg-[rgba(239,68,68,0.1)] border border-[rgba(239,68,68,0.3)] p-4 rounded-lg">
                   <h3 className="font-semibold text-[#ef4444]">Total Jumps</h3>
                   <p className="text-2xl font-bold text-[#ef4444]">
-                    {optionResults.totalJumps}
+                    {optionResults.totalJumps.toLocaleString()}
                   </p>
                   <p className="text-sm text-[#ef4444]">
                     Across all paths
@@ -625,11 +980,19 @@ const MertonJumpDiffusion = () => {
                 <div className="grid grid-cols-2 gap-4 text-sm text-[rgb(170,170,180)]">
                   <div>
                     <span className="font-medium">Expected Jump Size:</span> 
-                    <span className="ml-2">{(parameters.muJ * 100).toFixed(1)}%</span>
+                    <span className="ml-2">{(jumpMoments.mean * 100).toFixed(1)}%</span>
                   </div>
                   <div>
                     <span className="font-medium">Jump Volatility:</span> 
-                    <span className="ml-2">{(parameters.sigmaJ * 100).toFixed(1)}%</span>
+                    <span className="ml-2">{(jumpMoments.std * 100).toFixed(1)}%</span>
+                  </div>
+                  <div>
+                    <span className="font-medium">Compensator (k):</span>
+                    <span className="ml-2">{(law.compensator(parameters) * 100).toFixed(2)}%</span>
+                  </div>
+                  <div>
+                    <span className="font-medium">Drift Correction (λk):</span>
+                    <span className="ml-2">{(parameters.lambda * law.compensator(parameters) * 100).toFixed(2)}%/year</span>
                   </div>
                   <div>
                     <span className="font-medium">Jump Intensity:</span> 
@@ -646,12 +1009,153 @@ const MertonJumpDiffusion = () => {
         </div>
       </div>
 
+      {/* Series Convergence */}
+      {optionResults.seriesConvergence && (
+        <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6 mb-8">
+          <h2 className="text-xl font-semibold mb-2 text-[rgb(240,255,255)]">Analytic Series Convergence</h2>
+          <p className="text-sm text-[rgb(170,170,180)] mb-4">
+            Merton's price sums Black-Scholes prices conditional on n jumps, weighted by the Poisson probability of n jumps.
+            The first term is the no-jump scenario; with λT = {(parameters.lambda * parameters.T).toFixed(2)} the sum
+            settles after {optionResults.seriesConvergence.length} terms. Dashed lines mark Black-Scholes without jumps.
+          </p>
+          <div className="h-80">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={optionResults.seriesConvergence} margin={{ top: 10, right: 30, left: 20, bottom: 30 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                <XAxis
+                  dataKey="terms"
+                  label={{ value: 'Series Terms', position: 'insideBottom', offset: -15, style: { fill: 'rgb(170,170,180)' } }}
+                  tick={{ fill: 'rgb(170,170,180)' }}
+                />
+                <YAxis
+                  domain={['auto', 'auto']}
+                  tickFormatter={(value) => value.toFixed(2)}
+                  label={{ value: 'Option Price ($)', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' } }}
+                  tick={{ fill: 'rgb(170,170,180)' }}
+                />
+                <Tooltip
+                  formatter={(value, name) => [`$${value.toFixed(6)}`, name]}
+                  labelFormatter={(value) => `${value} term${value === 1 ? '' : 's'}`}
+                  contentStyle={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}
+                />
+                <Legend verticalAlign="top" wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+                <ReferenceLine y={optionResults.bsCallPrice} stroke="#5c99ff" strokeDasharray="5 5" />
+                <ReferenceLine y={optionResults.bsPutPrice} stroke="#ff10f0" strokeDasharray="5 5" />
+                <Line type="monotone" dataKey="call" name="Call (partial sum)" stroke="#5c99ff" strokeWidth={2} />
+                <Line type="monotone" dataKey="put" name="Put (partial sum)" stroke="#ff10f0" strokeWidth={2} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+
+      {/* Volatility Smile */}
+      {smileData && (
+        <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6 mb-8">
+          <h2 className="text-xl font-semibold mb-2 text-[rgb(240,255,255)]">Implied Volatility Smile</h2>
+          <p className="text-sm text-[rgb(170,170,180)] mb-4">
+            Analytic Merton prices across strikes, inverted through Black-Scholes (out-of-the-money puts below spot,
+            calls above). Without jumps every strike would sit at σ = {(parameters.sigma * 100).toFixed(1)}%.
+          </p>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h3 className="font-semibold text-[rgb(240,255,255)] mb-2">By Maturity</h3>
+              <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={smileData.maturities} margin={{ top: 10, right: 20, left: 10, bottom: 30 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                    <XAxis
+                      dataKey="moneyness"
+                      type="number"
+                      domain={['dataMin', 'dataMax']}
+                      tickFormatter={(value) => `${(value * 100).toFixed(0)}%`}
+                      label={{ value: 'Strike / S₀', position: 'insideBottom', offset: -15, style: { fill: 'rgb(170,170,180)' } }}
+                      tick={{ fill: 'rgb(170,170,180)' }}
+                    />
+                    <YAxis
+                      domain={['auto', 'auto']}
+                      tickFormatter={(value) => value.toFixed(1)}
+                      label={{ value: 'Implied Vol (%)', angle: -90, position: 'insideLeft', style: { fill: 'rgb(170,170,180)' } }}
+                      tick={{ fill: 'rgb(170,170,180)' }}
+                    />
+                    <Tooltip
+                      formatter={(value, name) => [`${value.toFixed(2)}%`, name]}
+                      labelFormatter={(value) => `Strike: ${(value * 100).toFixed(0)}% of S₀`}
+                      contentStyle={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}
+                    />
+                    <Legend verticalAlign="top" wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+                    <ReferenceLine y={parameters.sigma * 100} stroke="rgb(170,170,180)" strokeDasharray="5 5" />
+                    {smileMaturities.map((T, i) => (
+                      <Line key={T} type="monotone" dataKey={`T=${T}`} stroke={smileColors[i]} strokeWidth={2} dot={false} />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="font-semibold text-[rgb(240,255,255)]">Effect of Each Jump Parameter (T = {parameters.T})</h3>
+                <select
+                  value={activeSmileOverlay}
+                  onChange={(e) => setSmileOverlay(e.target.value)}
+                  className="p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)] text-sm"
+                >
+                  {smileOverlayKeys.map(key => (
+                    <option key={key} value={key}>Vary {smileOverlays[key].label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={smileData.overlay} margin={{ top: 10, right: 20, left: 10, bottom: 30 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                    <XAxis
+                      dataKey="moneyness"
+                      type="number"
+                      domain={['dataMin', 'dataMax']}
+                      tickFormatter={(value) => `${(value * 100).toFixed(0)}%`}
+                      label={{ value: 'Strike / S₀', position: 'insideBottom', offset: -15, style: { fill: 'rgb(170,170,180)' } }}
+                      tick={{ fill: 'rgb(170,170,180)' }}
+                    />
+                    <YAxis
+                      domain={['auto', 'auto']}
+                      tickFormatter={(value) => value.toFixed(1)}
+                      tick={{ fill: 'rgb(170,170,180)' }}
+                    />
+                    <Tooltip
+                      formatter={(value, name) => [`${value.toFixed(2)}%`, name]}
+                      labelFormatter={(value) => `Strike: ${(value * 100).toFixed(0)}% of S₀`}
+                      contentStyle={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}
+                    />
+                    <Legend verticalAlign="top" wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+                    {smileData.overlayNames.map((name, i) => (
+                      <Line
+                        key={name}
+                        type="monotone"
+                        dataKey={name}
+                        stroke={smileColors[i % smileColors.length]}
+                        strokeWidth={name.endsWith('(current)') ? 3 : 1.5}
+                        dot={false}
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Jump Distribution */}
       <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6 mb-8">
-        <h2 className="text-xl font-semibold mb-6 text-[rgb(240,255,255)]">Theoretical Jump Size Distribution</h2>
+        <h2 className="text-xl font-semibold mb-2 text-[rgb(240,255,255)]">Theoretical Jump Size Distribution</h2>
+        <p className="text-sm text-[rgb(170,170,180)] mb-4">
+          {law.label}: 1,000 sampled log-jumps against the probability the law puts in each bin.
+        </p>
         <div className="h-80" style={{ paddingBottom: '20px' }}>
           <ResponsiveContainer width="100%" height="100%">
-            <BarChart data={jumpDistribution} margin={{ top: 20, right: 30, left: 20, bottom: 40 }}>
+            <ComposedChart data={jumpDistribution} margin={{ top: 20, right: 30, left: 20, bottom: 40 }}>
               <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
               <XAxis
                 dataKey="jumpSize"
@@ -667,7 +1171,7 @@ const MertonJumpDiffusion = () => {
               />
               <YAxis
                 label={{
-                  value: 'Probability Density',
+                  value: 'Probability',
                   angle: -90,
                   position: 'insideLeft',
                   style: { fill: 'rgb(170,170,180)', fontSize: '14px' }
@@ -676,7 +1180,7 @@ const MertonJumpDiffusion = () => {
                 width={80}
               />
               <Tooltip
-                formatter={(value) => [value.toFixed(4), 'Density']}
+                formatter={(value, name) => [value.toFixed(4), name]}
                 labelFormatter={(value) => `Jump Size: ${(value * 100).toFixed(2)}%`}
                 contentStyle={{
                   backgroundColor: 'rgba(18,18,24,0.95)',
@@ -684,12 +1188,197 @@ const MertonJumpDiffusion = () => {
                   color: 'rgb(240,255,255)'
                 }}
               />
-              <Bar dataKey="frequency" fill="#ef4444" fillOpacity={0.7} />
-            </BarChart>
+              <Legend verticalAlign="top" wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+              <Bar dataKey="frequency" name="Sampled" fill="#ef4444" fillOpacity={0.7} />
+              <Line type="monotone" dataKey="theoretical" name="Theoretical" stroke="#f59e0b" strokeWidth={2} dot={false} />
+            </ComposedChart>
           </ResponsiveContainer>
         </div>
       </div>
 
+      {/* Risk Metrics */}
+      <RiskPanel model="merton" parameters={parameters} seed={seed} color="#5c99ff" />
+
+      {/* Delta Hedging */}
+      <HedgingPanel model="merton" parameters={parameters} seed={seed} color="#5c99ff" />
+
+      {/* Fit to Price History */}
+      <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6 mb-8">
+        <h2 className="text-xl font-semibold mb-4 text-[rgb(240,255,255)]">Fit to Price History</h2>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-1 space-y-4">
+            <p className="text-sm text-[rgb(170,170,180)]">
+              Paste or load a CSV of dated closing prices, such as a daily download with Date and Close or
+              Adj Close columns. σ, λ, μⱼ and σⱼ are fitted by maximum likelihood on the log-returns.
+            </p>
+            <textarea
+              value={priceText}
+              onChange={(e) => setPriceText(e.target.value)}
+              rows={12}
+              spellCheck={false}
+              placeholder={'date,close\n2024-01-02,100.00\n2024-01-03,101.25\n…'}
+              className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)] font-mono text-xs"
+            />
+            <input
+              type="file"
+              accept=".csv,.txt,.tsv"
+              onChange={loadPriceFile}
+              className="w-full text-sm text-[rgb(170,170,180)]"
+            />
+            <button
+              onClick={loadExampleHistory}
+              className="w-full py-2 px-4 rounded-md font-medium bg-[rgba(170,170,180,0.1)] border border-[rgba(170,170,180,0.3)] hover:bg-gray-700 text-white"
+            >
+              Load Example History
+            </button>
+            <p className="text-xs text-[rgb(170,170,180)]">
+              The example is 1,000 simulated days with σ = {exampleHistoryParameters.sigma}, λ = {exampleHistoryParameters.lambda},
+              μⱼ = {exampleHistoryParameters.muJ} and σⱼ = {exampleHistoryParameters.sigmaJ}, drawn with the current seed.
+            </p>
+            <button
+              onClick={fitPriceHistory}
+              disabled={fitRun.isRunning}
+              className={`w-full py-3 px-4 rounded-md font-medium border ${
+                fitRun.isRunning
+                  ? 'bg-[rgba(170,170,180,0.1)] border-[rgba(170,170,180,0.3)] cursor-not-allowed text-[rgb(170,170,180)]'
+                  : 'bg-[rgba(239,68,68,0.1)] border-[rgba(239,68,68,0.3)] hover:bg-[rgba(239,68,68,0.2)] text-[#ef4444]'
+              }`}
+            >
+              {fitRun.isRunning ? 'Fitting...' : 'Fit Jump Parameters'}
+            </button>
+
+            {fitRun.isRunning && (
+              <SimulationProgress
+                progress={fitRun.progress}
+                onCancel={fitRun.cancel}
+                detail={fitRun.partial && `log-likelihood ${fitRun.partial.logLikelihood.toFixed(1)}`}
+                color="#ef4444"
+              />
+            )}
+          </div>
+
+          <div className="lg:col-span-2">
+            {priceFit?.error && (
+              <p className="text-sm text-red-600">{priceFit.error}</p>
+            )}
+
+            {priceFit?.params && (
+              <div className="space-y-4">
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-[rgb(170,170,180)]">
+                    <thead>
+                      <tr className="text-left text-[rgb(240,255,255)]">
+                        <th className="py-1">Parameter</th>
+                        <th className="py-1">Merton fit</th>
+                        <th className="py-1">GBM fit</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      <tr className="border-t border-[rgba(170,170,180,0.2)]">
+                        <td className="py-1">Diffusion volatility σ</td>
+                        <td className="py-1 text-[rgb(240,255,255)]">{(priceFit.params.sigma * 100).toFixed(1)}%</td>
+                        <td className="py-1">{(priceFit.gbm.sigma * 100).toFixed(1)}%</td>
+                      </tr>
+                      <tr className="border-t border-[rgba(170,170,180,0.2)]">
+                        <td className="py-1">Jump intensity λ</td>
+                        <td className="py-1 text-[rgb(240,255,255)]">{priceFit.params.lambda.toFixed(2)} jumps/year</td>
+                        <td className="py-1">–</td>
+                      </tr>
+                      <tr className="border-t border-[rgba(170,170,180,0.2)]">
+                        <td className="py-1">Mean jump μⱼ</td>
+                        <td className="py-1 text-[rgb(240,255,255)]">{(priceFit.params.muJ * 100).toFixed(2)}%</td>
+                        <td className="py-1">–</td>
+                      </tr>
+                      <tr className="border-t border-[rgba(170,170,180,0.2)]">
+                        <td className="py-1">Jump volatility σⱼ</td>
+                        <td className="py-1 text-[rgb(240,255,255)]">{(priceFit.params.sigmaJ * 100).toFixed(2)}%</td>
+                        <td className="py-1">–</td>
+                      </tr>
+                      <tr className="border-t border-[rgba(170,170,180,0.2)]">
+                        <td className="py-1">Drift α</td>
+                        <td className="py-1 text-[rgb(240,255,255)]">{(priceFit.params.drift * 100).toFixed(1)}%</td>
+                        <td className="py-1">{(priceFit.gbm.drift * 100).toFixed(1)}%</td>
+                      </tr>
+                      <tr className="border-t border-[rgba(170,170,180,0.2)]">
+                        <td className="py-1">Log-likelihood</td>
+                        <td className="py-1 text-[rgb(240,255,255)]">{priceFit.logLikelihood.toFixed(1)}</td>
+                        <td className="py-1">{priceFit.gbm.logLikelihood.toFixed(1)}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+
+                <p className="text-sm text-[rgb(170,170,180)]">
+                  {priceFit.numReturns} returns over {priceFit.years.toFixed(1)} years (about {Math.round(1 / priceFit.dt)} per year)
+                  {priceFit.skipped > 0 && `, ${priceFit.skipped} rows skipped`}. Likelihood ratio against GBM:{' '}
+                  <span className="text-[rgb(240,255,255)]">{(2 * (priceFit.logLikelihood - priceFit.gbm.logLikelihood)).toFixed(1)}</span>.{' '}
+                  {likelyJumpDays.length} days have a jump probability above 50%.
+                  {!priceFit.converged && ' The optimizer hit its iteration limit, so treat the fit with care.'}
+                </p>
+
+                <button
+                  onClick={loadFittedParameters}
+                  disabled={simulation.isRunning}
+                  className="w-full py-2 px-4 rounded-md font-medium border bg-[rgba(239,68,68,0.1)] border-[rgba(239,68,68,0.3)] hover:bg-[rgba(239,68,68,0.2)] text-[#ef4444]"
+                >
+                  Load Fit into Simulator
+                </button>
+
+                <div className="h-72">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={[priceFit.firstPrice, ...fittedDays]} margin={{ top: 10, right: 20, left: 10, bottom: 10 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                      <XAxis
+                        dataKey="time"
+                        type="number"
+                        domain={['dataMin', 'dataMax']}
+                        tickFormatter={formatDate}
+                        tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+                      />
+                      <YAxis domain={['auto', 'auto']} tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }} />
+                      <Tooltip
+                        formatter={(value, name) => [value.toFixed(2), name]}
+                        labelFormatter={formatDate}
+                        contentStyle={{ backgroundColor: 'rgba(18,18,24,0.95)', border: '1px solid rgba(170,170,180,0.3)', color: 'rgb(240,255,255)' }}
+                      />
+                      <Legend verticalAlign="top" wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+                      <Line type="linear" dataKey="close" name="Close" stroke="#5c99ff" strokeWidth={1} dot={false} />
+                      <Scatter data={likelyJumpDays} dataKey="close" name="Likely jump" fill="#ef4444" />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm text-[rgb(170,170,180)]">
+                    <thead>
+                      <tr className="text-left text-[rgb(240,255,255)]">
+                        <th className="py-1">Date</th>
+                        <th className="py-1">Close</th>
+                        <th className="py-1">Log-return</th>
+                        <th className="py-1">Jump probability</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {topJumpDays.map(day => (
+                        <tr key={day.time} className="border-t border-[rgba(170,170,180,0.2)]">
+                          <td className="py-1">{day.date}</td>
+                          <td className="py-1">{day.close.toFixed(2)}</td>
+                          <td className={`py-1 ${day.logReturn < 0 ? 'text-[#ef4444]' : 'text-[#5c99ff]'}`}>
+                            {(day.logReturn * 100).toFixed(2)}%
+                          </td>
+                          <td className="py-1 text-[rgb(240,255,255)]">{(day.jumpProbability * 100).toFixed(1)}%</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
       {/* Model Explanation */}
       <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6">
         <h2 className="text-xl font-semibold mb-4 text-[rgb(240,255,255)]">Merton Jump Diffusion Model</h2>
@@ -703,7 +1392,7 @@ const MertonJumpDiffusion = () => {
                 where:<br/>
                 • λ = jump intensity<br/>
                 • k = expected jump size - 1<br/>
-                • J ~ lognormal jump size<br/>
+                • J = e^Y, Y from the jump size law<br/>
                 • N(t) = Poisson process
               </div>
             </div>
@@ -0,0 +1,30 @@
+import React from 'react';
+
+// Path counts offered by the simulators, roughly doubling from ten paths to a million
+const pathCounts = [10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000, 200000, 500000, 1000000];
+
+// Number-of-paths slider for the simulators. A linear slider cannot reach a million paths and
+// still pick out a few hundred, so it steps through pathCounts instead.
+const PathCountInput = ({ numPaths, onChange, min = 10, max = 1000000, label = 'Number of Paths' }) => {
+  const options = pathCounts.filter(count => count >= min && count <= max);
+  const index = options.findIndex(count => count >= numPaths);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+        {label}: {numPaths.toLocaleString()}
+      </label>
+      <input
+        type="range"
+        min="0"
+        max={options.length - 1}
+        step="1"
+        value={index < 0 ? options.length - 1 : index}
+        onChange={(e) => onChange(options[parseInt(e.target.value)])}
+        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+      />
+    </div>
+  );
+};
+
+export default PathCountInput;
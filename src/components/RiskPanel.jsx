@@ -0,0 +1,320 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { riskHorizons, riskModelParameters, riskModels } from '../lib/risk.js';
+import { useSimulationWorker } from '../lib/useSimulationWorker.js';
+import PathCountInput from './PathCountInput.jsx';
+import SimulationError from './SimulationError.jsx';
+import SimulationProgress from './SimulationProgress.jsx';
+
+const confidenceChoices = [0.9, 0.95, 0.975, 0.99, 0.995];
+
+const percent = (value, digits = 1) => `${(value * 100).toFixed(digits)}%`;
+const confidenceLabel = (confidence) => `${+(confidence * 100).toFixed(1)}%`;
+const horizonLabel = (days) => riskHorizons.find(horizon => horizon.days === days)?.label ?? `${days} days`;
+
+const tooltipStyle = (color) => ({
+  backgroundColor: 'rgba(18,18,24,0.95)',
+  border: `1px solid ${color}`,
+  color: 'rgb(240,255,255)'
+});
+
+// Risk panel for the Merton and Heston pages: VaR, Expected Shortfall, drawdowns and the
+// probability of loss for Merton, Heston and a GBM, simulated in the worker. `model` is the
+// page's model, which takes the page's current parameters.
+const RiskPanel = ({ model, parameters, seed, color }) => {
+  const risk = useSimulationWorker();
+  const [horizonDays, setHorizonDays] = useState(10);
+  const [confidenceLevels, setConfidenceLevels] = useState([0.95, 0.99]);
+  const [drift, setDrift] = useState(0.08);
+  const [lossThreshold, setLossThreshold] = useState(0.1);
+  const [numPaths, setNumPaths] = useState(10000);
+  const [chartConfidence, setChartConfidence] = useState(0.99);
+  const [results, setResults] = useState(null);
+  const [simulationError, setSimulationError] = useState(null);
+
+  // Keep at least one confidence level selected
+  const toggleConfidence = (confidence) => setConfidenceLevels(levels => {
+    if (!levels.includes(confidence)) return [...levels, confidence].sort((a, b) => a - b);
+    return levels.length > 1 ? levels.filter(level => level !== confidence) : levels;
+  });
+
+  const computeRisk = () => {
+    setSimulationError(null);
+    risk.run('riskComparison', {
+      models: riskModelParameters(model, parameters, horizonDays),
+      drift,
+      numPaths,
+      horizonDays,
+      confidenceLevels,
+      lossThreshold,
+      seed
+    }, { onResult: setResults, onError: setSimulationError });
+  };
+
+  const modelKeys = Object.keys(riskModels);
+  const curve = results && (results.termStructure.find(({ confidence }) => confidence === chartConfidence)
+    ?? results.termStructure[results.termStructure.length - 1]);
+
+  const tableRows = results && [
+    { label: 'Volatility over the horizon', value: (m) => percent(m.volatility) },
+    { label: 'Mean return', value: (m) => percent(m.meanReturn, 2) },
+    ...results.table.flatMap(({ confidence, ...levels }) => [
+      { label: `VaR ${confidenceLabel(confidence)}`, value: (m, key) => percent(levels[key].var, 2) },
+      { label: `CVaR ${confidenceLabel(confidence)}`, value: (m, key) => percent(levels[key].cvar, 2) }
+    ]),
+    { label: 'Probability of loss', value: (m) => percent(m.probabilityOfLoss) },
+    { label: `P(loss > ${percent(results.lossThreshold, 0)})`, value: (m) => percent(m.probabilityBeyondThreshold, 2) },
+    { label: 'Mean max drawdown', value: (m) => percent(m.drawdown.mean, 2) },
+    { label: 'Median max drawdown', value: (m) => percent(m.drawdown.median, 2) },
+    { label: '95th percentile drawdown', value: (m) => percent(m.drawdown.p95, 2) },
+    { label: '99th percentile drawdown', value: (m) => percent(m.drawdown.p99, 2) },
+    { label: `P(drawdown > ${percent(results.lossThreshold, 0)})`, value: (m) => percent(m.drawdown.probabilityBeyondThreshold, 2) }
+  ];
+
+  return (
+    <div className="bg-[rgba(18,18,24,0.95)] border border-[rgba(170,170,180,0.2)] rounded-lg shadow-lg p-6 mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h2 className="text-xl font-semibold text-[rgb(240,255,255)]">Risk Metrics</h2>
+        <button
+          onClick={computeRisk}
+          disabled={risk.isRunning}
+          className={`py-2 px-4 rounded-md text-sm font-medium border ${
+            risk.isRunning
+              ? 'bg-[rgba(170,170,180,0.1)] border-[rgba(170,170,180,0.3)] cursor-not-allowed text-[rgb(170,170,180)]'
+              : 'border-[rgba(170,170,180,0.3)] hover:bg-[rgba(170,170,180,0.1)]'
+          }`}
+          style={risk.isRunning ? undefined : { color }}
+        >
+          {risk.isRunning ? 'Simulating...' : 'Compute Risk Metrics'}
+        </button>
+      </div>
+
+      <p className="text-sm text-[rgb(170,170,180)] mb-4">
+        Historical-simulation risk of holding the stock, from daily paths under the real-world drift μ.
+        The {riskModels[model].label} column uses the parameters above, the{' '}
+        {riskModels[model === 'merton' ? 'heston' : 'merton'].label} column that page's defaults, and the GBM
+        has the same volatility over the horizon as the {riskModels[model].label} model, so differences
+        in its column come from the shape of the tails alone. Losses are fractions of the initial value.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">Horizon</label>
+          <select
+            value={horizonDays}
+            onChange={(e) => setHorizonDays(parseInt(e.target.value))}
+            className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
+          >
+            {riskHorizons.map(({ days, label }) => (
+              <option key={days} value={days}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+            Expected Return (μ): {percent(drift, 0)}
+          </label>
+          <input
+            type="range"
+            min="-0.1"
+            max="0.3"
+            step="0.01"
+            value={drift}
+            onChange={(e) => setDrift(parseFloat(e.target.value))}
+            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">
+            Loss Threshold: {percent(lossThreshold, 0)}
+          </label>
+          <input
+            type="range"
+            min="0.01"
+            max="0.5"
+            step="0.01"
+            value={lossThreshold}
+            onChange={(e) => setLossThreshold(parseFloat(e.target.value))}
+            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+          />
+        </div>
+
+        <PathCountInput numPaths={numPaths} onChange={setNumPaths} min={1000} max={200000} />
+      </div>
+
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">Confidence Levels</label>
+        <div className="flex flex-wrap gap-2">
+          {confidenceChoices.map(confidence => (
+            <button
+              key={confidence}
+              onClick={() => toggleConfidence(confidence)}
+              className="px-3 py-1 rounded-md text-sm border border-[rgba(170,170,180,0.3)]"
+              style={confidenceLevels.includes(confidence)
+                ? { color, backgroundColor: 'rgba(170,170,180,0.15)' }
+                : { color: 'rgb(170,170,180)' }}
+            >
+              {confidenceLabel(confidence)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {risk.isRunning && (
+        <div className="mb-4">
+          <SimulationProgress
+            progress={risk.progress}
+            onCancel={risk.cancel}
+            detail={risk.partial && `simulating ${riskModels[risk.partial.model].label}`}
+            color={color}
+          />
+        </div>
+      )}
+
+      {simulationError && (
+        <div className="mb-4">
+          <SimulationError message={simulationError} />
+        </div>
+      )}
+
+      {results && (
+        <div className="space-y-6">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-[rgb(170,170,180)]">
+              <thead>
+                <tr className="text-left text-[rgb(240,255,255)]">
+                  <th className="py-1">{horizonLabel(results.horizonDays)} horizon</th>
+                  {modelKeys.map(key => (
+                    <th key={key} className="py-1" style={{ color: riskModels[key].color }}>{riskModels[key].label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {tableRows.map(({ label, value }) => (
+                  <tr key={label} className="border-t border-[rgba(170,170,180,0.2)]">
+                    <td className="py-1 text-[rgb(240,255,255)]">{label}</td>
+                    {modelKeys.map(key => (
+                      <td key={key} className="py-1">{value(results.models[key], key)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="font-semibold text-[rgb(240,255,255)]">VaR and CVaR by Horizon</h3>
+                <select
+                  value={curve.confidence}
+                  onChange={(e) => setChartConfidence(parseFloat(e.target.value))}
+                  className="p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)] text-sm"
+                >
+                  {results.termStructure.map(({ confidence }) => (
+                    <option key={confidence} value={confidence}>{confidenceLabel(confidence)}</option>
+                  ))}
+                </select>
+              </div>
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={curve.rows} margin={{ top: 10, right: 20, left: 10, bottom: 30 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                  <XAxis
+                    dataKey="days"
+                    type="number"
+                    scale="log"
+                    domain={[1, 252]}
+                    ticks={riskHorizons.map(({ days }) => days)}
+                    tickFormatter={(value) => `${value}d`}
+                    label={{ value: 'Horizon (trading days)', position: 'insideBottom', offset: -15, style: { fill: 'rgb(170,170,180)' } }}
+                    tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+                  />
+                  <YAxis
+                    tickFormatter={(value) => percent(value, 0)}
+                    tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+                    width={50}
+                  />
+                  <Tooltip
+                    formatter={(value, name) => [percent(value, 2), name]}
+                    labelFormatter={horizonLabel}
+                    contentStyle={tooltipStyle(color)}
+                  />
+                  <Legend verticalAlign="top" wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+                  {modelKeys.flatMap(key => [
+                    <Line
+                      key={`${key}Var`}
+                      type="monotone"
+                      dataKey={`${key}Var`}
+                      name={`${riskModels[key].label} VaR`}
+                      stroke={riskModels[key].color}
+                      strokeWidth={2}
+                      dot={false}
+                    />,
+                    <Line
+                      key={`${key}Cvar`}
+                      type="monotone"
+                      dataKey={`${key}Cvar`}
+                      name={`${riskModels[key].label} CVaR`}
+                      stroke={riskModels[key].color}
+                      strokeWidth={2}
+                      strokeDasharray="5 5"
+                      dot={false}
+                    />
+                  ])}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div>
+              <h3 className="font-semibold text-[rgb(240,255,255)] mb-2">
+                Maximum Drawdown over {horizonLabel(results.horizonDays)}
+              </h3>
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={results.drawdownDistribution} margin={{ top: 10, right: 20, left: 10, bottom: 30 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(170,170,180,0.2)" />
+                  <XAxis
+                    dataKey="drawdown"
+                    type="number"
+                    domain={['dataMin', 'dataMax']}
+                    tickFormatter={(value) => percent(value, 0)}
+                    label={{ value: 'Maximum drawdown', position: 'insideBottom', offset: -15, style: { fill: 'rgb(170,170,180)' } }}
+                    tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+                  />
+                  <YAxis
+                    tickFormatter={(value) => percent(value, 0)}
+                    tick={{ fill: 'rgb(170,170,180)', fontSize: '12px' }}
+                    width={50}
+                  />
+                  <Tooltip
+                    formatter={(value, name) => [percent(value, 2), name]}
+                    labelFormatter={(value) => `Drawdown ≈ ${percent(value)}`}
+                    contentStyle={tooltipStyle(color)}
+                  />
+                  <Legend verticalAlign="top" wrapperStyle={{ color: 'rgb(170,170,180)' }} />
+                  {modelKeys.map(key => (
+                    <Line
+                      key={key}
+                      type="monotone"
+                      dataKey={key}
+                      name={riskModels[key].label}
+                      stroke={riskModels[key].color}
+                      strokeWidth={2}
+                      dot={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+              <p className="text-xs text-[rgb(170,170,180)] mt-2">
+                Probability per bin. The last bin also holds every drawdown beyond the largest 99th percentile.
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RiskPanel;
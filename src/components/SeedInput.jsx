@@ -0,0 +1,29 @@
+import React from 'react';
+import { randomSeed } from '../lib/random.js';
+
+// Seed field for the simulators. The seed survives parameter changes, so successive runs
+// share their random numbers and differences come from the parameters alone.
+const SeedInput = ({ seed, onChange, color = '#00ff41' }) => (
+  <div>
+    <label className="block text-sm font-medium text-[rgb(170,170,180)] mb-1">Random Seed</label>
+    <div className="flex gap-2">
+      <input
+        type="number"
+        min="0"
+        step="1"
+        value={seed}
+        onChange={(e) => onChange(Math.max(0, parseInt(e.target.value) || 0))}
+        className="w-full p-2 border border-[rgba(170,170,180,0.3)] rounded-md bg-[rgba(18,18,24,0.95)] text-[rgb(240,255,255)]"
+      />
+      <button
+        onClick={() => onChange(randomSeed())}
+        className="px-3 rounded-md text-sm whitespace-nowrap border border-[rgba(170,170,180,0.3)] hover:bg-[rgba(170,170,180,0.1)]"
+        style={{ color }}
+      >
+        New Seed
+      </button>
+    </div>
+  </div>
+);
+
+export default SeedInput;
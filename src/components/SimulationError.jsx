@@ -0,0 +1,8 @@
+import React from 'react';
+
+// Message for a run that failed in the simulation worker
+const SimulationError = ({ message }) => (
+  <p className="text-sm text-[#ef4444]">Simulation failed: {message}</p>
+);
+
+export default SimulationError;
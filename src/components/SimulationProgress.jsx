@@ -0,0 +1,21 @@
+import React from 'react';
+
+// Progress bar and Cancel button for a run executing in the simulation worker
+const SimulationProgress = ({ progress, onCancel, detail, color = '#00ff41' }) => (
+  <div className="space-y-2">
+    <div className="w-full h-2 bg-[rgba(170,170,180,0.2)] rounded-lg overflow-hidden">
+      <div className="h-full rounded-lg" style={{ width: `${(progress * 100).toFixed(0)}%`, backgroundColor: color }} />
+    </div>
+    <div className="flex items-center justify-between gap-2 text-xs text-[rgb(170,170,180)]">
+      <span>{(progress * 100).toFixed(0)}%{detail ? ` · ${detail}` : ''}</span>
+      <button
+        onClick={onCancel}
+        className="py-1 px-3 rounded-md border bg-[rgba(239,68,68,0.1)] border-[rgba(239,68,68,0.3)] hover:bg-[rgba(239,68,68,0.2)] text-[#ef4444]"
+      >
+        Cancel
+      </button>
+    </div>
+  </div>
+);
+
+export default SimulationProgress;
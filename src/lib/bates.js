@@ -0,0 +1,149 @@
+import * as math from 'mathjs';
+import { blackScholesPrice, impliedVolatility } from './blackScholes.js';
+import { fourierCallPrices } from './fourier.js';
+import { createHestonPath, hestonCharacteristicFunction, simulateHestonPath } from './heston.js';
+import { jumpLaws } from './jumpLaws.js';
+import { chunkSize, createEstimator } from './monteCarlo.js';
+import { createJumpDraws, drawJumps, fillJumpSizes, mirrorJumps } from './merton.js';
+import { createPathStore, percentileBands, storePath } from './paths.js';
+import { createRng, fillNormals } from './random.js';
+
+// Bates (1996): Heston variance with Merton's normal log-jumps in the price
+const jumpLaw = jumpLaws.lognormal;
+
+// Characteristic function of ln(S_T). The jumps are independent of both Brownian motions, so it
+// is Heston's times the compound-Poisson factor exp(λT(E[e^{iuY}] − 1 − iuk)), where the −iuk
+// term is the drift compensator.
+export const batesCharacteristicFunction = (u, params) => {
+  const { lambda, muJ, sigmaJ, T } = params;
+  const iu = math.complex(0, 1).mul(u);
+  const jumpTransform = iu.mul(muJ).add(u.mul(u).mul(-0.5 * sigmaJ * sigmaJ)).exp();
+  const jumpExponent = jumpTransform.sub(1).sub(iu.mul(jumpLaw.compensator(params))).mul(lambda * T);
+
+  return hestonCharacteristicFunction(u, params).mul(jumpExponent.exp());
+};
+
+export const batesCallPrices = (params, strikes) => fourierCallPrices(batesCharacteristicFunction, params, strikes);
+
+// Black-Scholes implied vols at maturity T for strikes K = m·S0, inverting the out-of-the-money
+// option at each strike (puts below the forward, calls above) from one Fourier pass
+export const batesSmile = (params, moneyness, T) => {
+  const strikes = moneyness.map(m => m * params.S0);
+  const forward = params.S0 * Math.exp(params.r * T);
+  const calls = batesCallPrices({ ...params, T }, strikes);
+
+  return strikes.map((K, i) => {
+    if (K < forward) {
+      const put = calls[i] - params.S0 + K * Math.exp(-params.r * T);
+      return impliedVolatility(put, params.S0, K, params.r, T, 'put');
+    }
+    return impliedVolatility(calls[i], params.S0, K, params.r, T, 'call');
+  });
+};
+
+// The four models behind the skew breakdown: each source of skew switched off in turn
+export const skewVariants = {
+  neither: { label: 'Neither (ρ = 0, λ = 0)', overrides: { rho: 0, lambda: 0 } },
+  correlation: { label: 'Correlation only (λ = 0)', overrides: { lambda: 0 } },
+  jumps: { label: 'Jumps only (ρ = 0)', overrides: { rho: 0 } },
+  both: { label: 'Bates (both)', overrides: {} }
+};
+
+// Split the skew, IV(lowM·S0) − IV(highM·S0), at each maturity into what remains with neither
+// source, the extra from correlation alone, the extra from jumps alone and the interaction
+// between them. The four parts add up to the Bates skew.
+export const skewAttribution = (params, maturities, [lowM, highM] = [0.9, 1.1]) => maturities.map(T => {
+  const skew = Object.fromEntries(Object.entries(skewVariants).map(([key, { overrides }]) => {
+    const [low, high] = batesSmile({ ...params, ...overrides }, [lowM, highM], T);
+    return [key, low - high];
+  }));
+
+  return {
+    T,
+    neither: skew.neither,
+    correlation: skew.correlation - skew.neither,
+    jumps: skew.jumps - skew.neither,
+    interaction: skew.both - skew.correlation - skew.jumps + skew.neither,
+    total: skew.both
+  };
+});
+
+// Worker job: Monte Carlo run behind the Bates simulator. Each path reuses the Heston
+// discretization with compensated Merton jumps added to the price, simulated into reused
+// buffers. Normal pairs, jump counts and jump sizes come from separate streams, so λ can change
+// without moving the diffusion. Returns the first 10 paths, price and variance percentile bands,
+// and call and put estimates with the Black-Scholes control on the jump-free √V0 GBM.
+export function* batesSimulation({ parameters, numPaths, scheme, varianceReduction, seed }) {
+  const { S0, K, r, T, steps, lambda } = parameters;
+  const jumpParams = { ...parameters, jumpLaw: 'lognormal' };
+  const dt = T / steps;
+  const jumpDrift = lambda * jumpLaw.compensator(parameters) * dt;
+  const streams = {
+    diffusion: createRng(seed, 0),
+    jumpCounts: createRng(seed, 1),
+    jumpSizes: createRng(seed, 2)
+  };
+  const discount = Math.exp(-r * T);
+  const chunk = chunkSize(numPaths);
+  const paths = [];
+  const priceStore = createPathStore(steps, numPaths);
+  const varianceStore = createPathStore(steps, numPaths);
+  const call = createEstimator(varianceReduction);
+  const put = createEstimator(varianceReduction);
+  const normals = new Float64Array(2 * steps);
+  const jumpDraws = createJumpDraws(steps);
+  const jumpSizes = new Float64Array(steps);
+  const jumpReturns = new Float64Array(steps);
+  const path = createHestonPath(steps);
+  let totalJumps = 0;
+
+  for (let i = 0; i < numPaths; i++) {
+    if (varianceReduction.antithetic && i % 2 === 1) {
+      for (let j = 0; j < normals.length; j++) normals[j] = -normals[j];
+      mirrorJumps(jumpDraws);
+    } else {
+      fillNormals(streams.diffusion, normals);
+      drawJumps(jumpDraws, lambda, dt, streams);
+    }
+
+    fillJumpSizes(jumpParams, jumpDraws, jumpSizes);
+    for (let t = 0; t < steps; t++) jumpReturns[t] = jumpSizes[t] - jumpDrift;
+    const { controlPrice } = simulateHestonPath(parameters, scheme, normals, path, jumpReturns);
+    const ST = path.prices[steps];
+    totalJumps += jumpDraws.uniforms.length;
+
+    if (i < 10) {
+      paths.push(Array.from(path.prices, (price, idx) => ({
+        time: idx * dt,
+        price,
+        variance: path.variances[idx],
+        jump: idx > 0 && jumpDraws.numJumps[idx - 1] > 0,
+        jumpSize: idx > 0 ? jumpSizes[idx - 1] : 0
+      })));
+    }
+    storePath(priceStore, i, path.prices);
+    storePath(varianceStore, i, path.variances);
+
+    call.add(discount * Math.max(ST - K, 0), discount * Math.max(controlPrice - K, 0));
+    put.add(discount * Math.max(K - ST, 0), discount * Math.max(K - controlPrice, 0));
+
+    if ((i + 1) % chunk === 0 && i + 1 < numPaths) {
+      yield { progress: (i + 1) / numPaths, partial: call.running() };
+    }
+  }
+
+  const vol0 = Math.sqrt(parameters.V0);
+  const times = priceStore.map((_, idx) => idx * dt);
+
+  return {
+    paths,
+    fan: {
+      price: percentileBands(priceStore, times),
+      variance: percentileBands(varianceStore, times)
+    },
+    callEstimate: call.estimate(blackScholesPrice(S0, K, r, vol0, T, 'call')),
+    putEstimate: put.estimate(blackScholesPrice(S0, K, r, vol0, T, 'put')),
+    totalJumps,
+    jumpFrequency: totalJumps / (numPaths * T)
+  };
+}
@@ -0,0 +1,84 @@
+import * as math from 'mathjs';
+
+// Standard normal cumulative distribution function
+export const normalCDF = (x) => 0.5 * (1 + math.erf(x / Math.sqrt(2)));
+
+// Inverse of normalCDF on (0, 1): Acklam's rational approximation polished by one Halley step
+export const inverseNormalCDF = (p) => {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+    ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+  let x;
+  if (p < 0.02425) {
+    x = tail(Math.sqrt(-2 * Math.log(p)));
+  } else if (p > 1 - 0.02425) {
+    x = -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  } else {
+    const q = p - 0.5;
+    const r = q * q;
+    x = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  const e = (normalCDF(x) - p) * Math.sqrt(2 * Math.PI) * Math.exp(0.5 * x * x);
+  return x - e / (1 + 0.5 * x * e);
+};
+
+// Black-Scholes price for volatility vol
+export const blackScholesPrice = (S, K, r, vol, T, type = 'call') => {
+  const d1 = (Math.log(S / K) + (r + 0.5 * vol * vol) * T) / (vol * Math.sqrt(T));
+  const d2 = d1 - vol * Math.sqrt(T);
+
+  if (type === 'call') {
+    return S * normalCDF(d1) - K * Math.exp(-r * T) * normalCDF(d2);
+  }
+  return K * Math.exp(-r * T) * normalCDF(-d2) - S * normalCDF(-d1);
+};
+
+// Black-Scholes vega, used to turn price residuals into implied-vol residuals
+export const blackScholesVega = (S, K, r, vol, T) => {
+  const d1 = (Math.log(S / K) + (r + 0.5 * vol * vol) * T) / (vol * Math.sqrt(T));
+  return S * Math.sqrt(T) * Math.exp(-0.5 * d1 * d1) / Math.sqrt(2 * Math.PI);
+};
+
+// Invert Black-Scholes by bisection; returns NaN when the price is outside the no-arbitrage bounds
+export const impliedVolatility = (price, S, K, r, T, type = 'call') => {
+  const discountedK = K * Math.exp(-r * T);
+  const intrinsic = type === 'call' ? Math.max(S - discountedK, 0) : Math.max(discountedK - S, 0);
+  const upperBound = type === 'call' ? S : discountedK;
+  if (!(price > intrinsic) || !(price < upperBound)) return NaN;
+
+  let low = 1e-4;
+  let high = 5;
+  for (let i = 0; i < 100; i++) {
+    const mid = 0.5 * (low + high);
+    if (blackScholesPrice(S, K, r, mid, T, type) > price) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return 0.5 * (low + high);
+};
+
+// Closed-form Black-Scholes Greeks. Vega is per unit of volatility, theta per year.
+export const blackScholesGreeks = (S, K, r, vol, T, type = 'call') => {
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r + 0.5 * vol * vol) * T) / (vol * sqrtT);
+  const d2 = d1 - vol * sqrtT;
+  const density = Math.exp(-0.5 * d1 * d1) / Math.sqrt(2 * Math.PI);
+  const discountedK = K * Math.exp(-r * T);
+  const sign = type === 'call' ? 1 : -1;
+
+  return {
+    delta: type === 'call' ? normalCDF(d1) : normalCDF(d1) - 1,
+    gamma: density / (S * vol * sqrtT),
+    vega: S * sqrtT * density,
+    rho: sign * T * discountedK * normalCDF(sign * d2),
+    theta: -S * density * vol / (2 * sqrtT) - sign * r * discountedK * normalCDF(sign * d2)
+  };
+};
@@ -0,0 +1,76 @@
+import * as math from 'mathjs';
+
+// 12-point Gauss-Legendre nodes and weights on [-1, 1], found by Newton iteration on P_12
+const [gaussLegendreNodes, gaussLegendreWeights] = (() => {
+  const n = 12;
+  const nodes = [];
+  const weights = [];
+
+  for (let i = 1; i <= n; i++) {
+    let x = Math.cos(Math.PI * (i - 0.25) / (n + 0.5));
+    let derivative = 0;
+
+    for (let iter = 0; iter < 100; iter++) {
+      let p0 = 1;
+      let p1 = x;
+      for (let k = 2; k <= n; k++) {
+        const p2 = ((2 * k - 1) * x * p1 - (k - 1) * p0) / k;
+        p0 = p1;
+        p1 = p2;
+      }
+      derivative = n * (x * p1 - p0) / (x * x - 1);
+      const dx = p1 / derivative;
+      x -= dx;
+      if (Math.abs(dx) < 1e-15) break;
+    }
+
+    nodes.push(x);
+    weights.push(2 / ((1 - x * x) * derivative * derivative));
+  }
+
+  return [nodes, weights];
+})();
+
+// Semi-analytic European call prices via Gil-Pelaez inversion:
+// C = S0 P1 - K e^(-rT) P2, with both probabilities recovered from the
+// characteristic function φ(u, params) of ln(S_T) under the pricing measure. φ does not
+// depend on the strike, so each node is evaluated once and shared across all strikes.
+export const fourierCallPrices = (characteristicFunction, params, strikes) => {
+  const { S0, r, T } = params;
+  const lnStrikes = strikes.map(K => Math.log(K));
+  const forward = S0 * Math.exp(r * T); // φ(-i)
+  const shift = new math.Complex(0, -1);
+
+  // Gauss-Legendre over panels of width 5, stopping once the integrands have decayed.
+  // The nodes never touch u = 0, where the integrands are removable singularities.
+  const panelWidth = 5;
+  const I1 = strikes.map(() => 0);
+  const I2 = strikes.map(() => 0);
+
+  for (let a = 0; a < 2000; a += panelWidth) {
+    let peak = 0;
+
+    gaussLegendreNodes.forEach((node, j) => {
+      const x = a + 0.5 * panelWidth * (node + 1);
+      const weight = 0.5 * panelWidth * gaussLegendreWeights[j];
+      const u = new math.Complex(x, 0);
+      const phi1 = characteristicFunction(u.add(shift), params).div(new math.Complex(0, x * forward));
+      const phi2 = characteristicFunction(u, params).div(new math.Complex(0, x));
+      peak = Math.max(peak, phi1.abs(), phi2.abs());
+
+      lnStrikes.forEach((lnK, k) => {
+        const kernel = new math.Complex(Math.cos(x * lnK), -Math.sin(x * lnK));
+        I1[k] += weight * kernel.mul(phi1).re;
+        I2[k] += weight * kernel.mul(phi2).re;
+      });
+    });
+
+    if (peak < 1e-12) break;
+  }
+
+  return strikes.map((K, k) => {
+    const P1 = 0.5 + I1[k] / Math.PI;
+    const P2 = 0.5 + I2[k] / Math.PI;
+    return S0 * P1 - K * Math.exp(-r * T) * P2;
+  });
+};
@@ -0,0 +1,173 @@
+import { blackScholesPrice, normalCDF } from './blackScholes.js';
+import { createPathSimulator, tradingDaysPerYear } from './modelPaths.js';
+import { chunkSize, withProgressRange } from './monteCarlo.js';
+import { valueAtRisk } from './risk.js';
+import { createMoments, quantile } from './statistics.js';
+
+// Delta hedging of a short call: sell the call at its Black-Scholes price for a hedge volatility,
+// then hold the Black-Scholes delta in the stock, rebalanced every few trading days and paying a
+// proportional transaction cost on every trade. Under GBM with the hedge volatility the final
+// P&L shrinks to zero as rebalancing gets more frequent; jumps and stochastic volatility leave
+// errors that no rebalancing frequency removes.
+
+export const rebalanceIntervals = [
+  { days: 1, label: 'Daily' },
+  { days: 2, label: 'Every 2 days' },
+  { days: 5, label: 'Weekly' },
+  { days: 10, label: 'Every 2 weeks' },
+  { days: 21, label: 'Monthly' }
+];
+
+// Jump events kept for the jump-impact chart, and sample paths whose P&L is tracked step by step
+const maxJumpEvents = 2000;
+const numSamplePaths = 5;
+
+const callDelta = (S, K, r, vol, T) => normalCDF((Math.log(S / K) + (r + 0.5 * vol * vol) * T) / (vol * Math.sqrt(T)));
+
+// Hedge every path of one model and summarize the final P&L. For the first paths the
+// mark-to-market P&L (cash + stock − Black-Scholes value of the short call) is recorded at every
+// step; for every jump step, the P&L over that step is recorded against the jump size.
+function* hedgeModel(model, params, { hedgeVolatility, rebalanceDays, costRate, numPaths, seed }) {
+  const { S0, K, r, T } = params;
+  const steps = Math.max(1, Math.round(T * tradingDaysPerYear));
+  const dt = T / steps;
+  const growth = Math.exp(r * dt);
+  const premium = blackScholesPrice(S0, K, r, hedgeVolatility, T, 'call');
+  const optionValue = (S, t) => (t === steps ? Math.max(S - K, 0) : blackScholesPrice(S, K, r, hedgeVolatility, T - t * dt, 'call'));
+  const nextPath = createPathSimulator(model, { ...params, steps }, seed);
+  const pnls = new Float64Array(numPaths);
+  const hadJump = new Uint8Array(numPaths);
+  const pnlMoments = createMoments();
+  const costMoments = createMoments();
+  const jumpSplit = { noJumps: createMoments(), withJumps: createMoments() };
+  const samplePaths = Array.from({ length: Math.min(numSamplePaths, numPaths) }, () => new Float64Array(steps + 1));
+  const jumpMarkers = [];
+  const jumpImpact = [];
+  const chunk = chunkSize(numPaths);
+
+  for (let i = 0; i < numPaths; i++) {
+    const { prices, numJumps, jumpSizes } = nextPath();
+    const tracked = i < samplePaths.length;
+    let delta = callDelta(S0, K, r, hedgeVolatility, T);
+    let costs = costRate * Math.abs(delta) * S0;
+    let cash = premium - delta * S0 - costs;
+    let anyJump = false;
+    if (tracked) samplePaths[i][0] = -costs;
+
+    for (let t = 1; t <= steps; t++) {
+      const S = prices[t];
+      const jumped = numJumps !== null && numJumps[t - 1] > 0;
+      const before = jumped ? cash + delta * prices[t - 1] - optionValue(prices[t - 1], t - 1) : 0;
+      cash *= growth;
+
+      if (jumped) {
+        anyJump = true;
+        if (jumpImpact.length < maxJumpEvents) {
+          jumpImpact.push({ time: t * dt, jumpSize: jumpSizes[t - 1], stepPnl: cash + delta * S - optionValue(S, t) - before });
+        }
+      }
+
+      if (t < steps && t % rebalanceDays === 0) {
+        const nextDelta = callDelta(S, K, r, hedgeVolatility, T - t * dt);
+        const cost = costRate * Math.abs(nextDelta - delta) * S;
+        cash -= (nextDelta - delta) * S + cost;
+        costs += cost;
+        delta = nextDelta;
+      }
+
+      if (tracked) {
+        samplePaths[i][t] = cash + delta * S - optionValue(S, t);
+        if (jumped) jumpMarkers.push({ time: t * dt, pnl: samplePaths[i][t], pathId: i });
+      }
+    }
+
+    const pnl = cash + delta * prices[steps] - Math.max(prices[steps] - K, 0);
+    pnls[i] = pnl;
+    hadJump[i] = anyJump ? 1 : 0;
+    pnlMoments.add(pnl);
+    costMoments.add(costs);
+    (anyJump ? jumpSplit.withJumps : jumpSplit.noJumps).add(pnl);
+
+    if ((i + 1) % chunk === 0 && i + 1 < numPaths) {
+      yield { progress: (i + 1) / numPaths, partial: { model } };
+    }
+  }
+
+  const sorted = Float64Array.from(pnls).sort();
+  const { mean, std, min } = pnlMoments.summary();
+  const tail = valueAtRisk(sorted, 0.95);
+
+  return {
+    premium,
+    steps,
+    pnls,
+    sorted,
+    hadJump,
+    samplePaths,
+    jumpMarkers,
+    jumpImpact,
+    summary: {
+      mean,
+      std,
+      p1: quantile(sorted, 0.01),
+      p5: quantile(sorted, 0.05),
+      median: quantile(sorted, 0.5),
+      p95: quantile(sorted, 0.95),
+      worst: min,
+      shortfall: tail.cvar,
+      meanCost: costMoments.summary().mean,
+      jumpSplit: model !== 'merton' ? null : Object.fromEntries(Object.entries(jumpSplit).map(([key, moments]) => {
+        const { count, mean: splitMean } = moments.summary();
+        return [key, { fraction: count / numPaths, mean: count > 0 ? splitMean : null }];
+      }))
+    }
+  };
+}
+
+// Worker job: hedge the short call along paths of `model` (merton or heston, with the page's
+// parameters) and, for reference, along GBM paths with the hedge volatility, on the same daily
+// grid and seed. Returns the premium, P&L summaries of both, a P&L histogram over shared bins
+// (split by whether the path jumped, for Merton), the step-by-step P&L of a few sample paths
+// with their jump times marked, and the P&L over each jump step against the jump size.
+export function* deltaHedging({ model, parameters, hedgeVolatility, rebalanceDays, costRate, numPaths, seed }) {
+  const settings = { hedgeVolatility, rebalanceDays, costRate, numPaths, seed };
+  const { S0, K, r, T } = parameters;
+  const modelRun = yield* withProgressRange(hedgeModel(model, parameters, settings), 0, 0.5);
+  const gbmRun = yield* withProgressRange(hedgeModel('gbm', { S0, K, r, T, sigma: hedgeVolatility }, settings), 0.5, 1);
+
+  // Shared bins over the central 99% of both P&L distributions; the end bins collect the rest
+  const low = Math.min(quantile(modelRun.sorted, 0.005), quantile(gbmRun.sorted, 0.005));
+  const high = Math.max(quantile(modelRun.sorted, 0.995), quantile(gbmRun.sorted, 0.995));
+  const numBins = 40;
+  const binSize = high > low ? (high - low) / numBins : 1;
+  const binOf = (pnl) => Math.min(Math.max(Math.floor((pnl - low) / binSize), 0), numBins - 1);
+  const distribution = Array.from({ length: numBins }, (_, i) => ({
+    pnl: low + (i + 0.5) * binSize, [model]: 0, noJumps: 0, withJumps: 0, gbm: 0
+  }));
+  modelRun.pnls.forEach((pnl, i) => {
+    const row = distribution[binOf(pnl)];
+    row[model] += 1 / numPaths;
+    row[modelRun.hadJump[i] ? 'withJumps' : 'noJumps'] += 1 / numPaths;
+  });
+  gbmRun.pnls.forEach(pnl => {
+    distribution[binOf(pnl)].gbm += 1 / numPaths;
+  });
+
+  const dt = T / modelRun.steps;
+  const pnlPaths = Array.from({ length: modelRun.steps + 1 }, (_, t) => {
+    const row = { time: t * dt };
+    modelRun.samplePaths.forEach((path, i) => {
+      row[`path${i}`] = path[t];
+    });
+    return row;
+  });
+
+  return {
+    premium: modelRun.premium,
+    summary: { [model]: modelRun.summary, gbm: gbmRun.summary },
+    distribution,
+    pnlPaths,
+    jumpData: modelRun.jumpMarkers,
+    jumpImpact: modelRun.jumpImpact
+  };
+}
@@ -0,0 +1,311 @@
+import * as math from 'mathjs';
+import { blackScholesPrice, normalCDF } from './blackScholes.js';
+import { chunkSize, createEstimator, withProgressRange } from './monteCarlo.js';
+import { createPathStore, percentileBands, storePath } from './paths.js';
+import { evaluatePayoff } from './payoffs.js';
+import { createRng, fillNormals } from './random.js';
+import { createMoments } from './statistics.js';
+
+export const varianceSchemes = {
+  fullTruncation: 'Log-Euler + Full Truncation',
+  reflection: 'Log-Euler + Reflection',
+  qe: 'Andersen Quadratic-Exponential',
+  clamped: 'Euler, Clamped at 0.001'
+};
+
+// Characteristic function of ln(S_T), using the "little Heston trap" form of
+// Albrecher et al. so the complex logarithm stays on its principal branch
+export const hestonCharacteristicFunction = (u, params) => {
+  const { S0, V0, r, kappa, theta, sigma, rho, T } = params;
+  const iu = math.complex(0, 1).mul(u);
+  const xi = iu.mul(-sigma * rho).add(kappa);
+  const d = xi.mul(xi).add(u.mul(u).add(iu).mul(sigma * sigma)).sqrt();
+  const g = xi.sub(d).div(xi.add(d));
+  const expDT = d.mul(-T).exp();
+  const oneMinusGExp = g.mul(expDT).neg().add(1);
+
+  const C = iu.mul(Math.log(S0) + r * T).add(
+    xi.sub(d).mul(T)
+      .sub(oneMinusGExp.div(g.neg().add(1)).log().mul(2))
+      .mul(kappa * theta / (sigma * sigma))
+  );
+  const D = xi.sub(d).div(sigma * sigma).mul(expDT.neg().add(1)).div(oneMinusGExp);
+
+  return C.add(D.mul(V0)).exp();
+};
+
+// Buffers for one simulated path, reused from path to path: prices and variances at every step
+export const createHestonPath = (steps) => ({
+  prices: new Float64Array(steps + 1),
+  variances: new Float64Array(steps + 1)
+});
+
+// Simulate single path into `path` with the selected discretization scheme. Every scheme also
+// counts the steps where a plain Euler variance update would have gone negative.
+// `normals` holds one independent normal pair per step, interleaved; negating them gives the
+// antithetic path. `jumps`, when given, adds a log-return to each step on top of the diffusion;
+// the Bates model passes its compensated jump returns here.
+export const simulateHestonPath = (params, scheme, normals, path, jumps = null) => {
+  const { S0, V0, r, kappa, theta, sigma, rho, T, steps } = params;
+  const dt = T / steps;
+  const sqrtDt = Math.sqrt(dt);
+  const { prices, variances } = path;
+
+  // Cholesky factor of the correlation; QE correlates price and variance through K1/K2, so it
+  // needs independent draws
+  const correlation = scheme === 'qe' ? 0 : rho;
+  const orthogonal = Math.sqrt(1 - correlation * correlation);
+
+  let S = S0;
+  let V = V0;
+  let negativeCount = 0;
+  let sumW1 = 0;
+  prices[0] = S0;
+  variances[0] = V0;
+
+  // Andersen QE constants
+  const expKappaDt = Math.exp(-kappa * dt);
+  const K0 = -rho * kappa * theta * dt / sigma;
+  const K1 = 0.5 * dt * (kappa * rho / sigma - 0.5) - rho / sigma;
+  const K2 = 0.5 * dt * (kappa * rho / sigma - 0.5) + rho / sigma;
+  const K3 = 0.5 * dt * (1 - rho * rho);
+
+  for (let i = 0; i < steps; i++) {
+    const dW1 = normals[2 * i];
+    const dW2 = correlation * normals[2 * i] + orthogonal * normals[2 * i + 1];
+    sumW1 += dW1;
+    const VPlus = Math.max(V, 0);
+    const eulerV = V + kappa * (theta - VPlus) * dt + sigma * Math.sqrt(VPlus) * dW2 * sqrtDt;
+    if (eulerV < 0) negativeCount++;
+
+    if (scheme === 'clamped') {
+      // Original scheme: plain Euler on S with the variance floored at 0.001
+      const sqrtV = Math.max(Math.sqrt(Math.abs(V)), 0.001);
+      const dS = r * S * dt + sqrtV * S * dW1 * sqrtDt;
+      const dV = kappa * (theta - V) * dt + sigma * sqrtV * dW2 * sqrtDt;
+      S += dS;
+      V = Math.max(V + dV, 0.001);
+    } else if (scheme === 'reflection') {
+      // Log-Euler on S, variance reflected at zero
+      S *= Math.exp((r - 0.5 * V) * dt + Math.sqrt(V) * dW1 * sqrtDt);
+      V = Math.abs(V + kappa * (theta - V) * dt + sigma * Math.sqrt(V) * dW2 * sqrtDt);
+    } else if (scheme === 'qe') {
+      // Andersen (2008) Quadratic-Exponential step, matching the first two moments of V(t+dt)
+      const m = theta + (V - theta) * expKappaDt;
+      const s2 = V * sigma * sigma * expKappaDt * (1 - expKappaDt) / kappa +
+                 theta * sigma * sigma * Math.pow(1 - expKappaDt, 2) / (2 * kappa);
+      const psi = s2 / (m * m);
+      let nextV;
+
+      if (psi <= 1.5) {
+        const b2 = 2 / psi - 1 + Math.sqrt(2 / psi) * Math.sqrt(2 / psi - 1);
+        const a = m / (1 + b2);
+        nextV = a * Math.pow(Math.sqrt(b2) + dW2, 2);
+      } else {
+        const p = (psi - 1) / (psi + 1);
+        const beta = (1 - p) / m;
+        const u = normalCDF(dW2);
+        nextV = u <= p ? 0 : Math.log((1 - p) / (1 - u)) / beta;
+      }
+
+      S *= Math.exp(r * dt + K0 + K1 * V + K2 * nextV + Math.sqrt(K3 * (V + nextV)) * dW1);
+      V = nextV;
+    } else {
+      // Log-Euler on S with full truncation: V may go negative but only max(V, 0) enters the dynamics
+      S *= Math.exp((r - 0.5 * VPlus) * dt + Math.sqrt(VPlus) * dW1 * sqrtDt);
+      V = eulerV;
+    }
+
+    if (jumps) S *= Math.exp(jumps[i]);
+
+    prices[i + 1] = S;
+    variances[i + 1] = Math.max(V, 0);
+  }
+
+  // Black-Scholes control: a GBM with volatility √V0 driven by the same price shocks
+  const controlPrice = S0 * Math.exp((r - 0.5 * V0) * T + Math.sqrt(V0 * dt) * sumW1);
+
+  return { negativeCount, controlPrice };
+};
+
+// Simulate numPaths paths (in antithetic pairs when enabled) and price the strike-K call,
+// using the Black-Scholes call on the control GBM as the control variate. Yields progress
+// with a running plain estimate after every chunk of paths. Every call restarts the generator
+// from `seed`, so schemes and parameter sets are compared on common random numbers.
+// `onPath` sees the reused path buffers, so it must copy anything it keeps.
+function* simulateCallPrice(params, { numPaths, scheme, varianceReduction, seed }, onPath = () => {}) {
+  const rng = createRng(seed);
+  const discount = Math.exp(-params.r * params.T);
+  const call = createEstimator(varianceReduction);
+  const chunk = chunkSize(numPaths);
+  const normals = new Float64Array(2 * params.steps);
+  const path = createHestonPath(params.steps);
+  let negativeSteps = 0;
+
+  for (let i = 0; i < numPaths; i++) {
+    if (varianceReduction.antithetic && i % 2 === 1) {
+      for (let j = 0; j < normals.length; j++) normals[j] = -normals[j];
+    } else {
+      fillNormals(rng, normals);
+    }
+
+    const { negativeCount, controlPrice } = simulateHestonPath(params, scheme, normals, path);
+    negativeSteps += negativeCount;
+    call.add(
+      discount * Math.max(path.prices[params.steps] - params.K, 0),
+      discount * Math.max(controlPrice - params.K, 0)
+    );
+    onPath(path, controlPrice, i);
+
+    if ((i + 1) % chunk === 0 && i + 1 < numPaths) {
+      yield { progress: (i + 1) / numPaths, partial: call.running() };
+    }
+  }
+
+  const controlMean = blackScholesPrice(params.S0, params.K, params.r, Math.sqrt(params.V0), params.T, 'call');
+  return {
+    ...call.estimate(controlMean),
+    negativeVarianceFrequency: negativeSteps / (numPaths * params.steps)
+  };
+}
+
+// Worker job: Monte Carlo run behind the simulation panel. Returns the first 10 paths for
+// display, price and variance percentile bands over the stored paths, terminal-price
+// statistics, the call estimate and an estimate for the selected (possibly path-dependent)
+// payoff, priced from the same paths.
+export function* hestonSimulation({ parameters, numPaths, scheme, varianceReduction, seed, payoff }) {
+  const discount = Math.exp(-parameters.r * parameters.T);
+  const controlPayoff = (S) => discount * (payoff.optionType === 'call'
+    ? Math.max(S - parameters.K, 0)
+    : Math.max(parameters.K - S, 0));
+  const allPricePaths = [];
+  const priceStore = createPathStore(parameters.steps, numPaths);
+  const varianceStore = createPathStore(parameters.steps, numPaths);
+  const finalPrices = createMoments();
+  const payoffs = createEstimator(varianceReduction);
+  let knockedPaths = 0;
+
+  const estimate = yield* simulateCallPrice(parameters, { numPaths, scheme, varianceReduction, seed }, ({ prices, variances }, controlPrice, i) => {
+    const { value, knocked } = evaluatePayoff(prices, parameters.K, payoff);
+    payoffs.add(discount * value, controlPayoff(controlPrice));
+    if (knocked) knockedPaths++;
+    storePath(priceStore, i, prices);
+    storePath(varianceStore, i, variances);
+
+    // Store paths for visualization (only first 10 paths to avoid clutter)
+    if (i < 10) {
+      allPricePaths.push(Array.from(prices, (price, idx) => ({
+        time: idx / parameters.steps * parameters.T,
+        price: price,
+        volatility: variances[idx],
+        pathId: i,
+        knocked: Boolean(knocked)
+      })));
+    }
+
+    finalPrices.add(prices[parameters.steps]);
+  });
+
+  // The Black-Scholes vanilla of the same type on the control GBM serves as control variate
+  const controlMean = blackScholesPrice(
+    parameters.S0, parameters.K, parameters.r, Math.sqrt(parameters.V0), parameters.T, payoff.optionType
+  );
+  const payoffEstimate = {
+    ...payoffs.estimate(controlMean),
+    knockedFraction: knockedPaths / numPaths
+  };
+
+  // Calculate statistics
+  const { mean: avgFinalPrice, std: stdFinalPrice } = finalPrices.summary();
+
+  const times = priceStore.map((_, idx) => idx / parameters.steps * parameters.T);
+  const fan = {
+    price: percentileBands(priceStore, times),
+    variance: percentileBands(varianceStore, times)
+  };
+
+  return { paths: allPricePaths, fan, avgFinalPrice, stdFinalPrice, estimate, payoffEstimate };
+}
+
+// Worker job: price the same call with every variance scheme
+export function* hestonSchemeComparison({ parameters, numPaths, varianceReduction, seed }) {
+  const schemes = Object.keys(varianceSchemes);
+  const results = [];
+
+  for (let k = 0; k < schemes.length; k++) {
+    const estimate = yield* withProgressRange(
+      simulateCallPrice(parameters, { numPaths, scheme: schemes[k], varianceReduction, seed }),
+      k / schemes.length,
+      (k + 1) / schemes.length
+    );
+    results.push({ key: schemes[k], ...estimate });
+  }
+
+  return results;
+}
+
+// Bumps for the finite-difference Greeks: spot by 1%, variances by 0.001, r by 10bp, T by a day
+const greekBumps = (params) => ({
+  S0: 0.01 * params.S0,
+  V0: 0.001,
+  theta: 0.001,
+  r: 0.001,
+  T: 1 / 365
+});
+
+// Worker job: bump-and-revalue Greeks of the strike-K call. Every path is simulated once per
+// bumped parameter set on the same normal draws, so each Greek is averaged over per-path
+// differences and its standard error reflects only the noise left after the common draws cancel.
+export function* hestonGreeks({ parameters, numPaths, scheme, seed }) {
+  const rng = createRng(seed);
+  const h = greekBumps(parameters);
+  const bumped = (key, sign) => ({ ...parameters, [key]: parameters[key] + sign * h[key] });
+  const scenarios = {
+    base: parameters,
+    spotUp: bumped('S0', 1),
+    spotDown: bumped('S0', -1),
+    v0Up: bumped('V0', 1),
+    v0Down: bumped('V0', -1),
+    thetaUp: bumped('theta', 1),
+    thetaDown: bumped('theta', -1),
+    rUp: bumped('r', 1),
+    rDown: bumped('r', -1),
+    maturityUp: bumped('T', 1),
+    maturityDown: bumped('T', -1)
+  };
+  const estimators = {
+    price: (P) => P.base,
+    delta: (P) => (P.spotUp - P.spotDown) / (2 * h.S0),
+    gamma: (P) => (P.spotUp - 2 * P.base + P.spotDown) / (h.S0 * h.S0),
+    vegaV0: (P) => (P.v0Up - P.v0Down) / (2 * h.V0),
+    vegaTheta: (P) => (P.thetaUp - P.thetaDown) / (2 * h.theta),
+    rho: (P) => (P.rUp - P.rDown) / (2 * h.r),
+    theta: (P) => -(P.maturityUp - P.maturityDown) / (2 * h.T)
+  };
+  const samples = Object.fromEntries(Object.keys(estimators).map(key => [key, createMoments()]));
+  const chunk = chunkSize(numPaths);
+  const normals = new Float64Array(2 * parameters.steps);
+  const path = createHestonPath(parameters.steps);
+  const payoffs = {};
+
+  for (let i = 0; i < numPaths; i++) {
+    fillNormals(rng, normals);
+    Object.entries(scenarios).forEach(([key, params]) => {
+      simulateHestonPath(params, scheme, normals, path);
+      payoffs[key] = Math.exp(-params.r * params.T) * Math.max(path.prices[params.steps] - params.K, 0);
+    });
+
+    Object.entries(estimators).forEach(([key, estimator]) => {
+      samples[key].add(estimator(payoffs));
+    });
+
+    if ((i + 1) % chunk === 0 && i + 1 < numPaths) {
+      yield { progress: (i + 1) / numPaths, partial: { pathsDone: i + 1 } };
+    }
+  }
+
+  return Object.fromEntries(Object.entries(samples).map(([key, moments]) => {
+    const { mean: value, standardError } = moments.summary();
+    return [key, { value, standardError }];
+  }));
+}
@@ -0,0 +1,174 @@
+import * as math from 'mathjs';
+import { blackScholesPrice, blackScholesVega, impliedVolatility } from './blackScholes.js';
+import { fourierCallPrices } from './fourier.js';
+import { hestonCharacteristicFunction } from './heston.js';
+
+// Calibration bounds, matching the parameter sliders
+export const calibrationBounds = {
+  kappa: [0.1, 10],
+  theta: [0.01, 0.1],
+  sigma: [0.1, 1],
+  rho: [-0.99, 0.99],
+  V0: [0.01, 0.1]
+};
+
+const maxIterations = 50;
+
+// Parse "strike, maturity, value[, call|put]" rows separated by commas, semicolons, tabs or spaces.
+// Header and malformed rows are skipped; implied vols above 1 are read as percentages.
+export const parseQuotes = (text, type) => {
+  const quotes = [];
+
+  text.split(/\r?\n/).forEach(line => {
+    const fields = line.trim().split(/[,;\t ]+/);
+    const [strike, maturity, value] = fields.slice(0, 3).map(Number);
+    if (fields.length < 3 || ![strike, maturity, value].every(Number.isFinite)) return;
+    if (strike <= 0 || maturity <= 0 || value <= 0) return;
+
+    const optionType = /^p/i.test(fields[3] || '') ? 'put' : 'call';
+    quotes.push({
+      strike,
+      maturity,
+      optionType,
+      value: type === 'iv' && value > 1 ? value / 100 : value
+    });
+  });
+
+  return quotes;
+};
+
+// Levenberg-Marquardt least squares on a residual function, with a forward-difference Jacobian.
+// Yields the sum of squared residuals after every iteration.
+function* levenbergMarquardt(residualFn, x0) {
+  let x = x0;
+  let residuals = residualFn(x);
+  let cost = math.dot(residuals, residuals);
+  let lambda = 1e-3;
+  let iterations = 0;
+
+  for (; iterations < maxIterations; iterations++) {
+    const h = 1e-5;
+    const columns = x.map((_, j) => {
+      const bumped = x.map((v, k) => (k === j ? v + h : v));
+      return math.divide(math.subtract(residualFn(bumped), residuals), h);
+    });
+    const J = math.transpose(columns);
+    const JtJ = math.multiply(columns, J);
+    const gradient = math.multiply(columns, residuals);
+
+    let improved = false;
+    while (lambda < 1e10) {
+      const damped = JtJ.map((row, i) =>
+        row.map((v, j) => (i === j ? v + lambda * Math.max(v, 1e-12) : v))
+      );
+      const step = math.flatten(math.lusolve(damped, math.unaryMinus(gradient)));
+      const candidate = math.add(x, step);
+      const candidateResiduals = residualFn(candidate);
+      const candidateCost = math.dot(candidateResiduals, candidateResiduals);
+
+      if (Number.isFinite(candidateCost) && candidateCost < cost) {
+        const relativeChange = (cost - candidateCost) / cost;
+        x = candidate;
+        residuals = candidateResiduals;
+        cost = candidateCost;
+        lambda = Math.max(lambda / 3, 1e-12);
+        improved = relativeChange > 1e-10;
+        break;
+      }
+      lambda *= 3;
+    }
+
+    if (!improved) break;
+    yield { iteration: iterations + 1, cost };
+  }
+
+  return { x, residuals, cost, iterations };
+}
+
+// Worker job: fit κ, θ, σ, ρ and V0 to parsed quotes, keeping S0, r and the other parameters
+// fixed. Each parameter is mapped through a logistic transform so the optimizer stays inside the
+// slider bounds. Reports the RMSE after every iteration, and returns the fitted parameters, the
+// model value and residual for every quote, and the RMSE before and after the fit.
+export function* hestonCalibration({ parameters, quotes, quoteType }) {
+  const { S0, r } = parameters;
+  const names = Object.keys(calibrationBounds);
+  const toParams = (x) => {
+    const params = {};
+    names.forEach((name, i) => {
+      const [low, high] = calibrationBounds[name];
+      params[name] = low + (high - low) / (1 + Math.exp(-x[i]));
+    });
+    return params;
+  };
+  const fromParams = (params) => names.map(name => {
+    const [low, high] = calibrationBounds[name];
+    const t = Math.min(Math.max((params[name] - low) / (high - low), 1e-6), 1 - 1e-6);
+    return Math.log(t / (1 - t));
+  });
+
+  // Implied-vol quotes are priced as the out-of-the-money option and weighted by vega,
+  // which makes each price residual approximately an implied-vol residual
+  const targets = quotes.map(q => {
+    if (quoteType === 'price') {
+      return { ...q, price: q.value, weight: 1 };
+    }
+    const optionType = q.strike < S0 * Math.exp(r * q.maturity) ? 'put' : 'call';
+    return {
+      ...q,
+      optionType,
+      price: blackScholesPrice(S0, q.strike, r, q.value, q.maturity, optionType),
+      weight: 1 / Math.max(blackScholesVega(S0, q.strike, r, q.value, q.maturity), 1e-8)
+    };
+  });
+  const maturities = [...new Set(targets.map(q => q.maturity))];
+
+  // Model prices for every quote, one characteristic-function pass per maturity
+  const modelPrices = (hestonParams) => {
+    const prices = new Array(targets.length);
+    maturities.forEach(T => {
+      const indices = targets.map((q, i) => (q.maturity === T ? i : -1)).filter(i => i >= 0);
+      const calls = fourierCallPrices(
+        hestonCharacteristicFunction,
+        { ...parameters, ...hestonParams, T },
+        indices.map(i => targets[i].strike)
+      );
+      indices.forEach((i, k) => {
+        const { strike, optionType } = targets[i];
+        prices[i] = optionType === 'call' ? calls[k] : calls[k] - S0 + strike * Math.exp(-r * T);
+      });
+    });
+    return prices;
+  };
+
+  const residualFn = (x) => {
+    const prices = modelPrices(toParams(x));
+    return targets.map((q, i) => (prices[i] - q.price) * q.weight);
+  };
+  const rmse = (cost) => Math.sqrt(cost / targets.length);
+
+  const initialResiduals = residualFn(fromParams(parameters));
+  const fit = levenbergMarquardt(residualFn, fromParams(parameters));
+  let step = fit.next();
+  for (; !step.done; step = fit.next()) {
+    yield { progress: step.value.iteration / maxIterations, partial: { iteration: step.value.iteration, rmse: rmse(step.value.cost) } };
+  }
+
+  const result = step.value;
+  const fitted = toParams(result.x);
+  const prices = modelPrices(fitted);
+  const rows = targets.map((q, i) => {
+    const model = quoteType === 'price'
+      ? prices[i]
+      : impliedVolatility(prices[i], S0, q.strike, r, q.maturity, q.optionType);
+    return { ...q, model, residual: model - q.value };
+  });
+
+  return {
+    rows,
+    fitted,
+    iterations: result.iterations,
+    initialRmse: rmse(math.dot(initialResiduals, initialResiduals)),
+    rmse: rmse(result.cost),
+    quoteType
+  };
+}
@@ -0,0 +1,119 @@
+import { inverseNormalCDF, normalCDF } from './blackScholes.js';
+
+const factorial = (n) => (n <= 1 ? 1 : n * factorial(n - 1));
+
+// E[Xⁿ] for X ~ N(μ, s²): the sum over even k of C(n, k) μⁿ⁻ᵏ sᵏ (k − 1)!!
+const normalRawMoment = (mu, s, n) => {
+  let sum = 0;
+  let doubleFactorial = 1;
+  for (let k = 0; k <= n; k += 2) {
+    if (k > 0) doubleFactorial *= k - 1;
+    sum += factorial(n) / (factorial(k) * factorial(n - k)) * mu ** (n - k) * s ** k * doubleFactorial;
+  }
+  return sum;
+};
+
+// Distributions of the log-jump Y, so a jump multiplies the price by e^Y. Each law samples by
+// inverse transform from a uniform, which lets antithetic paths mirror jump sizes with u → 1 − u
+// whatever the law. `compensator` is k = E[e^Y] − 1, the drift correction λk that keeps the
+// discounted price a martingale; `cdf` is P(Y ≤ y) and `rawMoment` is E[Yⁿ]. `inputs` lists the
+// parameters each law reads besides λ.
+export const jumpLaws = {
+  lognormal: {
+    label: 'Normal log-jumps (Merton)',
+    inputs: ['muJ', 'sigmaJ'],
+    quantile: ({ muJ, sigmaJ }, u) => muJ + sigmaJ * inverseNormalCDF(u),
+    cdf: ({ muJ, sigmaJ }, y) => normalCDF((y - muJ) / sigmaJ),
+    compensator: ({ muJ, sigmaJ }) => Math.exp(muJ + 0.5 * sigmaJ * sigmaJ) - 1,
+    moments: ({ muJ, sigmaJ }) => ({ mean: muJ, std: sigmaJ }),
+    rawMoment: ({ muJ, sigmaJ }, n) => normalRawMoment(muJ, sigmaJ, n),
+    normalJumps: ({ muJ, sigmaJ }) => ({ muJ, sigmaJ })
+  },
+  kou: {
+    label: 'Double exponential (Kou)',
+    inputs: ['kouP', 'eta1', 'eta2'],
+    // Up-jumps Exp(η₁) with probability p, down-jumps −Exp(η₂) otherwise
+    quantile: ({ kouP, eta1, eta2 }, u) => (u < 1 - kouP
+      ? Math.log(u / (1 - kouP)) / eta2
+      : -Math.log((1 - u) / kouP) / eta1),
+    cdf: ({ kouP, eta1, eta2 }, y) => (y < 0
+      ? (1 - kouP) * Math.exp(eta2 * y)
+      : 1 - kouP * Math.exp(-eta1 * y)),
+    // Finite only for η₁ > 1, i.e. up-jumps averaging less than 100%
+    compensator: ({ kouP, eta1, eta2 }) => kouP * eta1 / (eta1 - 1) + (1 - kouP) * eta2 / (eta2 + 1) - 1,
+    moments: ({ kouP, eta1, eta2 }) => {
+      const mean = kouP / eta1 - (1 - kouP) / eta2;
+      const secondMoment = 2 * kouP / (eta1 * eta1) + 2 * (1 - kouP) / (eta2 * eta2);
+      return { mean, std: Math.sqrt(secondMoment - mean * mean) };
+    },
+    rawMoment: ({ kouP, eta1, eta2 }, n) => factorial(n) * (kouP / eta1 ** n + (1 - kouP) * (-1 / eta2) ** n)
+  },
+  fixed: {
+    label: 'Fixed size',
+    inputs: ['fixedJump'],
+    quantile: ({ fixedJump }) => fixedJump,
+    cdf: ({ fixedJump }, y) => (y >= fixedJump ? 1 : 0),
+    compensator: ({ fixedJump }) => Math.exp(fixedJump) - 1,
+    moments: ({ fixedJump }) => ({ mean: fixedJump, std: 0 }),
+    rawMoment: ({ fixedJump }, n) => fixedJump ** n,
+    // A fixed jump is a normal log-jump with σⱼ = 0, so the Merton series still applies
+    normalJumps: ({ fixedJump }) => ({ muJ: fixedJump, sigmaJ: 0 })
+  },
+  empirical: {
+    label: 'Empirical returns',
+    inputs: ['empiricalJumps'],
+    // Resamples the supplied log-jumps, which are kept sorted so u indexes the empirical quantile
+    quantile: ({ empiricalJumps }, u) => empiricalJumps[Math.min(Math.floor(u * empiricalJumps.length), empiricalJumps.length - 1)],
+    cdf: ({ empiricalJumps }, y) => empiricalJumps.filter(x => x <= y).length / empiricalJumps.length,
+    compensator: ({ empiricalJumps }) => empiricalJumps.reduce((sum, y) => sum + Math.exp(y), 0) / empiricalJumps.length - 1,
+    moments: ({ empiricalJumps }) => {
+      const mean = empiricalJumps.reduce((a, b) => a + b, 0) / empiricalJumps.length;
+      const variance = empiricalJumps.reduce((sum, y) => sum + (y - mean) * (y - mean), 0) / empiricalJumps.length;
+      return { mean, std: Math.sqrt(variance) };
+    },
+    rawMoment: ({ empiricalJumps }, n) => empiricalJumps.reduce((sum, y) => sum + y ** n, 0) / empiricalJumps.length
+  }
+};
+
+// Parse a list of simple jump returns ("-0.2, -12%, 0.05 …") into sorted log-jumps ln(1 + R).
+// Returns an error message instead when an entry is not a number or is a loss of 100% or more.
+export const parseEmpiricalJumps = (text) => {
+  const entries = text.split(/[\s,;]+/).filter(Boolean);
+  if (entries.length === 0) return { error: 'Enter at least one return' };
+
+  const jumps = [];
+  for (const entry of entries) {
+    const value = parseFloat(entry) / (entry.endsWith('%') ? 100 : 1);
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?%?$/i.test(entry)) return { error: `Not a number: ${entry}` };
+    if (value <= -1) return { error: `A return of ${entry} would wipe out the price` };
+    jumps.push(Math.log(1 + value));
+  }
+
+  return { jumps: jumps.sort((a, b) => a - b) };
+};
+
+// Histogram of `numSamples` jumps drawn from the law next to the law's own probability for each
+// bin. The 0.1% and 99.9% quantiles sit at the centres of the end bins, so atoms of the fixed and
+// empirical laws fall inside a bin rather than on an edge; a fixed jump gets the middle bin.
+export const jumpSizeDistribution = (params, rng, numBins = 20, numSamples = 1000) => {
+  const law = jumpLaws[params.jumpLaw];
+  const low = law.quantile(params, 0.001);
+  const high = law.quantile(params, 0.999);
+  const binSize = high > low ? (high - low) / (numBins - 1) : 0.01;
+  const start = (high > low ? low : low - Math.floor(numBins / 2) * binSize) - 0.5 * binSize;
+
+  const counts = new Array(numBins).fill(0);
+  for (let i = 0; i < numSamples; i++) {
+    const bin = Math.ceil((law.quantile(params, rng()) - start) / binSize) - 1;
+    if (bin >= 0 && bin < numBins) counts[bin]++;
+  }
+
+  return counts.map((count, i) => {
+    const binStart = start + i * binSize;
+    return {
+      jumpSize: binStart + 0.5 * binSize,
+      frequency: count / numSamples,
+      theoretical: law.cdf(params, binStart + binSize) - law.cdf(params, binStart)
+    };
+  });
+};
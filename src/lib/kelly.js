@@ -0,0 +1,333 @@
+import * as math from 'mathjs';
+import { normalCDF } from './blackScholes.js';
+import { chunkSize } from './monteCarlo.js';
+import { createPathStore, storePath } from './paths.js';
+import { createRng, randomBeta } from './random.js';
+import { histogram, quantile, range } from './statistics.js';
+
+// Kelly fraction for a bet paying b per unit staked on a win and losing a on a loss,
+// clamped between 0 and 1
+export const calculateKellyFraction = (winProb, winRatio, lossRatio) => {
+  const p = winProb;
+  const b = winRatio;
+  const q = 1 - p;
+  const a = lossRatio;
+
+  const kelly = (p * b - q * a) / (a * b);
+  return Math.max(0, Math.min(1, kelly)); // Clamp between 0 and 1
+};
+
+// The fractions the page compares, as multiples of the Kelly fraction plus a fixed 5% stake
+export const kellyStrategies = (kelly) => [
+  { name: 'Full Kelly', fraction: kelly },
+  { name: 'Half Kelly', fraction: kelly / 2 },
+  { name: 'Double Kelly', fraction: kelly * 2 },
+  { name: 'Fixed 5%', fraction: 0.05 }
+];
+
+// Mean and variance of the log-return of one bet staking `fraction` of capital, or null when a
+// single loss would wipe out the capital
+export const betLogReturn = (fraction, { winProb, winRatio, lossRatio }) => {
+  if (fraction * lossRatio >= 1) return null;
+  const win = Math.log(1 + fraction * winRatio);
+  const loss = Math.log(1 - fraction * lossRatio);
+  return {
+    mean: winProb * win + (1 - winProb) * loss,
+    variance: winProb * (1 - winProb) * (win - loss) ** 2
+  };
+};
+
+// Expected log-growth G(f) per bet when staking `fraction`, −∞ once a single loss is ruin
+export const growthRate = (fraction, bet) => betLogReturn(fraction, bet)?.mean ?? -Infinity;
+
+// G(f) at numPoints stakes from 0 up to (not including) maxFraction, by default the stake 1/a at
+// which one loss wipes out the capital and G falls to −∞. Also returns f₀, the stake beyond
+// which growth turns negative: G is concave with G(0) = 0, so f₀ is 0 without an edge and
+// otherwise the root past the Kelly fraction, found by bisection.
+export const growthCurve = (bet, maxFraction = 1 / bet.lossRatio, numPoints = 400) => {
+  const curve = Array.from({ length: numPoints }, (_, i) => {
+    const fraction = (i / numPoints) * maxFraction;
+    return { fraction, growth: growthRate(fraction, bet) };
+  });
+
+  let zeroGrowth = 0;
+  if (bet.winProb * bet.winRatio > (1 - bet.winProb) * bet.lossRatio) {
+    let low = calculateKellyFraction(bet.winProb, bet.winRatio, bet.lossRatio);
+    let high = 1 / bet.lossRatio;
+    for (let i = 0; i < 60; i++) {
+      const mid = (low + high) / 2;
+      if (growthRate(mid, bet) > 0) low = mid;
+      else high = mid;
+    }
+    zeroGrowth = low;
+  }
+
+  return { curve, zeroGrowth };
+};
+
+// Probability that capital falls to (1 − drawdown) of where it started within numBets bets, and
+// ever, from a Brownian approximation of log-capital with the bets' mean and variance. For a
+// Brownian motion with drift μ and variance s² per bet, the first passage below −a by time n
+// has probability Φ((−a − μn)/(s√n)) + e^(−2μa/s²) Φ((−a + μn)/(s√n)), and the reflection term
+// alone in the limit. Capital only moves at bets, so it overshoots the barrier; moving the
+// barrier out by 0.5826·s (Broadie, Glasserman & Kou, 1997) corrects for that. Returns null
+// when no approximation exists because one loss can end the game.
+export const thresholdHitProbability = (fraction, bet, drawdown, numBets) => {
+  if (fraction <= 0) return { withinBets: 0, ever: 0 };
+  const moments = betLogReturn(fraction, bet);
+  if (!moments) return null;
+
+  const { mean, variance } = moments;
+  const s = Math.sqrt(variance);
+  const a = -Math.log(1 - drawdown) + 0.5826 * s;
+  const spread = s * Math.sqrt(numBets);
+  const exponent = -2 * mean * a / variance;
+  const reflected = normalCDF((-a + mean * numBets) / spread);
+  const withinBets = normalCDF((-a - mean * numBets) / spread) + (reflected > 0 ? Math.exp(exponent + Math.log(reflected)) : 0);
+  return {
+    withinBets: Math.min(withinBets, 1),
+    ever: mean > 0 ? Math.min(Math.exp(exponent), 1) : 1
+  };
+};
+
+// Worker job: Monte Carlo estimates, for each fraction, of the probability that capital falls to
+// (1 − drawdown) of the initial capital within numBets bets, and of the probability of a
+// peak-to-trough drawdown of at least `drawdown` in that time. Each fraction replays the same
+// seeded win/loss sequences.
+export function* kellyRiskOfRuin({ winProb, winRatio, lossRatio, fractions, drawdown, numBets, numPaths, seed }) {
+  const floor = 1 - drawdown;
+  const results = [];
+  const chunk = chunkSize(numPaths);
+
+  for (let k = 0; k < fractions.length; k++) {
+    const fraction = fractions[k];
+    const rng = createRng(seed);
+    let hits = 0;
+    let drawdowns = 0;
+
+    for (let path = 0; path < numPaths; path++) {
+      // Capital relative to the initial capital
+      let capital = 1;
+      let peak = 1;
+      let hit = false;
+      let deepDrawdown = false;
+
+      // Hitting the floor is also a drawdown of that size from a peak of at least 1
+      for (let i = 0; i < numBets && !hit; i++) {
+        const betSize = capital * fraction;
+        capital = Math.max(0, rng() < winProb ? capital + betSize * winRatio : capital - betSize * lossRatio);
+        if (capital > peak) peak = capital;
+        if (capital <= floor) hit = true;
+        if (capital <= peak * floor) deepDrawdown = true;
+      }
+
+      if (hit) hits++;
+      if (deepDrawdown) drawdowns++;
+      if ((path + 1) % chunk === 0 && path + 1 < numPaths) {
+        yield { progress: (k + (path + 1) / numPaths) / fractions.length };
+      }
+    }
+
+    const probability = hits / numPaths;
+    results.push({
+      fraction,
+      hitProbability: probability,
+      standardError: Math.sqrt(probability * (1 - probability) / numPaths),
+      drawdownProbability: drawdowns / numPaths
+    });
+  }
+
+  return results;
+}
+
+// Worker job: compare the Kelly fractions over numSimulations runs of numBets bets. Capital
+// compounds, so the mean over runs is carried by a few lucky ones; the chart data instead holds
+// the median and the 10th–90th percentile band of capital after every bet. Yields the chart data
+// for the strategies finished so far after each one, so the chart fills in while the rest run,
+// and returns it with a histogram of final capital and a summary per strategy. Every strategy
+// replays the same seeded win/loss sequences, so the strategies differ only by bet sizing.
+export function* kellyComparison({ winProb, winRatio, lossRatio, initialCapital, numBets, numSimulations, seed }) {
+  const kelly = calculateKellyFraction(winProb, winRatio, lossRatio);
+  const strategies = kellyStrategies(kelly).map(strategy => ({ ...strategy, bands: null, final: null }));
+
+  // Format the finished strategies for the chart
+  const chartData = () => {
+    const data = [];
+    for (let i = 0; i <= numBets; i++) {
+      const point = { bet: i };
+      strategies.filter(s => s.bands).forEach(s => {
+        point[s.name] = s.bands.median[i];
+        point[`${s.name} band`] = [s.bands.p10[i], s.bands.p90[i]];
+      });
+      data.push(point);
+    }
+    return data;
+  };
+
+  const path = new Float64Array(numBets + 1);
+  const chunk = chunkSize(numSimulations);
+
+  for (let k = 0; k < strategies.length; k++) {
+    const strategy = strategies[k];
+    // The store keeps at most maxStoredPaths runs for the bands; every run's final capital is kept
+    const store = createPathStore(numBets, numSimulations);
+    const finals = new Float64Array(numSimulations);
+    const rng = createRng(seed);
+
+    for (let sim = 0; sim < numSimulations; sim++) {
+      let capital = initialCapital;
+
+      for (let i = 0; i <= numBets; i++) {
+        path[i] = capital;
+
+        if (i < numBets) {
+          const betSize = capital * strategy.fraction;
+          const isWin = rng() < winProb;
+
+          if (isWin) {
+            capital += betSize * winRatio;
+          } else {
+            capital -= betSize * lossRatio;
+          }
+
+          capital = Math.max(0, capital);
+        }
+      }
+
+      storePath(store, sim, path);
+      finals[sim] = capital;
+      if ((sim + 1) % chunk === 0 && sim + 1 < numSimulations) {
+        yield { progress: (k + (sim + 1) / numSimulations) / strategies.length };
+      }
+    }
+
+    // The store is not needed past this point, so sort its columns in place
+    store.forEach(column => column.sort());
+    strategy.bands = {
+      median: store.map(column => quantile(column, 0.5)),
+      p10: store.map(column => quantile(column, 0.1)),
+      p90: store.map(column => quantile(column, 0.9))
+    };
+    strategy.final = finals.sort();
+
+    if (k < strategies.length - 1) {
+      yield { progress: (k + 1) / strategies.length, partial: { paths: chartData() } };
+    }
+  }
+
+  // Final capital on shared bins of log₁₀(final / initial). Runs that lost everything have no
+  // logarithm, so they only show up in the summary.
+  const numBins = 40;
+  const logFinals = strategies.map(s => Array.from(s.final.filter(capital => capital > 0), capital => Math.log10(capital / initialCapital)));
+  const allLogFinals = logFinals.flat();
+  const bins = logFinals.map(values => histogram(values, numBins, range(allLogFinals)));
+  const finalHistogram = allLogFinals.length === 0 ? [] : Array.from({ length: numBins }, (_, b) => {
+    const row = { logCapital: bins[0].start + (b + 0.5) * bins[0].binSize };
+    strategies.forEach((s, k) => {
+      row[s.name] = bins[k].counts[b] / numSimulations;
+    });
+    return row;
+  });
+
+  const summary = strategies.map(s => ({
+    name: s.name,
+    fraction: s.fraction,
+    median: quantile(s.final, 0.5),
+    mean: s.final.reduce((sum, capital) => sum + capital, 0) / numSimulations,
+    belowStart: s.final.filter(capital => capital < initialCapital).length / numSimulations,
+    ruined: s.final.filter(capital => capital === 0).length / numSimulations
+  }));
+
+  return { paths: chartData(), finalHistogram, summary };
+}
+
+// Beta posterior over the win probability after `wins` and `losses`, starting from a
+// Beta(alpha, beta) prior. Besides the density, the CDF is tabulated at the midpoints of
+// numPoints cells spanning eight standard deviations either side of the mean, which holds
+// nearly all the mass however many bets have been observed; quantiles and tail probabilities
+// interpolate the table.
+export const betaPosterior = ({ alpha, beta }, wins, losses, numPoints = 400) => {
+  const a = alpha + wins;
+  const b = beta + losses;
+  const mean = a / (a + b);
+  const sd = Math.sqrt((a * b) / ((a + b) ** 2 * (a + b + 1)));
+  const logNormalizer = math.lgamma(a + b) - math.lgamma(a) - math.lgamma(b);
+  const pdf = (p) => (p > 0 && p < 1 ? Math.exp(logNormalizer + (a - 1) * Math.log(p) + (b - 1) * Math.log(1 - p)) : 0);
+
+  const low = Math.max(0, mean - 8 * sd);
+  const cellSize = (Math.min(1, mean + 8 * sd) - low) / numPoints;
+  const masses = Array.from({ length: numPoints }, (_, i) => pdf(low + (i + 0.5) * cellSize) * cellSize);
+  // Renormalize so that truncating the tails leaves a proper distribution
+  const total = masses.reduce((sum, mass) => sum + mass, 0);
+  let cumulative = 0;
+  const cdf = masses.map(mass => (cumulative += mass / total));
+
+  const quantile = (q) => {
+    const i = cdf.findIndex(value => value >= q);
+    if (i < 0) return low + numPoints * cellSize;
+    const previous = i > 0 ? cdf[i - 1] : 0;
+    return low + (i + (q - previous) / (cdf[i] - previous)) * cellSize;
+  };
+  const probabilityAbove = (x) => {
+    const position = (x - low) / cellSize;
+    const i = Math.floor(position);
+    if (i < 0) return 1;
+    if (i >= numPoints) return 0;
+    const previous = i > 0 ? cdf[i - 1] : 0;
+    return 1 - previous - (cdf[i] - previous) * (position - i);
+  };
+
+  return { alpha: a, beta: b, mean, sd, pdf, quantile, probabilityAbove };
+};
+
+// Kelly fraction that maximizes the expected log-growth averaged over the posterior on p. The
+// growth rate p·log(1 + fb) + (1 − p)·log(1 − fa) is linear in p, so its posterior average is
+// the growth rate at the posterior mean, and the Bayesian fraction is plain Kelly at that mean.
+// What shrinks it relative to plug-in Kelly at wins / (wins + losses) is the prior's pull on
+// the mean, which fades as bets are observed.
+export const bayesianKellyFraction = (posterior, { winRatio, lossRatio }) => calculateKellyFraction(posterior.mean, winRatio, lossRatio);
+
+// Worker job: play each strategy's fixed fraction for numBets bets when the true win
+// probability is not the estimate. It is trueWinProb when given, and otherwise a fresh draw from
+// the Beta(alpha, beta) posterior in every run. All strategies play the same wins and losses in
+// a run. Returns per strategy the median final capital, the mean and median log-growth per bet,
+// and the shares of runs that ended below the start or lost everything.
+export function* bayesianKellySimulation({ alpha, beta, trueWinProb = null, strategies, winRatio, lossRatio, numBets, numSimulations, seed }) {
+  const rng = createRng(seed);
+  const finals = strategies.map(() => new Float64Array(numSimulations));
+  const wins = new Uint8Array(numBets);
+  const chunk = chunkSize(numSimulations);
+
+  for (let sim = 0; sim < numSimulations; sim++) {
+    const p = trueWinProb ?? randomBeta(alpha, beta, rng);
+    for (let i = 0; i < numBets; i++) wins[i] = rng() < p ? 1 : 0;
+
+    strategies.forEach(({ fraction }, k) => {
+      let capital = 1;
+      for (let i = 0; i < numBets && capital > 0; i++) {
+        const betSize = capital * fraction;
+        capital = Math.max(0, wins[i] ? capital + betSize * winRatio : capital - betSize * lossRatio);
+      }
+      finals[k][sim] = capital;
+    });
+
+    if ((sim + 1) % chunk === 0 && sim + 1 < numSimulations) {
+      yield { progress: (sim + 1) / numSimulations };
+    }
+  }
+
+  return strategies.map(({ name, fraction }, k) => {
+    const sorted = finals[k].sort();
+    const median = quantile(sorted, 0.5);
+    const meanLog = sorted.reduce((sum, capital) => sum + Math.log(capital), 0) / numSimulations;
+    return {
+      name,
+      fraction,
+      median,
+      meanGrowth: meanLog / numBets,
+      medianGrowth: Math.log(median) / numBets,
+      belowStart: sorted.filter(capital => capital < 1).length / numSimulations,
+      ruined: sorted.filter(capital => capital === 0).length / numSimulations
+    };
+  });
+}
@@ -0,0 +1,195 @@
+import * as math from 'mathjs';
+import { chunkSize } from './monteCarlo.js';
+import { createPathStore, storePath } from './paths.js';
+import { createRng, fillNormals } from './random.js';
+import { quantile } from './statistics.js';
+
+// Continuous-time Kelly sizing for a portfolio of correlated assets. Asset prices follow GBMs
+// with annual expected excess returns μ − r and covariance Σ; a portfolio rebalanced
+// continuously to weights w (the rest in cash at r, or borrowed) grows at the log-rate
+//   g(w) = r + wᵀ(μ − r) − ½ wᵀΣw,
+// which the Kelly weights f* = Σ⁻¹(μ − r) maximize.
+
+const numberPattern = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?%?$/i;
+
+const parseNumber = (entry) => (numberPattern.test(entry) ? parseFloat(entry) / (entry.endsWith('%') ? 100 : 1) : NaN);
+
+// Lower-triangular L with LLᵀ = Σ, or null when Σ is not positive definite
+const choleskyFactor = (matrix) => {
+  const n = matrix.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (!(sum > 0)) return null;
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return L;
+};
+
+// Parse one asset per line ("name, excess return" or just the return, as a decimal or a
+// percentage) and a covariance matrix with one row per line. Returns the assets and matrix, or
+// an error when the sizes disagree or the matrix is not a symmetric positive-definite covariance.
+export const parsePortfolio = (assetText, covarianceText) => {
+  const assetLines = assetText.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (assetLines.length === 0) return { error: 'Enter at least one asset' };
+
+  const assets = [];
+  for (const [i, line] of assetLines.entries()) {
+    const fields = line.split(/[,;\t]/).map(field => field.trim()).filter(Boolean);
+    const excessReturn = parseNumber(fields[fields.length - 1] ?? '');
+    if (!Number.isFinite(excessReturn)) return { error: `No excess return on line ${i + 1}: ${line}` };
+    assets.push({ name: fields.length > 1 ? fields.slice(0, -1).join(' ') : `Asset ${i + 1}`, excessReturn });
+  }
+
+  const n = assets.length;
+  const rows = covarianceText.split(/\r?\n/).map(line => line.trim()).filter(Boolean)
+    .map(line => line.split(/[\s,;]+/).filter(Boolean).map(parseNumber));
+  if (rows.length !== n || rows.some(row => row.length !== n)) {
+    return { error: `The covariance matrix must be ${n} × ${n}, one row per asset` };
+  }
+  if (rows.some(row => row.some(value => !Number.isFinite(value)))) return { error: 'The covariance matrix has an entry that is not a number' };
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < i; j++) {
+      if (Math.abs(rows[i][j] - rows[j][i]) > 1e-9 * Math.max(1, Math.abs(rows[i][j]))) {
+        return { error: `The covariance matrix is not symmetric: entries (${i + 1}, ${j + 1}) and (${j + 1}, ${i + 1}) differ` };
+      }
+    }
+  }
+  if (!choleskyFactor(rows)) return { error: 'The covariance matrix is not positive definite' };
+
+  return { assets, covariance: rows };
+};
+
+// Log-growth rate, expected arithmetic return and volatility of the portfolio with `weights`
+export const portfolioGrowth = (weights, excessReturns, covariance, riskFreeRate) => {
+  const expectedExcess = math.dot(weights, excessReturns);
+  const variance = math.dot(weights, math.multiply(covariance, weights));
+  return {
+    growth: riskFreeRate + expectedExcess - 0.5 * variance,
+    expectedReturn: riskFreeRate + expectedExcess,
+    volatility: Math.sqrt(Math.max(variance, 0))
+  };
+};
+
+// Unconstrained Kelly weights f* = Σ⁻¹(μ − r)
+export const kellyWeights = (excessReturns, covariance) => math.flatten(math.lusolve(covariance, excessReturns)).valueOf();
+
+export const grossLeverage = (weights) => weights.reduce((sum, w) => sum + Math.abs(w), 0);
+
+// Euclidean projection onto the ball Σ|wᵢ| ≤ radius: soft-threshold every weight by the θ that
+// brings the gross leverage down to the radius (Duchi et al., 2008)
+const projectOntoLeverage = (weights, radius) => {
+  if (grossLeverage(weights) <= radius) return weights;
+  const sorted = weights.map(Math.abs).sort((a, b) => b - a);
+  let cumulative = 0;
+  let theta = 0;
+  for (let k = 0; k < sorted.length; k++) {
+    cumulative += sorted[k];
+    const candidate = (cumulative - radius) / (k + 1);
+    if (sorted[k] > candidate) theta = candidate;
+  }
+  return weights.map(w => Math.sign(w) * Math.max(Math.abs(w) - theta, 0));
+};
+
+// Kelly weights under optional constraints: no short positions, and a cap on gross leverage
+// Σ|wᵢ|. The growth rate is a concave quadratic, so accelerated projected gradient ascent
+// (FISTA) converges to the constrained optimum. The trace of Σ bounds its largest eigenvalue,
+// which keeps the fixed step size 1 / tr Σ stable.
+export const constrainedKellyWeights = (excessReturns, covariance, { longOnly, maxLeverage = Infinity }) => {
+  const project = (weights) => projectOntoLeverage(longOnly ? weights.map(w => Math.max(w, 0)) : weights, maxLeverage);
+  const step = 1 / math.trace(covariance);
+  const maxIterations = 20000;
+
+  let weights = project(excessReturns.map(() => 0));
+  let momentum = weights;
+  let t = 1;
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const gradient = math.subtract(excessReturns, math.multiply(covariance, momentum));
+    const next = project(math.add(momentum, math.multiply(step, gradient)));
+    const change = Math.max(...next.map((w, i) => Math.abs(w - weights[i])));
+    const tNext = (1 + Math.sqrt(1 + 4 * t * t)) / 2;
+    momentum = next.map((w, i) => w + ((t - 1) / tNext) * (w - weights[i]));
+    weights = next;
+    t = tNext;
+    if (change < 1e-12) break;
+  }
+  return weights;
+};
+
+// Worker job: simulate the wealth of several continuously rebalanced portfolios on the same
+// correlated asset shocks, monthly over `years` years. Between observations a portfolio's
+// log-wealth moves by g(w)·dt plus a normal shock with variance wᵀΣw·dt, so the monthly grid
+// samples the continuous-time wealth exactly. Returns the median and 10th–90th percentile band
+// of wealth (per unit invested) over time, and each portfolio's terminal wealth statistics.
+export function* kellyPortfolioSimulation({ strategies, excessReturns, covariance, riskFreeRate, years, numPaths, seed }) {
+  const stepsPerYear = 12;
+  const steps = Math.round(years * stepsPerYear);
+  const dt = 1 / stepsPerYear;
+  const L = choleskyFactor(covariance);
+  const rng = createRng(seed);
+  const z = new Float64Array(excessReturns.length);
+
+  // A portfolio's shock wᵀLz only needs Lᵀw, so work with that instead of the asset shocks
+  const runs = strategies.map(({ weights }) => ({
+    drift: portfolioGrowth(weights, excessReturns, covariance, riskFreeRate).growth * dt,
+    loadings: weights.map((_, k) => weights.reduce((sum, w, i) => sum + w * L[i][k], 0)),
+    store: createPathStore(steps, numPaths),
+    logWealth: new Float64Array(steps + 1),
+    terminal: new Float64Array(numPaths)
+  }));
+  const chunk = chunkSize(numPaths);
+
+  for (let p = 0; p < numPaths; p++) {
+    runs.forEach(run => { run.logWealth[0] = 0; });
+    for (let t = 1; t <= steps; t++) {
+      fillNormals(rng, z);
+      runs.forEach(run => {
+        let shock = 0;
+        for (let k = 0; k < z.length; k++) shock += run.loadings[k] * z[k];
+        run.logWealth[t] = run.logWealth[t - 1] + run.drift + Math.sqrt(dt) * shock;
+      });
+    }
+    runs.forEach(run => {
+      storePath(run.store, p, run.logWealth);
+      run.terminal[p] = run.logWealth[steps];
+    });
+
+    if ((p + 1) % chunk === 0 && p + 1 < numPaths) {
+      yield { progress: (p + 1) / numPaths };
+    }
+  }
+
+  // Quantiles of log-wealth are quantiles of wealth, so sort the stored log-wealth columns
+  const sortedColumns = runs.map(run => run.store.map(column => Float64Array.from(column).sort()));
+  const wealthPaths = Array.from({ length: steps + 1 }, (_, t) => {
+    const row = { time: t * dt };
+    strategies.forEach(({ name }, s) => {
+      const sorted = sortedColumns[s][t];
+      row[name] = Math.exp(quantile(sorted, 0.5));
+      row[`${name} band`] = [Math.exp(quantile(sorted, 0.1)), Math.exp(quantile(sorted, 0.9))];
+    });
+    return row;
+  });
+
+  const summary = strategies.map(({ name }, s) => {
+    const sorted = Float64Array.from(runs[s].terminal).sort();
+    const meanLog = sorted.reduce((sum, value) => sum + value, 0) / numPaths;
+    return {
+      name,
+      median: Math.exp(quantile(sorted, 0.5)),
+      mean: sorted.reduce((sum, value) => sum + Math.exp(value), 0) / numPaths,
+      p10: Math.exp(quantile(sorted, 0.1)),
+      realizedGrowth: meanLog / years,
+      probabilityOfLoss: sorted.filter(value => value < 0).length / numPaths
+    };
+  });
+
+  return { wealthPaths, summary };
+}
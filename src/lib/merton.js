@@ -0,0 +1,320 @@
+import { blackScholesPrice, impliedVolatility, inverseNormalCDF, normalCDF } from './blackScholes.js';
+import { jumpLaws } from './jumpLaws.js';
+import { chunkSize, createEstimator } from './monteCarlo.js';
+import { createPathStore, percentileBands, storePath } from './paths.js';
+import { createRng, fillNormals, randomPoisson } from './random.js';
+import { createMoments, histogram } from './statistics.js';
+
+// Jump events kept for the jump chart; the jump statistics still cover every path
+const maxJumpEvents = 2000;
+
+// Jump inputs of one path, reused from path to path: the jump count of every step and one
+// uniform per jump for its size, stored back to back in step order
+export const createJumpDraws = (numSteps) => ({ numJumps: new Int32Array(numSteps), uniforms: [] });
+
+// Fill `draws` with fresh jumps over steps of length dt. Counts and sizes come from their own
+// streams, so changing λ alters the jumps without shifting the diffusion shocks.
+export const drawJumps = (draws, lambda, dt, streams) => {
+  const { numJumps, uniforms } = draws;
+  const noJump = Math.exp(-lambda * dt);
+  uniforms.length = 0;
+  for (let i = 0; i < numJumps.length; i++) {
+    numJumps[i] = randomPoisson(lambda * dt, streams.jumpCounts, noJump);
+    for (let j = 0; j < numJumps[i]; j++) uniforms.push(streams.jumpSizes());
+  }
+  return draws;
+};
+
+// Antithetic partner, in place: same jump times, mirrored sizes
+export const mirrorJumps = (draws) => {
+  const { uniforms } = draws;
+  for (let j = 0; j < uniforms.length; j++) uniforms[j] = 1 - uniforms[j];
+  return draws;
+};
+
+// Total log-jump of every step under the parameters' jump law, written into `out`
+export const fillJumpSizes = (params, draws, out) => {
+  const law = jumpLaws[params.jumpLaw];
+  const { numJumps, uniforms } = draws;
+  let next = 0;
+  for (let i = 0; i < numJumps.length; i++) {
+    let size = 0;
+    for (let j = 0; j < numJumps[i]; j++) size += law.quantile(params, uniforms[next++]);
+    out[i] = size;
+  }
+  return out;
+};
+
+// Simulate one path into `prices` (numSteps + 1 entries) from the standard normal shocks `z`
+// and the log-jump of every step. Returns the price of the Black-Scholes control, the same
+// diffusion without jumps.
+export const simulateJumpDiffusionPath = (params, z, jumpSizes, prices) => {
+  const { S0, r, sigma, lambda, T, numSteps } = params;
+  const dt = T / numSteps;
+  const law = jumpLaws[params.jumpLaw];
+  const drift = (r - lambda * law.compensator(params) - 0.5 * sigma * sigma) * dt;
+  const volDt = sigma * Math.sqrt(dt);
+  let logPrice = Math.log(S0);
+  let sumZ = 0;
+
+  prices[0] = S0;
+  for (let i = 0; i < numSteps; i++) {
+    sumZ += z[i];
+    logPrice += drift + volDt * z[i] + jumpSizes[i];
+    prices[i + 1] = Math.exp(logPrice);
+  }
+
+  return S0 * Math.exp((r - 0.5 * sigma * sigma) * T + volDt * sumZ);
+};
+
+// Merton (1976) closed form: conditional on n jumps the log-price is Gaussian, so the price is a
+// Poisson-weighted sum of Black-Scholes prices with volatility σ_n² = σ² + nσⱼ²/T and rate
+// r_n = r - λk + n ln(1 + k)/T, weighted by the jump count under λ' = λ(1 + k). The sum stops
+// once past the Poisson mode and a term adds less than `tolerance`. Returns the price and
+// every partial sum, for the convergence chart. Only for jump laws with `normalJumps`.
+export const mertonSeriesPrice = (params, type = 'call', tolerance = 1e-10, maxTerms = 200) => {
+  const { S0, K, r, sigma, lambda, T } = params;
+  const { muJ, sigmaJ } = jumpLaws[params.jumpLaw].normalJumps(params);
+  const k = Math.exp(muJ + 0.5 * sigmaJ * sigmaJ) - 1;
+  const intensity = lambda * (1 + k) * T;
+  const terms = [];
+  let weight = Math.exp(-intensity);
+  let price = 0;
+
+  for (let n = 0; n < maxTerms; n++) {
+    if (n > 0) weight *= intensity / n;
+    const volN = Math.sqrt(sigma * sigma + n * sigmaJ * sigmaJ / T);
+    const rateN = r - lambda * k + n * Math.log(1 + k) / T;
+    const term = weight * blackScholesPrice(S0, K, rateN, volN, T, type);
+    price += term;
+    terms.push({ n, weight, term, price });
+
+    if (n > intensity && term < tolerance) break;
+  }
+
+  return { price, terms };
+};
+
+// Black-Scholes implied vols of the Merton model at maturity T for strikes K = m·S0, inverting the
+// out-of-the-money option at each strike (puts below spot, calls above). NaN where the price is
+// too small to invert.
+export const mertonSmile = (params, moneyness, T) => moneyness.map(m => {
+  const K = m * params.S0;
+  const type = K < params.S0 ? 'put' : 'call';
+  const { price } = mertonSeriesPrice({ ...params, K, T }, type);
+  return impliedVolatility(price, params.S0, K, params.r, T, type);
+});
+
+// Moments of the log-return ln(S_T/S0) under the pricing measure, for any jump law. The jumps
+// form a compound Poisson sum, whose nth cumulant is λT·E[Yⁿ]. The diffusion only adds to the
+// mean and variance, so the skewness and excess kurtosis come from the jumps alone.
+export const logReturnMoments = (params) => {
+  const { r, sigma, lambda, T } = params;
+  const law = jumpLaws[params.jumpLaw];
+  const jumpCumulant = (n) => lambda * T * law.rawMoment(params, n);
+  const variance = sigma * sigma * T + jumpCumulant(2);
+
+  return {
+    mean: (r - lambda * law.compensator(params) - 0.5 * sigma * sigma) * T + jumpCumulant(1),
+    std: Math.sqrt(variance),
+    skewness: jumpCumulant(3) / variance ** 1.5,
+    excessKurtosis: jumpCumulant(4) / (variance * variance)
+  };
+};
+
+// Exact CDF of ln(S_T/S0) for normal log-jumps. Given n jumps the log-return is normal with mean
+// (r − λk − σ²/2)T + nμⱼ and variance σ²T + nσⱼ², and n is Poisson(λT), so the law is a Poisson
+// mixture of normals. Terms are kept until the Poisson mass left out is below 1e-12.
+export const mertonLogReturnCDF = (params) => {
+  const { r, sigma, lambda, T } = params;
+  const { muJ, sigmaJ } = jumpLaws[params.jumpLaw].normalJumps(params);
+  const drift = (r - lambda * (Math.exp(muJ + 0.5 * sigmaJ * sigmaJ) - 1) - 0.5 * sigma * sigma) * T;
+  const components = [];
+  let weight = Math.exp(-lambda * T);
+  let mass = 0;
+
+  for (let n = 0; n < 200 && mass < 1 - 1e-12; n++) {
+    if (n > 0) weight *= lambda * T / n;
+    mass += weight;
+    components.push({ weight, mean: drift + n * muJ, std: Math.sqrt(sigma * sigma * T + n * sigmaJ * sigmaJ) });
+  }
+
+  return (x) => components.reduce((sum, { weight, mean, std }) => sum + weight * normalCDF((x - mean) / std), 0);
+};
+
+// Worker job: Monte Carlo run behind the Merton simulator. Paths are simulated into reused
+// typed arrays and summarized as they go: only the first 10 become chart points, the fan store
+// keeps the first maxStoredPaths, and the option estimates and moments are streamed. Yields
+// progress with a running plain call estimate; returns the sample paths, price percentile
+// bands, the first jump events, the terminal-price histogram, log-return moments and QQ
+// points, and the option estimates.
+export function* mertonSimulation({ parameters, varianceReduction, seed }) {
+  const { numPaths, numSteps, S0, K, r, sigma, lambda, T } = parameters;
+  const dt = T / numSteps;
+  const streams = {
+    diffusion: createRng(seed, 0),
+    jumpCounts: createRng(seed, 1),
+    jumpSizes: createRng(seed, 2)
+  };
+  const discount = Math.exp(-r * T);
+  const chunk = chunkSize(numPaths);
+  const z = new Float64Array(numSteps);
+  const jumpDraws = createJumpDraws(numSteps);
+  const jumpSizes = new Float64Array(numSteps);
+  const prices = new Float64Array(numSteps + 1);
+  const priceStore = createPathStore(numSteps, numPaths);
+  const finalPrices = new Float64Array(numPaths);
+  const finalPriceMoments = createMoments();
+  const logReturnStats = createMoments();
+  const call = createEstimator(varianceReduction);
+  const put = createEstimator(varianceReduction);
+  const samplePaths = [];
+  const jumpEvents = [];
+  let totalJumps = 0;
+  let totalJumpSize = 0;
+
+  for (let i = 0; i < numPaths; i++) {
+    // Antithetic partner: same jump times, mirrored diffusion and jump-size shocks
+    if (varianceReduction.antithetic && i % 2 === 1) {
+      for (let t = 0; t < numSteps; t++) z[t] = -z[t];
+      mirrorJumps(jumpDraws);
+    } else {
+      fillNormals(streams.diffusion, z);
+      drawJumps(jumpDraws, lambda, dt, streams);
+    }
+    fillJumpSizes(parameters, jumpDraws, jumpSizes);
+    const controlPrice = simulateJumpDiffusionPath(parameters, z, jumpSizes, prices);
+    const finalPrice = prices[numSteps];
+
+    if (i < 10) {
+      samplePaths.push(Array.from(prices, (price, t) => ({
+        time: t * dt,
+        price,
+        jump: t > 0 && jumpDraws.numJumps[t - 1] > 0,
+        jumpSize: t > 0 ? jumpSizes[t - 1] : 0,
+        diffusion: t > 0 ? sigma * Math.sqrt(dt) * z[t - 1] : 0,
+        pathId: i
+      })));
+    }
+    storePath(priceStore, i, prices);
+
+    for (let t = 0; t < numSteps; t++) {
+      if (jumpDraws.numJumps[t] === 0) continue;
+      totalJumps += jumpDraws.numJumps[t];
+      totalJumpSize += jumpSizes[t];
+      if (jumpEvents.length < maxJumpEvents) {
+        jumpEvents.push({ time: (t + 1) * dt, price: prices[t + 1], jumpSize: jumpSizes[t], numJumps: jumpDraws.numJumps[t], pathId: i });
+      }
+    }
+
+    finalPrices[i] = finalPrice;
+    finalPriceMoments.add(finalPrice);
+    logReturnStats.add(Math.log(finalPrice / S0));
+    call.add(discount * Math.max(finalPrice - K, 0), discount * Math.max(controlPrice - K, 0));
+    put.add(discount * Math.max(K - finalPrice, 0), discount * Math.max(K - controlPrice, 0));
+
+    if ((i + 1) % chunk === 0 && i + 1 < numPaths) {
+      yield { progress: (i + 1) / numPaths, partial: call.running() };
+    }
+  }
+
+  // Closed-form results, for the jump laws that have them
+  const hasClosedForm = Boolean(jumpLaws[parameters.jumpLaw].normalJumps);
+  const mertonCDF = hasClosedForm && mertonLogReturnCDF(parameters);
+  const gbmCDF = (x) => normalCDF((x - (r - 0.5 * parameters.sigma * parameters.sigma) * T) / (parameters.sigma * Math.sqrt(T)));
+  const logReturnAt = (price) => Math.log(price / parameters.S0);
+
+  // Create price distribution in one pass, with the exact Merton and GBM probability of each bin
+  const { start, binSize, counts } = histogram(finalPrices, 20);
+  const distribution = counts.map((count, i) => {
+    const binStart = start + i * binSize;
+    const binEnd = binStart + binSize;
+    return {
+      price: binStart,
+      frequency: count / numPaths,
+      count,
+      merton: hasClosedForm ? mertonCDF(logReturnAt(binEnd)) - mertonCDF(logReturnAt(binStart)) : null,
+      gbm: gbmCDF(logReturnAt(binEnd)) - gbmCDF(logReturnAt(binStart))
+    };
+  });
+
+  // Moments of the terminal log-returns next to the model's own and GBM's, which is normal
+  const { mean: sampleMean, std: sampleStd, skewness, excessKurtosis } = logReturnStats.summary();
+  const theoretical = logReturnMoments(parameters);
+  const returnMoments = {
+    simulated: { mean: sampleMean, std: sampleStd, skewness, excessKurtosis },
+    theoretical,
+    gbm: {
+      mean: (r - 0.5 * sigma * sigma) * T,
+      std: sigma * Math.sqrt(T),
+      skewness: 0,
+      excessKurtosis: 0
+    }
+  };
+
+  // QQ plot against the normal: standardized sample quantiles and, with a closed form, the exact
+  // Merton quantiles found by bisection on the mixture CDF
+  const mertonQuantile = (p) => {
+    let low = theoretical.mean - 20 * theoretical.std;
+    let high = theoretical.mean + 20 * theoretical.std;
+    for (let iter = 0; iter < 60; iter++) {
+      const mid = 0.5 * (low + high);
+      if (mertonCDF(mid) < p) low = mid; else high = mid;
+    }
+    return 0.5 * (low + high);
+  };
+  const logReturns = Float64Array.from(finalPrices, price => logReturnAt(price)).sort();
+  const numQuantiles = Math.min(numPaths, 100);
+  const qqData = Array.from({ length: numQuantiles }, (_, i) => {
+    const p = (i + 0.5) / numQuantiles;
+    return {
+      normal: inverseNormalCDF(p),
+      sample: (logReturns[Math.floor(p * numPaths)] - sampleMean) / sampleStd,
+      merton: hasClosedForm ? (mertonQuantile(p) - theoretical.mean) / theoretical.std : null
+    };
+  });
+
+  // Black-Scholes comparison (without jumps), also the mean of the control variate
+  const bsCallPrice = blackScholesPrice(parameters.S0, K, r, parameters.sigma, T, 'call');
+  const bsPutPrice = blackScholesPrice(parameters.S0, K, r, parameters.sigma, T, 'put');
+
+  // Closed-form prices
+  const mertonCall = hasClosedForm && mertonSeriesPrice(parameters, 'call');
+  const mertonPut = hasClosedForm && mertonSeriesPrice(parameters, 'put');
+
+  const callEstimate = call.estimate(bsCallPrice);
+  const putEstimate = put.estimate(bsPutPrice);
+  const { mean: avgFinalPrice, std: stdFinalPrice } = finalPriceMoments.summary();
+
+  return {
+    simulationData: samplePaths,
+    fanData: percentileBands(priceStore, samplePaths[0].map(point => point.time)),
+    jumpData: jumpEvents,
+    distributionData: distribution,
+    returnMoments,
+    qqData,
+    optionResults: {
+      callPrice: callEstimate.price,
+      putPrice: putEstimate.price,
+      callEstimate,
+      putEstimate,
+      bsCallPrice,
+      bsPutPrice,
+      mertonCallPrice: hasClosedForm ? mertonCall.price : null,
+      mertonPutPrice: hasClosedForm ? mertonPut.price : null,
+      seriesConvergence: hasClosedForm && Array.from(
+        { length: Math.max(mertonCall.terms.length, mertonPut.terms.length) },
+        (_, i) => ({
+          terms: i + 1,
+          call: mertonCall.terms[Math.min(i, mertonCall.terms.length - 1)].price,
+          put: mertonPut.terms[Math.min(i, mertonPut.terms.length - 1)].price
+        })
+      ),
+      avgFinalPrice,
+      stdFinalPrice,
+      totalJumps,
+      avgJumpSize: totalJumps > 0 ? totalJumpSize / totalJumps : 0,
+      jumpFrequency: totalJumps / (numPaths * T)
+    }
+  };
+}
@@ -0,0 +1,237 @@
+import { createRng, randomNormal, randomPoisson } from './random.js';
+
+const millisecondsPerYear = 365.25 * 24 * 60 * 60 * 1000;
+
+// Parse a CSV of dated closing prices. A header row is optional: when present the date column is
+// the one named like "date" and the price column prefers "adj close", then "close" or "price";
+// without one the first two columns are taken as date and close. Rows with a missing price
+// (such as "null") are skipped and counted. Returns prices in date order, one per date.
+export const parsePriceHistory = (text) => {
+  const rows = text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => line.split(/[,;\t]/).map(field => field.trim().replace(/^"|"$/g, '')));
+  if (rows.length === 0) return { error: 'Paste or load a CSV of dates and closing prices' };
+
+  let dateColumn = 0;
+  let closeColumn = 1;
+  const header = rows[0];
+  const hasHeader = !header.some(field => field !== '' && Number.isFinite(Number(field)));
+  if (hasHeader) {
+    const find = (pattern) => header.findIndex(name => pattern.test(name));
+    dateColumn = Math.max(find(/date|time/i), 0);
+    closeColumn = [find(/adj\.?\s*close/i), find(/close|price|last/i), header.length - 1]
+      .find(index => index >= 0 && index !== dateColumn);
+    if (closeColumn === undefined) return { error: 'Could not find a closing-price column' };
+  }
+
+  let skipped = 0;
+  const byDate = new Map();
+  rows.slice(hasHeader ? 1 : 0).forEach(fields => {
+    const time = Date.parse(fields[dateColumn]);
+    const close = Number(fields[closeColumn]);
+    if (!Number.isFinite(time) || !Number.isFinite(close) || close <= 0) {
+      skipped++;
+      return;
+    }
+    byDate.set(time, { date: fields[dateColumn], time, close });
+  });
+
+  const prices = [...byDate.values()].sort((a, b) => a.time - b.time);
+  if (prices.length < 30) return { error: `Need at least 30 dated prices, found ${prices.length}` };
+
+  return { prices, skipped };
+};
+
+// Minimize f from x0 with the Nelder-Mead simplex, using `steps` as the initial edge lengths.
+// Yields the share of maxIterations used and the best value so far every 25 iterations.
+function* nelderMead(f, x0, steps, maxIterations = 2000, tolerance = 1e-9) {
+  const n = x0.length;
+  let simplex = [x0, ...steps.map((step, i) => x0.map((x, j) => (i === j ? x + step : x)))]
+    .map(x => ({ x, value: f(x) }));
+  const combine = (a, b, t) => a.map((value, i) => value + t * (b[i] - value));
+
+  let iterations = 0;
+  for (; iterations < maxIterations; iterations++) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[n];
+    if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) break;
+
+    const centroid = x0.map((_, j) => simplex.slice(0, n).reduce((sum, { x }) => sum + x[j], 0) / n);
+    const evaluate = (t) => {
+      const x = combine(centroid, worst.x, t);
+      return { x, value: f(x) };
+    };
+
+    const reflected = evaluate(-1);
+    if (reflected.value < best.value) {
+      const expanded = evaluate(-2);
+      simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+    } else if (reflected.value < simplex[n - 1].value) {
+      simplex[n] = reflected;
+    } else {
+      const contracted = reflected.value < worst.value ? evaluate(-0.5) : evaluate(0.5);
+      if (contracted.value < Math.min(worst.value, reflected.value)) {
+        simplex[n] = contracted;
+      } else {
+        simplex = simplex.map((vertex, i) => (i === 0 ? vertex : { x: combine(best.x, vertex.x, 0.5), value: f(combine(best.x, vertex.x, 0.5)) }));
+      }
+    }
+
+    if ((iterations + 1) % 25 === 0) yield { progress: (iterations + 1) / maxIterations, value: best.value };
+  }
+
+  simplex.sort((a, b) => a.value - b.value);
+  return { x: simplex[0].x, value: simplex[0].value, iterations, converged: iterations < maxIterations };
+}
+
+const logNormalDensity = (x, mean, variance) => -0.5 * (Math.log(2 * Math.PI * variance) + (x - mean) * (x - mean) / variance);
+
+// Compensator k = E[e^Y] − 1 of normal log-jumps. A drift of α − λk in the diffusion makes the
+// expected return, jumps included, equal to α.
+const jumpCompensator = (muJ, sigmaJ) => Math.exp(muJ + 0.5 * sigmaJ * sigmaJ) - 1;
+
+// Log of each term of the Poisson mixture for one log-return: P(n jumps) · N(x; mean_n, var_n),
+// enough terms to cover the Poisson mass
+const mixtureTerms = (x, { drift, sigma, lambda, muJ, sigmaJ }, dt) => {
+  const rate = lambda * dt;
+  const maxJumps = Math.ceil(rate + 8 * Math.sqrt(rate) + 8);
+  const diffusionMean = (drift - lambda * jumpCompensator(muJ, sigmaJ) - 0.5 * sigma * sigma) * dt;
+  const terms = [];
+  let logPoisson = -rate;
+
+  for (let n = 0; n <= maxJumps; n++) {
+    if (n > 0) logPoisson += Math.log(rate / n);
+    terms.push(logPoisson + logNormalDensity(x, diffusionMean + n * muJ, sigma * sigma * dt + n * sigmaJ * sigmaJ));
+  }
+
+  return terms;
+};
+
+const logSumExp = (terms) => {
+  const peak = Math.max(...terms);
+  return peak + Math.log(terms.reduce((sum, term) => sum + Math.exp(term - peak), 0));
+};
+
+// Log-likelihood of daily log-returns under Merton's model with normal log-jumps. `drift` is the
+// real-world expected return α, jumps included, which the fit needs but the risk-neutral
+// simulator does not.
+export const mertonLogLikelihood = (logReturns, params, dt) => logReturns.reduce(
+  (sum, x) => sum + logSumExp(mixtureTerms(x, params, dt)), 0
+);
+
+// Worker job: maximum-likelihood fit of σ, λ, μⱼ and σⱼ (plus the drift) to a price history from
+// parsePriceHistory. dt is the average spacing of the observations in years, so daily, weekly or
+// gappy data all annualize correctly. The search starts from a robust split of the returns:
+// those beyond three MAD-based standard deviations seed the jump parameters, the rest σ.
+// Each day also gets the posterior probability P(n ≥ 1 | return) that it contained a jump.
+export function* fitMertonJumps({ prices }) {
+  const logReturns = prices.slice(1).map((p, i) => Math.log(p.close / prices[i].close));
+  const numReturns = logReturns.length;
+  const years = (prices[numReturns].time - prices[0].time) / millisecondsPerYear;
+  const dt = years / numReturns;
+
+  const mean = logReturns.reduce((a, b) => a + b, 0) / numReturns;
+  const variance = logReturns.reduce((sum, x) => sum + (x - mean) * (x - mean), 0) / numReturns;
+  const gbmSigma = Math.sqrt(variance / dt);
+  const gbm = {
+    drift: mean / dt + 0.5 * gbmSigma * gbmSigma,
+    sigma: gbmSigma,
+    logLikelihood: logReturns.reduce((sum, x) => sum + logNormalDensity(x, mean, variance), 0)
+  };
+
+  const sorted = [...logReturns].sort((a, b) => a - b);
+  const median = sorted[Math.floor(numReturns / 2)];
+  const deviations = logReturns.map(x => Math.abs(x - median)).sort((a, b) => a - b);
+  const robustStd = Math.max(1.4826 * deviations[Math.floor(numReturns / 2)], 1e-6);
+  const outliers = logReturns.filter(x => Math.abs(x - median) > 3 * robustStd);
+  const outlierMean = outliers.length > 0 ? outliers.reduce((a, b) => a + b, 0) / outliers.length : 0;
+  const outlierStd = outliers.length > 1
+    ? Math.sqrt(outliers.reduce((sum, x) => sum + (x - outlierMean) * (x - outlierMean), 0) / outliers.length)
+    : 3 * robustStd;
+  const start = {
+    drift: gbm.drift,
+    sigma: robustStd / Math.sqrt(dt),
+    lambda: Math.max(outliers.length, 1) / years,
+    muJ: outlierMean,
+    sigmaJ: Math.max(outlierStd, robustStd)
+  };
+
+  // Search over (α, ln σ, ln λ, μⱼ, ln σⱼ) so the positive parameters stay positive
+  const toParams = ([drift, logSigma, logLambda, muJ, logSigmaJ]) => ({
+    drift, sigma: Math.exp(logSigma), lambda: Math.exp(logLambda), muJ, sigmaJ: Math.exp(logSigmaJ)
+  });
+  const fromParams = ({ drift, sigma, lambda, muJ, sigmaJ }) => [drift, Math.log(sigma), Math.log(lambda), muJ, Math.log(sigmaJ)];
+  const objective = (x) => {
+    const value = -mertonLogLikelihood(logReturns, toParams(x), dt);
+    return Number.isFinite(value) ? value : Infinity;
+  };
+
+  // Restart from the best point until a pass stops improving, since one simplex can stall. Each
+  // of the at most four passes takes a quarter of the progress bar.
+  const maxPasses = 4;
+  function* search(x0, steps, pass) {
+    const simplex = nelderMead(objective, x0, steps);
+    let step = simplex.next();
+    for (; !step.done; step = simplex.next()) {
+      yield { progress: (pass + step.value.progress) / maxPasses, partial: { logLikelihood: -step.value.value } };
+    }
+    return step.value;
+  }
+
+  let result = yield* search(fromParams(start), [0.1, 0.2, 0.5, 0.02, 0.3], 0);
+  for (let pass = 1; pass < maxPasses; pass++) {
+    const next = yield* search(result.x, [0.05, 0.1, 0.3, 0.01, 0.2], pass);
+    const improved = result.value - next.value > 1e-6;
+    result = next.value < result.value ? { ...next, iterations: result.iterations + next.iterations } : result;
+    if (!improved) break;
+  }
+
+  const params = toParams(result.x);
+  const days = prices.slice(1).map((p, i) => {
+    const terms = mixtureTerms(logReturns[i], params, dt);
+    return { ...p, logReturn: logReturns[i], jumpProbability: 1 - Math.exp(terms[0] - logSumExp(terms)) };
+  });
+
+  return {
+    dt,
+    years,
+    numReturns,
+    params,
+    logLikelihood: -result.value,
+    gbm,
+    days,
+    converged: result.converged,
+    iterations: result.iterations
+  };
+}
+
+// A synthetic price history from Merton's model on weekdays starting 3 Jan 2022, for trying the
+// fit on data whose true parameters are known. Diffusion, jump counts and jump sizes use the
+// simulator's streams 0, 1 and 2.
+export const simulatePriceHistory = ({ S0, drift, sigma, lambda, muJ, sigmaJ }, numDays, seed) => {
+  const dt = 7 / (5 * 365.25);
+  const diffusion = createRng(seed, 0);
+  const jumpCounts = createRng(seed, 1);
+  const jumpSizes = createRng(seed, 2);
+  const prices = [];
+  const date = new Date(Date.UTC(2022, 0, 3));
+  let close = S0;
+
+  while (prices.length < numDays) {
+    const day = date.getUTCDay();
+    if (day !== 0 && day !== 6) {
+      if (prices.length > 0) {
+        const numJumps = randomPoisson(lambda * dt, jumpCounts);
+        let logReturn = (drift - lambda * jumpCompensator(muJ, sigmaJ) - 0.5 * sigma * sigma) * dt + sigma * Math.sqrt(dt) * randomNormal(diffusion);
+        for (let j = 0; j < numJumps; j++) logReturn += muJ + sigmaJ * randomNormal(jumpSizes);
+        close *= Math.exp(logReturn);
+      }
+      prices.push({ date: date.toISOString().slice(0, 10), close });
+    }
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+
+  return prices;
+};
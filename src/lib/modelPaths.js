@@ -0,0 +1,49 @@
+import { createHestonPath, simulateHestonPath } from './heston.js';
+import { createJumpDraws, drawJumps, fillJumpSizes, simulateJumpDiffusionPath } from './merton.js';
+import { createRng, fillNormals } from './random.js';
+
+// One path generator per model, for panels that work with whole paths from any model rather
+// than one model's own simulation job. Paths run on a grid of `steps` steps over T years with
+// drift r, from S0; the parameters carry each model's own inputs besides those.
+
+export const tradingDaysPerYear = 252;
+
+// Return a function that simulates the next path into reused buffers. It returns the prices
+// (steps + 1 entries) and, for the jump models, the number of jumps and the total log-jump of
+// every step; `numJumps` is null for Heston.
+export const createPathSimulator = (model, params, seed) => {
+  const { steps } = params;
+
+  if (model === 'heston') {
+    const rng = createRng(seed, 0);
+    const normals = new Float64Array(2 * steps);
+    const path = createHestonPath(steps);
+    const result = { prices: path.prices, numJumps: null, jumpSizes: null };
+    return () => {
+      fillNormals(rng, normals);
+      // Andersen's QE scheme, the most accurate of the variance schemes
+      simulateHestonPath(params, 'qe', normals, path);
+      return result;
+    };
+  }
+
+  // GBM is the jump diffusion without jumps
+  const dynamics = model === 'gbm'
+    ? { ...params, lambda: 0, muJ: 0, sigmaJ: 0, jumpLaw: 'lognormal', numSteps: steps }
+    : { ...params, numSteps: steps };
+  const streams = { diffusion: createRng(seed, 0), jumpCounts: createRng(seed, 1), jumpSizes: createRng(seed, 2) };
+  const z = new Float64Array(steps);
+  const jumpDraws = createJumpDraws(steps);
+  const jumpSizes = new Float64Array(steps);
+  const prices = new Float64Array(steps + 1);
+  const result = { prices, numJumps: jumpDraws.numJumps, jumpSizes };
+  return () => {
+    fillNormals(streams.diffusion, z);
+    if (dynamics.lambda > 0) {
+      drawJumps(jumpDraws, dynamics.lambda, params.T / steps, streams);
+      fillJumpSizes(dynamics, jumpDraws, jumpSizes);
+    }
+    simulateJumpDiffusionPath(dynamics, z, jumpSizes, prices);
+    return result;
+  };
+};
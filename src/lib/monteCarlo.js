@@ -0,0 +1,88 @@
+import { createMoments } from './statistics.js';
+
+// Streaming Monte Carlo estimate with standard error and 95% confidence interval. Each path adds
+// its discounted payoff X and control payoff Y. With antithetic sampling, adjacent paths are
+// averaged into one sample (an unpaired last path is left out); with the control variate, the
+// coefficient b = Cov(X, Y) / Var(Y) is estimated from the same sample, using Welford updates
+// of the means and co-moments so nothing is stored per path. The variance-reduction factor
+// compares against plain sampling with the same number of paths.
+export const createEstimator = ({ antithetic, controlVariate }) => {
+  const plain = createMoments();
+  let n = 0;
+  let meanX = 0;
+  let meanY = 0;
+  let Cxx = 0;
+  let Cyy = 0;
+  let Cxy = 0;
+  let pendingX = 0;
+  let pendingY = 0;
+  let isPending = false;
+
+  const addSample = (x, y) => {
+    n++;
+    const dx = x - meanX;
+    const dy = y - meanY;
+    meanX += dx / n;
+    meanY += dy / n;
+    Cxx += dx * (x - meanX);
+    Cyy += dy * (y - meanY);
+    Cxy += dx * (y - meanY);
+  };
+
+  return {
+    add(payoff, control) {
+      plain.add(payoff);
+      if (!antithetic) {
+        addSample(payoff, control);
+      } else if (!isPending) {
+        pendingX = payoff;
+        pendingY = control;
+        isPending = true;
+      } else {
+        addSample(0.5 * (pendingX + payoff), 0.5 * (pendingY + control));
+        isPending = false;
+      }
+    },
+
+    // Plain mean and standard error so far, for progress updates
+    running() {
+      const { count, mean, standardError } = plain.summary();
+      return { pathsDone: count, price: mean, standardError };
+    },
+
+    // Final estimate, given the known mean of the control
+    estimate(controlMean) {
+      const varX = n > 1 ? Cxx / (n - 1) : 0;
+      const varY = n > 1 ? Cyy / (n - 1) : 0;
+      const covXY = n > 1 ? Cxy / (n - 1) : 0;
+      const controlCoefficient = controlVariate && varY > 0 ? covXY / varY : 0;
+      const price = meanX - controlCoefficient * (meanY - controlMean);
+      const sampleVariance = varX - 2 * controlCoefficient * covXY + controlCoefficient * controlCoefficient * varY;
+      const standardError = n > 0 ? Math.sqrt(Math.max(sampleVariance, 0) / n) : 0;
+      const { sampleVariance: plainSampleVariance, count } = plain.summary();
+      const plainVariance = plainSampleVariance / count;
+
+      return {
+        price,
+        standardError,
+        ciLow: price - 1.96 * standardError,
+        ciHigh: price + 1.96 * standardError,
+        varianceReductionFactor: standardError > 0 ? plainVariance / (standardError * standardError) : 1,
+        controlCoefficient
+      };
+    }
+  };
+};
+
+// Re-map the progress reported by a nested job generator onto [start, end]
+export function* withProgressRange(generator, start, end) {
+  let step = generator.next();
+  while (!step.done) {
+    yield { ...step.value, progress: start + (end - start) * step.value.progress };
+    step = generator.next();
+  }
+  return step.value;
+}
+
+// Number of paths simulated between progress updates
+export const chunkSize = (total) => Math.max(1, Math.ceil(total / 50));
@@ -0,0 +1,51 @@
+import { quantile } from './statistics.js';
+
+// Helpers for displaying simulated paths: sample paths as separate chart series, and
+// percentile bands over the simulated paths for fan charts.
+
+export const fanPercentiles = [5, 25, 50, 75, 95];
+
+// Paths kept for the fan charts. Percentiles of 5,000 paths are already smooth, and storing
+// every step of a million paths would take gigabytes.
+export const maxStoredPaths = 5000;
+
+// Fixed-size store for one value per stored path per time step, filled path by path. Paths
+// past maxStoredPaths are ignored.
+export const createPathStore = (numSteps, numPaths) => Array.from(
+  { length: numSteps + 1 }, () => new Float64Array(Math.min(numPaths, maxStoredPaths))
+);
+
+export const storePath = (store, pathIndex, values) => {
+  if (pathIndex >= store[0].length) return;
+  for (let t = 0; t < store.length; t++) {
+    store[t][pathIndex] = values[t];
+  }
+};
+
+// Which paths a fan chart summarizes, for its title
+export const describeFanPaths = (numPaths) => (numPaths > maxStoredPaths
+  ? `first ${maxStoredPaths.toLocaleString()} of ${numPaths.toLocaleString()} paths`
+  : `all ${numPaths.toLocaleString()} paths`);
+
+// Per-time-step percentiles p5 … p95 over the stored paths, plus the [p5, p95] and
+// [p25, p75] ranges that the fan charts draw as bands
+export const percentileBands = (store, times) => store.map((column, t) => {
+  const sorted = Float64Array.from(column).sort();
+  const point = { time: times[t] };
+  fanPercentiles.forEach(p => {
+    point[`p${p}`] = quantile(sorted, p / 100);
+  });
+  point.outerBand = [point.p5, point.p95];
+  point.innerBand = [point.p25, point.p75];
+  return point;
+});
+
+// One row per time step with a `path{i}` column per sample path, so each path is drawn as its
+// own <Line> instead of one line that jumps back to t = 0 between paths
+export const toPathRows = (paths, valueOf) => (paths.length === 0 ? [] : paths[0].map((point, t) => {
+  const row = { time: point.time };
+  paths.forEach((path, i) => {
+    row[`path${i}`] = valueOf(path[t]);
+  });
+  return row;
+}));
@@ -0,0 +1,55 @@
+// Path-dependent payoffs priced from simulated price paths. `inputs` lists the controls each
+// payoff needs besides the option type; barrier payoffs also report whether the path knocked.
+export const payoffTypes = {
+  vanilla: { label: 'European', inputs: [] },
+  asianArithmetic: { label: 'Asian (arithmetic average)', inputs: [] },
+  asianGeometric: { label: 'Asian (geometric average)', inputs: [] },
+  upAndOut: { label: 'Up-and-Out Barrier', inputs: ['upBarrier'], knock: 'out' },
+  downAndIn: { label: 'Down-and-In Barrier', inputs: ['downBarrier'], knock: 'in' },
+  lookback: { label: 'Lookback', inputs: ['lookbackStyle'] }
+};
+
+// Undiscounted payoff of one path with strike K. Averages and barriers are monitored at every
+// simulation step, so barrier prices carry the usual discrete-monitoring bias relative to
+// continuous-barrier formulas. `pricePath` may be a plain or typed array; it is read in one
+// loop without copying.
+export const evaluatePayoff = (pricePath, K, { type, optionType, upBarrier, downBarrier, lookbackStyle }) => {
+  const ST = pricePath[pricePath.length - 1];
+  const vanilla = (S) => (optionType === 'call' ? Math.max(S - K, 0) : Math.max(K - S, 0));
+  const numMonitored = pricePath.length - 1;
+
+  // Sum and log-sum over the monitoring dates (every step after t = 0), extremes over the whole path
+  let sum = 0;
+  let logSum = 0;
+  let max = pricePath[0];
+  let min = pricePath[0];
+  for (let t = 1; t < pricePath.length; t++) {
+    sum += pricePath[t];
+    if (type === 'asianGeometric') logSum += Math.log(pricePath[t]);
+    if (pricePath[t] > max) max = pricePath[t];
+    if (pricePath[t] < min) min = pricePath[t];
+  }
+
+  switch (type) {
+    case 'asianArithmetic':
+      return { value: vanilla(sum / numMonitored) };
+    case 'asianGeometric':
+      return { value: vanilla(Math.exp(logSum / numMonitored)) };
+    case 'upAndOut': {
+      const knocked = max >= upBarrier;
+      return { value: knocked ? 0 : vanilla(ST), knocked };
+    }
+    case 'downAndIn': {
+      const knocked = min <= downBarrier;
+      return { value: knocked ? vanilla(ST) : 0, knocked };
+    }
+    case 'lookback': {
+      if (lookbackStyle === 'floating') {
+        return { value: optionType === 'call' ? ST - min : max - ST };
+      }
+      return { value: optionType === 'call' ? Math.max(max - K, 0) : Math.max(K - min, 0) };
+    }
+    default:
+      return { value: vanilla(ST) };
+  }
+};
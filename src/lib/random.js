@@ -0,0 +1,115 @@
+// Seeded random number generation. Every simulator draws from an explicit generator built
+// by createRng, so a run is fully determined by its seed and parameters.
+
+// SplitMix32, used to expand a seed into the xoshiro state
+const splitMix32 = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x9e3779b9) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+};
+
+const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+
+// xoshiro128** uniform generator on the open interval (0, 1). `stream` selects an independent
+// sequence for the same seed, so draws that vary in number with the parameters (jump counts,
+// for instance) do not shift the rest of the simulation.
+export const createRng = (seed, stream = 0) => {
+  const next = splitMix32((seed ^ Math.imul(stream, 0x632be5ab)) >>> 0);
+  let s0 = next();
+  let s1 = next();
+  let s2 = next();
+  let s3 = next();
+
+  return () => {
+    const result = Math.imul(rotl(Math.imul(s1, 5), 7), 9) >>> 0;
+    const t = s1 << 9;
+
+    s2 ^= s0;
+    s3 ^= s1;
+    s1 ^= s2;
+    s0 ^= s3;
+    s2 ^= t;
+    s3 = rotl(s3, 11);
+
+    return (result + 0.5) / 4294967296;
+  };
+};
+
+// Fresh seed for the "New seed" buttons
+export const randomSeed = () => Math.floor(Math.random() * 1000000);
+
+// Generate a pair of independent standard normals
+export const generateNormalPair = (rng) => {
+  const z1 = rng();
+  const z2 = rng();
+
+  // Box-Muller transformation
+  const u1 = Math.sqrt(-2 * Math.log(z1)) * Math.cos(2 * Math.PI * z2);
+  const u2 = Math.sqrt(-2 * Math.log(z1)) * Math.sin(2 * Math.PI * z2);
+
+  return [u1, u2];
+};
+
+// Fill a typed array with independent standard normals, using both halves of each Box-Muller
+// pair. Filling 2n entries gives the same normals as n calls to generateNormalPair.
+export const fillNormals = (rng, out) => {
+  for (let i = 0; i < out.length; i += 2) {
+    const radius = Math.sqrt(-2 * Math.log(rng()));
+    const angle = 2 * Math.PI * rng();
+    out[i] = radius * Math.cos(angle);
+    if (i + 1 < out.length) out[i + 1] = radius * Math.sin(angle);
+  }
+  return out;
+};
+
+// Generate random normal using Box-Muller
+export const randomNormal = (rng) => {
+  const u1 = rng();
+  const u2 = rng();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+};
+
+// Generate Poisson random variable. Callers drawing many counts with the same mean can pass
+// L = e^(-λ) to save recomputing it.
+export const randomPoisson = (lambda, rng, L = Math.exp(-lambda)) => {
+  let k = 0;
+  let p = 1;
+
+  do {
+    k++;
+    p *= rng();
+  } while (p > L);
+
+  return k - 1;
+};
+
+// Gamma(shape, 1) random variable by Marsaglia and Tsang's squeeze method. Shapes below 1 draw
+// Gamma(shape + 1) and scale it by U^(1/shape).
+export const randomGamma = (shape, rng) => {
+  if (shape < 1) return randomGamma(shape + 1, rng) * Math.pow(rng(), 1 / shape);
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = randomNormal(rng);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = rng();
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+};
+
+// Beta(alpha, beta) random variable as a ratio of Gamma draws
+export const randomBeta = (alpha, beta, rng) => {
+  const x = randomGamma(alpha, rng);
+  return x / (x + randomGamma(beta, rng));
+};
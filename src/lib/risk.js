@@ -0,0 +1,200 @@
+import { jumpLaws } from './jumpLaws.js';
+import { createPathSimulator, tradingDaysPerYear } from './modelPaths.js';
+import { chunkSize, withProgressRange } from './monteCarlo.js';
+import { createMoments, histogram, quantile } from './statistics.js';
+
+// Risk metrics from simulated paths under the real-world measure: historical-simulation VaR and
+// Expected Shortfall of the position's return, maximum drawdown and probability of loss, for
+// Merton, Heston and a GBM side by side. All losses are fractions of the initial value.
+
+export const riskHorizons = [
+  { days: 1, label: '1 day' },
+  { days: 5, label: '1 week' },
+  { days: 10, label: '2 weeks' },
+  { days: 21, label: '1 month' },
+  { days: 63, label: '3 months' },
+  { days: 126, label: '6 months' },
+  { days: 252, label: '1 year' }
+];
+
+export const riskModels = {
+  merton: { label: 'Merton', color: '#5c99ff' },
+  heston: { label: 'Heston', color: '#00ff41' },
+  gbm: { label: 'GBM', color: 'rgb(170,170,180)' }
+};
+
+// Parameters for the model whose page the panel is not on: the other page's defaults
+const riskModelDefaults = {
+  merton: { sigma: 0.2, lambda: 0.1, muJ: -0.1, sigmaJ: 0.15, jumpLaw: 'lognormal' },
+  heston: { V0: 0.04, kappa: 2, theta: 0.04, sigma: 0.3, rho: -0.7 }
+};
+
+// Annualized volatility of the log-return over T years. Merton's variance is σ² + λE[Y²] per
+// year; Heston's is the expected average of V over [0, T] and GBM's is σ².
+export const horizonVolatility = (model, params, T) => {
+  if (model === 'merton') {
+    return Math.sqrt(params.sigma * params.sigma + params.lambda * jumpLaws[params.jumpLaw].rawMoment(params, 2));
+  }
+  if (model === 'heston') {
+    const { V0, kappa, theta } = params;
+    return Math.sqrt(theta + (V0 - theta) * (1 - Math.exp(-kappa * T)) / (kappa * T));
+  }
+  return params.sigma;
+};
+
+// Parameters of the three models for a panel on the `model` page: that model takes the page's
+// parameters, the other its defaults, and the GBM the page model's volatility over the horizon,
+// so the GBM column shows the same overall risk without fat tails.
+export const riskModelParameters = (model, parameters, horizonDays) => {
+  const params = {
+    ...riskModelDefaults,
+    [model]: parameters
+  };
+  return {
+    merton: params.merton,
+    heston: params.heston,
+    gbm: { sigma: horizonVolatility(model, parameters, horizonDays / tradingDaysPerYear) }
+  };
+};
+
+// VaR and Expected Shortfall (CVaR) at `confidence` from returns sorted ascending: VaR is the
+// loss exceeded with probability 1 − confidence, CVaR the average loss in that tail
+export const valueAtRisk = (sortedReturns, confidence) => {
+  const tail = Math.max(1, Math.ceil((1 - confidence) * sortedReturns.length));
+  let tailSum = 0;
+  for (let i = 0; i < tail; i++) tailSum += sortedReturns[i];
+  return { var: -quantile(sortedReturns, 1 - confidence), cvar: -tailSum / tail };
+};
+
+// Simulate one model on a daily grid for a year, with prices relative to the initial value, and
+// summarize it: returns at every risk horizon, and the maximum drawdown over the chosen
+// horizon, kept per path for the shared drawdown histogram
+function* simulateModelRisk(model, params, { drift, numPaths, horizonDays, confidenceLevels, lossThreshold, seed }) {
+  const steps = riskHorizons[riskHorizons.length - 1].days;
+  const nextPath = createPathSimulator(model, { ...params, S0: 1, r: drift, T: steps / tradingDaysPerYear, steps }, seed);
+  const horizonReturns = riskHorizons.map(() => new Float64Array(numPaths));
+  const drawdowns = new Float64Array(numPaths);
+  const horizonReturnMoments = createMoments();
+  const drawdownMoments = createMoments();
+  const chunk = chunkSize(numPaths);
+  let losses = 0;
+  let largeLosses = 0;
+  let largeDrawdowns = 0;
+
+  for (let i = 0; i < numPaths; i++) {
+    const { prices } = nextPath();
+    riskHorizons.forEach(({ days }, h) => {
+      horizonReturns[h][i] = prices[days] - 1;
+    });
+
+    let peak = prices[0];
+    let maxDrawdown = 0;
+    for (let t = 1; t <= horizonDays; t++) {
+      if (prices[t] > peak) peak = prices[t];
+      else maxDrawdown = Math.max(maxDrawdown, 1 - prices[t] / peak);
+    }
+    drawdowns[i] = maxDrawdown;
+    drawdownMoments.add(maxDrawdown);
+    if (maxDrawdown > lossThreshold) largeDrawdowns++;
+
+    const horizonReturn = prices[horizonDays] - 1;
+    horizonReturnMoments.add(horizonReturn);
+    if (horizonReturn < 0) losses++;
+    if (horizonReturn < -lossThreshold) largeLosses++;
+
+    if ((i + 1) % chunk === 0 && i + 1 < numPaths) {
+      yield { progress: (i + 1) / numPaths, partial: { model } };
+    }
+  }
+
+  const termStructure = riskHorizons.map(({ days }, h) => {
+    const sorted = horizonReturns[h].sort();
+    return { days, levels: confidenceLevels.map(confidence => valueAtRisk(sorted, confidence)) };
+  });
+  const sortedDrawdowns = drawdowns.sort();
+  const { mean: meanDrawdown, max: maxDrawdown } = drawdownMoments.summary();
+
+  return {
+    volatility: horizonVolatility(model, params, horizonDays / tradingDaysPerYear),
+    termStructure,
+    drawdowns,
+    summary: {
+      meanReturn: horizonReturnMoments.summary().mean,
+      probabilityOfLoss: losses / numPaths,
+      probabilityBeyondThreshold: largeLosses / numPaths,
+      drawdown: {
+        mean: meanDrawdown,
+        median: quantile(sortedDrawdowns, 0.5),
+        p95: quantile(sortedDrawdowns, 0.95),
+        p99: quantile(sortedDrawdowns, 0.99),
+        max: maxDrawdown,
+        probabilityBeyondThreshold: largeDrawdowns / numPaths
+      }
+    }
+  };
+}
+
+// Worker job: risk comparison behind the risk panel. `models` holds the parameters of each
+// model (see riskModelParameters); every model is simulated on the same daily grid for a year,
+// with drift μ in place of the risk-free rate and the same seed. Yields progress naming the
+// model being simulated; returns VaR and CVaR per model and confidence at the chosen horizon
+// and across all horizons, probabilities of loss, drawdown statistics and a drawdown histogram
+// over bins shared by the three models.
+export function* riskComparison({ models, drift, numPaths, horizonDays, confidenceLevels, lossThreshold, seed }) {
+  const keys = Object.keys(riskModels);
+  const results = {};
+
+  for (let k = 0; k < keys.length; k++) {
+    results[keys[k]] = yield* withProgressRange(
+      simulateModelRisk(keys[k], models[keys[k]], { drift, numPaths, horizonDays, confidenceLevels, lossThreshold, seed }),
+      k / keys.length,
+      (k + 1) / keys.length
+    );
+  }
+
+  const horizonIndex = riskHorizons.findIndex(({ days }) => days === horizonDays);
+  const table = confidenceLevels.map((confidence, c) => ({
+    confidence,
+    ...Object.fromEntries(keys.map(key => [key, results[key].termStructure[horizonIndex].levels[c]]))
+  }));
+
+  // One row per horizon and confidence level, with VaR and CVaR columns per model
+  const termStructure = confidenceLevels.map((confidence, c) => ({
+    confidence,
+    rows: riskHorizons.map(({ days, label }, h) => {
+      const row = { days, label };
+      keys.forEach(key => {
+        row[`${key}Var`] = results[key].termStructure[h].levels[c].var;
+        row[`${key}Cvar`] = results[key].termStructure[h].levels[c].cvar;
+      });
+      return row;
+    })
+  }));
+
+  // Drawdown histogram on bins shared by the three models, up to the largest 99th percentile.
+  // A single jump can make one drawdown far deeper than the rest, so the last bin also collects
+  // everything beyond the range instead of stretching it.
+  const maxDrawdown = Math.max(...keys.map(key => results[key].summary.drawdown.p99));
+  const numBins = 30;
+  const histograms = Object.fromEntries(keys.map(key => {
+    const { binSize, counts } = histogram(results[key].drawdowns, numBins, [0, maxDrawdown]);
+    counts[numBins - 1] += numPaths - counts.reduce((a, b) => a + b, 0);
+    return [key, { binSize, counts }];
+  }));
+  const drawdownDistribution = Array.from({ length: numBins }, (_, i) => {
+    const row = { drawdown: (i + 0.5) * histograms[keys[0]].binSize };
+    keys.forEach(key => {
+      row[key] = histograms[key].counts[i] / numPaths;
+    });
+    return row;
+  });
+
+  return {
+    horizonDays,
+    lossThreshold,
+    table,
+    termStructure,
+    drawdownDistribution,
+    models: Object.fromEntries(keys.map(key => [key, { volatility: results[key].volatility, ...results[key].summary }]))
+  };
+}
@@ -0,0 +1,67 @@
+import { batesSimulation } from './bates.js';
+import { deltaHedging } from './hedging.js';
+import { hestonGreeks, hestonSchemeComparison, hestonSimulation } from './heston.js';
+import { hestonCalibration } from './hestonCalibration.js';
+import { bayesianKellySimulation, kellyComparison, kellyRiskOfRuin } from './kelly.js';
+import { kellyPortfolioSimulation } from './kellyPortfolio.js';
+import { mertonSimulation } from './merton.js';
+import { fitMertonJumps } from './mertonFit.js';
+import { riskComparison } from './risk.js';
+
+// Message protocol
+//   main → worker: { type: 'start', id, job, payload } | { type: 'cancel', id }
+//   worker → main: { type: 'progress', id, progress, partial } | { type: 'result', id, result }
+//                  | { type: 'cancelled', id } | { type: 'error', id, message }
+//
+// Jobs are generators that yield { progress, partial } after each chunk of work and return
+// the final result. The worker steps them one chunk at a time and yields to the event loop
+// in between, so a cancel message can stop a run part-way through. A cancel for a run that has
+// already finished is ignored, so only ids of runs still stepping are kept.
+const jobs = { hestonSimulation, hestonSchemeComparison, hestonGreeks, hestonCalibration, mertonSimulation, fitMertonJumps, batesSimulation, kellyComparison, kellyRiskOfRuin, kellyPortfolioSimulation, bayesianKellySimulation, riskComparison, deltaHedging };
+const active = new Set();
+const cancelled = new Set();
+
+const runJob = (id, job, payload) => {
+  if (!jobs[job]) {
+    self.postMessage({ type: 'error', id, message: `Unknown simulation job: ${job}` });
+    return;
+  }
+
+  const generator = jobs[job](payload);
+  active.add(id);
+
+  const finish = (message) => {
+    active.delete(id);
+    cancelled.delete(id);
+    self.postMessage(message);
+  };
+
+  const step = () => {
+    if (cancelled.has(id)) {
+      finish({ type: 'cancelled', id });
+      return;
+    }
+
+    try {
+      const { value, done } = generator.next();
+      if (done) {
+        finish({ type: 'result', id, result: value });
+      } else {
+        self.postMessage({ type: 'progress', id, progress: value.progress, partial: value.partial });
+        setTimeout(step, 0);
+      }
+    } catch (error) {
+      finish({ type: 'error', id, message: error.message });
+    }
+  };
+
+  step();
+};
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'start') {
+    runJob(data.id, data.job, data.payload);
+  } else if (data.type === 'cancel' && active.has(data.id)) {
+    cancelled.add(data.id);
+  }
+};
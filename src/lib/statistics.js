@@ -0,0 +1,80 @@
+// Statistics that scale to millions of samples: moments accumulated one sample at a time, and
+// histograms and quantiles of typed arrays without spreading them into argument lists.
+
+// Streaming mean, variance, skewness and excess kurtosis by Welford's update, extended to the
+// third and fourth central moments (Terriberry). Also tracks the minimum and maximum.
+export const createMoments = () => {
+  let n = 0;
+  let mean = 0;
+  let M2 = 0;
+  let M3 = 0;
+  let M4 = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  return {
+    add(x) {
+      const n1 = n;
+      n++;
+      const delta = x - mean;
+      const deltaN = delta / n;
+      const deltaN2 = deltaN * deltaN;
+      const term1 = delta * deltaN * n1;
+      mean += deltaN;
+      M4 += term1 * deltaN2 * (n * n - 3 * n + 3) + 6 * deltaN2 * M2 - 4 * deltaN * M3;
+      M3 += term1 * deltaN * (n - 2) - 3 * deltaN * M2;
+      M2 += term1;
+      if (x < min) min = x;
+      if (x > max) max = x;
+    },
+
+    // `variance` and `std` divide by n; `sampleVariance` and `standardError` by n − 1
+    summary() {
+      const variance = n > 0 ? M2 / n : 0;
+      const sampleVariance = n > 1 ? M2 / (n - 1) : 0;
+      return {
+        count: n,
+        mean,
+        variance,
+        std: Math.sqrt(variance),
+        sampleVariance,
+        standardError: n > 0 ? Math.sqrt(sampleVariance / n) : 0,
+        skewness: M2 > 0 ? Math.sqrt(n) * M3 / Math.pow(M2, 1.5) : 0,
+        excessKurtosis: M2 > 0 ? n * M4 / (M2 * M2) - 3 : 0,
+        min,
+        max
+      };
+    }
+  };
+};
+
+// Minimum and maximum of an array in one loop
+export const range = (values) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] < min) min = values[i];
+    if (values[i] > max) max = values[i];
+  }
+  return [min, max];
+};
+
+// Equal-width histogram over [min, max] in a single pass, with the maximum in the last bin.
+// Returns the bin start, the bin width and the count in each bin.
+export const histogram = (values, numBins, [min, max] = range(values)) => {
+  const binSize = max > min ? (max - min) / numBins : 1;
+  const counts = new Array(numBins).fill(0);
+  for (let i = 0; i < values.length; i++) {
+    const x = values[i];
+    if (x >= min && x <= max) counts[Math.min(Math.floor((x - min) / binSize), numBins - 1)]++;
+  }
+  return { start: min, binSize, counts };
+};
+
+// Linear-interpolated quantile of an ascending sorted array
+export const quantile = (sorted, q) => {
+  const position = q * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+};
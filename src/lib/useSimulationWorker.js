@@ -0,0 +1,64 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Run simulation jobs (see simulation.worker.js) off the main thread. Each hook owns one
+// worker, created on first use; starting a new run cancels the one in flight.
+export const useSimulationWorker = () => {
+  const workerRef = useRef(null);
+  const jobRef = useRef(null);
+  const nextId = useRef(0);
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [partial, setPartial] = useState(null);
+
+  const getWorker = () => {
+    if (!workerRef.current) {
+      workerRef.current = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+      workerRef.current.onmessage = ({ data }) => {
+        const job = jobRef.current;
+        // Ignore messages from runs that were cancelled or superseded
+        if (!job || data.id !== job.id) return;
+
+        if (data.type === 'progress') {
+          setProgress(data.progress);
+          setPartial(data.partial ?? null);
+          job.onPartial?.(data.partial, data.progress);
+          return;
+        }
+
+        jobRef.current = null;
+        setIsRunning(false);
+        setPartial(null);
+
+        if (data.type === 'result') {
+          setProgress(1);
+          job.onResult?.(data.result);
+        } else if (data.type === 'error') {
+          job.onError?.(data.message);
+        }
+      };
+    }
+    return workerRef.current;
+  };
+
+  const cancel = () => {
+    if (jobRef.current) {
+      getWorker().postMessage({ type: 'cancel', id: jobRef.current.id });
+      jobRef.current = null;
+    }
+    setIsRunning(false);
+    setPartial(null);
+  };
+
+  const run = (job, payload, { onResult, onPartial, onError } = {}) => {
+    cancel();
+    nextId.current += 1;
+    jobRef.current = { id: nextId.current, onResult, onPartial, onError };
+    setProgress(0);
+    setIsRunning(true);
+    getWorker().postMessage({ type: 'start', id: nextId.current, job, payload });
+  };
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  return { run, cancel, isRunning, progress, partial };
+};